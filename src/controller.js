@@ -5,7 +5,8 @@
  *  - Initialize core application components.
  *  - Create and configure all view instances (SidebarView, TodoListView, DialogView).
  *  - Connect the ProjectManager (data/model layer) with view event handlers.
- *  - Trigger the render of UI components.
+ *  - Re-render the UI and save (debounced) whenever the model emits a change event, so handlers only need to
+ *    change the model.
  *
  * Exports:
  *  - initApp — Function that starts the To-Do List application.
@@ -15,6 +16,30 @@
  *  - SidebarView from './ui/SidebarView.js' — Renders and manages the project sidebar UI.
  *  - TodoListView from './ui/TodoListView.js' — Renders and manages the todo list UI.
  *  - DialogView from './ui/DialogView.js' — Handles modal dialog UI instances.
+ *  - PrioritySettingsView from './ui/PrioritySettingsView.js' — Handles the priority levels settings dialog.
+ *  - TimeReportView from './ui/TimeReportView.js' — Renders the per-day project time report dialog.
+ *  - TodoDetailView from './ui/TodoDetailView.js' — Renders a todo's comments and activity log.
+ *  - ImportDialogView from './ui/ImportDialogView.js' — Previews and confirms importing an export file.
+ *  - CsvImportDialogView from './ui/CsvImportDialogView.js' — Maps a spreadsheet's columns and previews the import.
+ *  - ReminderBannerView from './ui/ReminderBannerView.js' — Shows in-app reminder banners.
+ *  - ToastView from './ui/ToastView.js' — Shows short-lived messages with an optional Undo action.
+ *  - History, SnapshotCommand from './history/' — Undo/redo stack and the command type recorded on it.
+ *  - ReminderScheduler from './reminders/ReminderScheduler.js' — Polls for due reminders.
+ *  - AutoSaver from './storage/AutoSaver.js' — Saves the model (debounced) when it changes.
+ *  - attachmentStore from './storage/AttachmentStore.js' — Stores the contents of attached files.
+ *  - parseExport from './storage/DataExchange.js' — Reads and validates imported export files.
+ *  - todosToCsv, guessColumnMapping, readCsvTodos from './storage/CsvExchange.js' — Export and import todos as CSV.
+ *  - parseCsv from './utils/CsvUtils.js' — Reads imported CSV files.
+ *  - ModelEvents from './model/Observable.js' — Enum of model change events.
+ *  - NotificationUtils from './utils/NotificationUtils.js' — Shows system notifications.
+ *  - Frequencies, MonthlyModes from './model/Recurrence.js' — Enums used to build recurrence rules from forms.
+ *  - ReminderTypes from './model/Reminder.js' — Enum used to build reminders from forms.
+ *  - TrashItemTypes from './model/TrashEntry.js' — Enum used to describe trashed items.
+ *  - sortTodos from './model/TodoSort.js' — Sorts rolled-up todos like the project's own.
+ *  - Attachment, MAX_ATTACHMENT_SIZE_BYTES, formatFileSize from './model/Attachment.js' — Attach uploaded files.
+ *  - PROJECT_COLORS, PROJECT_COLOR_LABELS, ProjectIcons, PROJECT_ICON_LABELS, getProjectIconHref from
+ *    './model/ProjectAppearance.js' — Fill the colour and icon choices of the project dialogs.
+ *  - UIUtils from './utils/UIUtils.js' — Downloads attachments and exported data.
  *
  * @module controller
  */
@@ -23,6 +48,40 @@ import { projectManager } from "./model/ProjectManager.js";
 import { SidebarView } from "./view/SidebarView.js";
 import { TodoListView } from "./view/TodoListView.js";
 import { DialogView } from "./view/DialogView.js";
+import { PrioritySettingsView } from "./view/PrioritySettingsView.js";
+import { TimeReportView } from "./view/TimeReportView.js";
+import { TodoDetailView } from "./view/TodoDetailView.js";
+import { ImportDialogView } from "./view/ImportDialogView.js";
+import { CsvImportDialogView } from "./view/CsvImportDialogView.js";
+import { ReminderBannerView } from "./view/ReminderBannerView.js";
+import { ToastView } from "./view/ToastView.js";
+import { History } from "./history/History.js";
+import { SnapshotCommand } from "./history/SnapshotCommand.js";
+import { ReminderScheduler } from "./reminders/ReminderScheduler.js";
+import { AutoSaver } from "./storage/AutoSaver.js";
+import { attachmentStore } from "./storage/AttachmentStore.js";
+import { parseExport } from "./storage/DataExchange.js";
+import { todosToCsv, guessColumnMapping, readCsvTodos } from "./storage/CsvExchange.js";
+import { NotificationUtils } from "./utils/NotificationUtils.js";
+import { UIUtils } from "./utils/UIUtils.js";
+import { parseCsv } from "./utils/CsvUtils.js";
+import { formatDeadline, parseLocalDate, formatLocalDate } from "./utils/DateUtils.js";
+import { Frequencies, MonthlyModes } from "./model/Recurrence.js";
+import { ReminderTypes } from "./model/Reminder.js";
+import { TrashItemTypes } from "./model/TrashEntry.js";
+import { sortTodos } from "./model/TodoSort.js";
+import { Attachment, MAX_ATTACHMENT_SIZE_BYTES, formatFileSize } from "./model/Attachment.js";
+import {
+    PROJECT_COLORS,
+    PROJECT_COLOR_LABELS,
+    ProjectIcons,
+    PROJECT_ICON_LABELS,
+    getProjectIconHref,
+} from "./model/ProjectAppearance.js";
+import { ModelEvents } from "./model/Observable.js";
+
+// How often to check whether the local day has changed (see watchDayChange)
+const DAY_CHANGE_CHECK_INTERVAL_MS = 60 * 1000;
 
 const sidebarView = new SidebarView(document.querySelector(".sidebar"));
 const todoListView = new TodoListView(document.querySelector(".main-container"));
@@ -33,6 +92,506 @@ const newTodoDialog = new DialogView(document.querySelector("#new-todo-dialog"))
 const editTodoDialog = new DialogView(document.querySelector("#edit-todo-dialog"));
 const deleteProjectDialog = new DialogView(document.querySelector("#delete-project-dialog"));
 const deleteTodoDialog = new DialogView(document.querySelector("#delete-todo-dialog"));
+const moveTodoDialog = new DialogView(document.querySelector("#move-todo-dialog"));
+const deleteForeverDialog = new DialogView(document.querySelector("#delete-forever-dialog"));
+const emptyTrashDialog = new DialogView(document.querySelector("#empty-trash-dialog"));
+const saveTemplateDialog = new DialogView(document.querySelector("#save-template-dialog"));
+const deleteTagDialog = new DialogView(document.querySelector("#delete-tag-dialog"));
+const completeBlockedTodoDialog = new DialogView(document.querySelector("#complete-blocked-todo-dialog"));
+const exportDialog = new DialogView(document.querySelector("#export-dialog"));
+const prioritySettingsDialog = new PrioritySettingsView(document.querySelector("#priority-settings-dialog"));
+const timeReportDialog = new TimeReportView(document.querySelector("#time-report-dialog"));
+const todoDetailDialog = new TodoDetailView(document.querySelector("#todo-detail-dialog"));
+const importDialog = new ImportDialogView(document.querySelector("#import-dialog"));
+const csvImportDialog = new CsvImportDialogView(document.querySelector("#csv-import-dialog"));
+const reminderBannerView = new ReminderBannerView(document.querySelector(".reminder-banners"));
+const toastView = new ToastView(document.querySelector(".toast-container"));
+
+const history = new History();
+
+// Attachments whose contents are being stored for a todo that doesn't refer to them yet
+const pendingAttachmentIds = new Set();
+
+// Whether the saved data couldn't be loaded (and was backed up): the backup's todos may still refer to any
+// attachment, so none are deleted until the app is reloaded
+let keepAllAttachments = false;
+
+// The rows below the header row of the spreadsheet shown in the CSV import dialog
+let csvRows = [];
+
+const reminderScheduler = new ReminderScheduler({
+    getDueReminders: (now) => projectManager.getDueReminders(now),
+    onRemindersDue: fireReminders,
+});
+
+const autoSaver = new AutoSaver({
+    model: projectManager,
+    save: () => projectManager.saveToStorage(),
+    ignoredEvents: [ModelEvents.ACTIVE_CHANGED], // the active view isn't saved
+});
+
+/**
+ * Build a recurrence rule from the repeat fields of the new/edit todo dialogs.
+ * @param {Object} data Form data collected by DialogView.
+ * @returns {Object|null} The recurrence rule, or null if the todo does not repeat.
+ */
+function recurrenceFromFormData(data) {
+    if (!data.recurrenceFrequency) return null;
+
+    const rule = {
+        frequency: data.recurrenceFrequency,
+        interval: Math.max(1, parseInt(data.recurrenceInterval, 10) || 1),
+    };
+    if (rule.frequency === Frequencies.WEEKLY) {
+        rule.weekdays = (data.recurrenceWeekdays ?? []).map(Number);
+    }
+    if (rule.frequency === Frequencies.MONTHLY) {
+        rule.monthlyMode = data.recurrenceMonthlyMode;
+    }
+    return rule;
+}
+
+/**
+ * Convert a todo's recurrence rule into the values of the repeat fields of the edit todo dialog.
+ * @param {Object|null} rule The todo's recurrence rule.
+ * @returns {Object} Dialog context entries for the repeat fields.
+ */
+function recurrenceToFormData(rule) {
+    return {
+        recurrenceFrequency: rule?.frequency ?? "",
+        recurrenceInterval: rule?.interval ?? 1,
+        recurrenceWeekdays: rule?.weekdays ?? [],
+        recurrenceMonthlyMode: rule?.monthlyMode ?? MonthlyModes.DAY_OF_MONTH,
+    };
+}
+
+/**
+ * Split the comma-separated tags field of the new/edit todo dialogs into tag names, registering any new ones.
+ * @param {string} value The raw field value.
+ * @returns {string[]} The tag names.
+ */
+function tagsFromFormData(value = "") {
+    const names = value.split(",").filter((name) => name.trim() !== "");
+    names.forEach((name) => projectManager.registerTag(name));
+    return names;
+}
+
+/**
+ * Convert the estimate field of the new/edit todo dialogs (in hours) into minutes.
+ * @param {string} value The raw field value.
+ * @returns {number|null} The estimate in minutes, or null if none was entered.
+ */
+function estimateFromFormData(value) {
+    const hours = parseFloat(value);
+    return hours > 0 ? Math.round(hours * 60) : null;
+}
+
+/**
+ * Build reminder descriptions from the reminder fields of the new/edit todo dialogs.
+ * @param {Object} data Form data collected by DialogView.
+ * @returns {Array<{type: string, at?: Date, offsetMinutes?: number}>} Zero, one or two reminders.
+ */
+function remindersFromFormData(data) {
+    const reminders = [];
+    if (data.reminderOffset !== "" && data.reminderOffset !== undefined) {
+        reminders.push({ type: ReminderTypes.RELATIVE, offsetMinutes: Number(data.reminderOffset) });
+    }
+    if (data.reminderAt) {
+        reminders.push({ type: ReminderTypes.ABSOLUTE, at: new Date(data.reminderAt) });
+    }
+    return reminders;
+}
+
+/**
+ * Convert a todo's reminders into the values of the reminder fields of the edit todo dialog.
+ * @param {Reminder[]} reminders The todo's reminders.
+ * @returns {Object} Dialog context entries for the reminder fields.
+ */
+function remindersToFormData(reminders) {
+    const relative = reminders.find((reminder) => reminder.type === ReminderTypes.RELATIVE);
+    const absolute = reminders.find((reminder) => reminder.type === ReminderTypes.ABSOLUTE);
+    return {
+        reminderOffset: relative ? String(relative.offsetMinutes) : "",
+        reminderAt: absolute?.at ?? "",
+    };
+}
+
+/**
+ * Notify the user about due reminders: a system notification when permitted, otherwise an in-app banner.
+ * Clicking a system notification brings the app to the front and shows the banner so it can be snoozed.
+ * @param {Array<{project: Project, todo: Todo, reminder: Reminder}>} due The reminders that came due.
+ */
+function fireReminders(due) {
+    due.forEach(({ project, todo, reminder }) => {
+        todo.markReminderFired(reminder.id);
+
+        const banner = {
+            projectId: project.getId(),
+            todoId: todo.id,
+            reminderId: reminder.id,
+            title: todo.title,
+            detail: todo.dueDate
+                ? `${project.getName()} · Due ${formatDeadline(todo.dueDate, todo.hasDueTime)}`
+                : project.getName(),
+        };
+
+        const notification = NotificationUtils.notify(`Reminder: ${todo.title}`, {
+            body: banner.detail,
+            tag: reminder.id,
+        });
+        if (notification) {
+            notification.onclick = () => {
+                window.focus();
+                reminderBannerView.show(banner);
+            };
+        } else {
+            reminderBannerView.show(banner);
+        }
+    });
+}
+
+/**
+ * Apply a user change to the model as an undoable step.
+ * @param {string} label Short description of the change, shown when it is undone or redone.
+ * @param {() => void} change Mutates the model.
+ * @param {{toast?: string}} [options] `toast` shows a message with an Undo button (used for deletions).
+ */
+function commit(label, change, { toast } = {}) {
+    history.execute(new SnapshotCommand(label, projectManager, change));
+    if (toast) toastView.show(toast, "Undo");
+    cleanUpAttachments();
+}
+
+/**
+ * Delete the stored contents of attachments that no todo refers to any more. Attachments of trashed todos, and of
+ * todos that undo/redo could bring back, are kept; nothing is deleted if the saved data couldn't be loaded.
+ */
+function cleanUpAttachments() {
+    if (keepAllAttachments) return;
+    attachmentStore
+        .deleteAllExcept(() => {
+            const snapshots = history.getCommands().flatMap((command) => command.getSnapshots());
+            return new Set([...projectManager.getAttachmentIds(snapshots), ...pendingAttachmentIds]);
+        })
+        .catch(() => {}); // already logged; the files are deleted next time
+}
+
+/**
+ * Store the contents of files picked in a todo dialog, then attach them to the todo as an undoable step of its
+ * own. Files that are too large or can't be stored are skipped, with a toast saying so.
+ * @param {string} todoId
+ * @param {File[]} files
+ */
+async function attachFiles(todoId, files) {
+    if (files.length === 0) return;
+
+    const tooLarge = files.filter((file) => file.size > MAX_ATTACHMENT_SIZE_BYTES);
+    const accepted = files.filter((file) => !tooLarge.includes(file));
+    const attachments = accepted.map((file) => Attachment.fromFile(file));
+    attachments.forEach((attachment) => pendingAttachmentIds.add(attachment.id));
+
+    const results = await Promise.allSettled(attachments.map((a, i) => attachmentStore.put(a.id, accepted[i])));
+    const stored = attachments.filter((attachment, i) => results[i].status === "fulfilled");
+    const todo = projectManager.findTodo(todoId)?.todo; // gone if deleted (or undone) while the files were stored
+    if (todo && stored.length > 0) {
+        commit("Attach files", () => stored.forEach((attachment) => todo.addAttachment(attachment)));
+    }
+    attachments.forEach((attachment) => pendingAttachmentIds.delete(attachment.id));
+
+    if (tooLarge.length > 0) {
+        const limit = formatFileSize(MAX_ATTACHMENT_SIZE_BYTES);
+        toastView.show(`Not attached (larger than ${limit}): ${tooLarge.map((file) => file.name).join(", ")}`);
+    } else if (stored.length < attachments.length) {
+        toastView.show("Some files couldn't be attached. Is the storage full?");
+    }
+}
+
+function undo() {
+    const command = history.undo();
+    if (!command) return;
+    toastView.show(`Undone: ${command.label}`);
+}
+
+function redo() {
+    const command = history.redo();
+    if (!command) return;
+    toastView.show(`Redone: ${command.label}`);
+}
+
+/**
+ * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Ignored while typing or while a dialog is open,
+ * so the browser's own text undo keeps working there.
+ */
+function setupKeyboardShortcuts() {
+    document.addEventListener("keydown", (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const target = event.target;
+        if (target.closest?.("input, textarea, select, [contenteditable='true']")) return;
+        if (document.querySelector("dialog[open]")) return;
+
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if ((key === "z" && event.shiftKey) || (key === "y" && !event.metaKey)) {
+            event.preventDefault();
+            redo();
+        }
+    });
+}
+
+/**
+ * Regenerate the priority <select> options of the todo dialogs from the current priority levels.
+ * The middle level is preselected for new todos.
+ */
+function renderPriorityOptions() {
+    const levels = projectManager.getPriorities();
+    const options = levels.map((level) => ({ value: level.id, label: level.name }));
+    const defaultValue = levels[Math.floor(levels.length / 2)]?.id;
+
+    [newTodoDialog, editTodoDialog].forEach((dialog) => dialog.setSelectOptions("priority", options, defaultValue));
+}
+
+/**
+ * Regenerate the "Blocked by" options of a todo dialog from every other todo. When editing, todos that would
+ * form a cycle with the edited todo are left out.
+ * @param {DialogView} dialog The new or edit todo dialog.
+ * @param {string} [todoId] The id of the todo being edited, if any.
+ */
+function renderBlockerOptions(dialog, todoId) {
+    const options = projectManager
+        .getAllTodos()
+        .filter(({ todo }) => !todoId || (todo.id !== todoId && !projectManager.wouldCreateCycle(todoId, todo.id)))
+        .map(({ project, todo }) => ({ value: todo.id, label: `${project.getName()} › ${todo.title}` }));
+
+    dialog.setSelectOptions("blockedBy", options);
+}
+
+/**
+ * @param {Project} project
+ * @returns {string} The project's name prefixed with its ancestors' names (e.g. "Work › Client A").
+ */
+function getProjectLabel(project) {
+    return projectManager
+        .getProjectPath(project.getId())
+        .map((p) => p.getName())
+        .join(" › ");
+}
+
+/**
+ * Regenerate the "Inside" (parent project) options of a project dialog. When editing, the project itself and
+ * its descendants are left out.
+ * @param {DialogView} dialog The new or edit project dialog.
+ * @param {string} [projectId] The id of the project being edited, if any.
+ */
+function renderParentOptions(dialog, projectId) {
+    const candidates = [null, ...projectManager.getDescendantProjects(null)].filter(
+        (p) => !p || !projectId || projectManager.canBeParentOf(p.getId(), projectId)
+    );
+    const options = candidates.map((p) => ({
+        value: p?.getId() ?? "",
+        label: p ? getProjectLabel(p) : "Nothing (top level)",
+    }));
+
+    dialog.setSelectOptions("parentId", options, "");
+}
+
+/**
+ * Fill the template <select> of the new project dialog, with a blank project as the default.
+ */
+function renderTemplateOptions() {
+    const options = projectManager.getTemplates().map((template) => ({ value: template.id, label: template.name }));
+    newProjectDialog.setSelectOptions("templateId", [{ value: "", label: "None (blank project)" }, ...options], "");
+}
+
+/**
+ * Fill the colour and icon choices of a project dialog, with the default colour and the folder icon as defaults.
+ * @param {DialogView} dialog
+ */
+function renderAppearanceOptions(dialog) {
+    const colorOptions = PROJECT_COLORS.map((color) => ({ value: color, label: PROJECT_COLOR_LABELS[color], color }));
+    dialog.setRadioOptions("color", [{ value: "", label: "Default" }, ...colorOptions], "");
+
+    const iconOptions = Object.values(ProjectIcons).map((icon) => ({
+        value: icon,
+        label: PROJECT_ICON_LABELS[icon],
+        iconHref: getProjectIconHref(icon),
+    }));
+    dialog.setRadioOptions("icon", iconOptions, ProjectIcons.FOLDER);
+}
+
+/**
+ * Download the todos of one project, or of every project, as a CSV spreadsheet.
+ * @param {string} projectId The project whose todos to export, or empty for every project.
+ */
+function exportTodosAsCsv(projectId) {
+    const projects = projectId
+        ? [projectManager.getProjectById(projectId)]
+        : projectManager.getDescendantProjects(null); // every project, in tree order
+    const entries = projects.flatMap((project) => project.getTodos().map((todo) => ({ project, todo })));
+    const csv = todosToCsv(entries, (priorityId) => projectManager.getPriorityById(priorityId)?.name ?? priorityId);
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    const blob = new Blob(["\uFEFF", csv], { type: "text/csv" });
+    UIUtils.downloadBlob(blob, `todos-${formatLocalDate(new Date())}.csv`);
+}
+
+/**
+ * @param {File} file
+ * @returns {boolean} Whether the file is a CSV spreadsheet rather than a JSON export.
+ */
+function isCsvFile(file) {
+    return file.type === "text/csv" || file.name.toLowerCase().endsWith(".csv");
+}
+
+/**
+ * Continue importing a CSV file in the CSV import dialog, where its columns are mapped onto todo fields.
+ * @param {string} fileName
+ * @param {string} text The file's contents.
+ */
+function openCsvImport(fileName, text) {
+    const [headers = [], ...rows] = parseCsv(text);
+    if (rows.length === 0) {
+        importDialog.showErrors(["The file has no rows below its header row."]);
+        return;
+    }
+
+    csvRows = rows;
+    importDialog.close();
+    const projects = projectManager.getDescendantProjects(null); // every project, in tree order
+    csvImportDialog.open({
+        fileName,
+        rowCount: rows.length,
+        headers,
+        firstRow: rows[0],
+        mapping: guessColumnMapping(headers),
+        projects: projects.map((project) => ({ value: project.getId(), label: getProjectLabel(project) })),
+        defaultProjectId: (projectManager.getActiveProject() ?? projects[0])?.getId() ?? "",
+    });
+}
+
+/**
+ * Read the rows of a spreadsheet being imported with the options chosen in the CSV import dialog.
+ * @param {string[][]} rows The rows below the header row.
+ * @param {{mapping: Object<string, number|null>, defaultProjectId: string, dayFirst: boolean}} options
+ * @returns {{todos: Object[], invalidRows: Object[], newProjectNames: string[]}} See `readCsvTodos()`; plus the
+ *          projects importing the todos would create.
+ */
+function readCsvImport(rows, { mapping, defaultProjectId, dayFirst }) {
+    const matchPriority = (text) => projectManager.matchPriority(text);
+    const { todos, invalidRows } = readCsvTodos(rows, mapping, { matchPriority, dayFirst });
+    return { todos, invalidRows, newProjectNames: projectManager.previewTodoImport(todos, defaultProjectId) };
+}
+
+/**
+ * Convert the project hierarchy into the plain nested structure rendered by the sidebar.
+ * @param {Array<{project: Project, children: Array}>} tree From `ProjectManager.getProjectTree()`.
+ * @returns {Array<{id: string, name: string, color: string|null, icon: string, collapsed: boolean,
+ *          children: Array}>}
+ */
+function toSidebarTree(tree) {
+    return tree.map(({ project, children }) => ({
+        id: project.getId(),
+        name: project.getName(),
+        color: project.getColor(),
+        icon: project.getIcon(),
+        collapsed: project.isCollapsed(),
+        children: toSidebarTree(children),
+    }));
+}
+
+/**
+ * Describe the items in the trash for the trash view.
+ * @returns {Array<{id: string, isProject: boolean, title: string, origin: string, deletedAt: Date,
+ *          expiresAt: Date, todoCount: number}>}
+ */
+function getTrashEntries() {
+    const retentionDays = projectManager.getTrashRetentionDays();
+
+    return projectManager.getTrash().map((entry) => {
+        const isProject = entry.type === TrashItemTypes.PROJECT;
+        const originId = isProject ? entry.projects[0].getParentId() : entry.projectId;
+        const originProject = projectManager.getProjectById(originId);
+
+        let origin;
+        if (originProject) origin = `${isProject ? "Inside" : "From"} ${getProjectLabel(originProject)}`;
+        else origin = isProject ? "Top level" : "From a deleted project";
+
+        return {
+            id: entry.id,
+            isProject,
+            title: entry.getTitle(),
+            origin,
+            deletedAt: entry.deletedAt,
+            expiresAt: entry.getExpiryDate(retentionDays),
+            todoCount: entry.getTodos().length,
+        };
+    });
+}
+
+/**
+ * Map the id of every blocked todo to the titles of its unfinished blockers.
+ * @returns {Map<string, string[]>}
+ */
+function getBlockedTodos() {
+    const blocked = new Map();
+    projectManager.getAllTodos().forEach(({ todo }) => {
+        const openBlockers = projectManager.getOpenBlockers(todo);
+        if (openBlockers.length > 0) blocked.set(todo.id, openBlockers.map((found) => found.todo.title));
+    });
+    return blocked;
+}
+
+let renderScheduled = false;
+let priorityOptionsStale = false;
+
+/**
+ * Re-render once the current handler has finished, however many change events it caused.
+ */
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    queueMicrotask(() => {
+        renderScheduled = false;
+        if (priorityOptionsStale) {
+            priorityOptionsStale = false;
+            renderPriorityOptions();
+        }
+        renderAll();
+    });
+}
+
+/**
+ * Re-render when the local day changes, so todos scheduled for the new day appear without waiting for an edit.
+ */
+function watchDayChange() {
+    let today = formatLocalDate(new Date());
+    setInterval(() => {
+        const now = formatLocalDate(new Date());
+        if (now === today) return;
+        today = now;
+        scheduleRender();
+    }, DAY_CHANGE_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Subscribe rendering and persistence to the model's change events.
+ */
+function observeModel() {
+    projectManager.subscribe((event) => {
+        if (event.type === ModelEvents.PRIORITIES_CHANGED || event.type === ModelEvents.DATA_REPLACED) {
+            priorityOptionsStale = true;
+        }
+        scheduleRender();
+    });
+
+    autoSaver.start();
+    // Don't lose a pending save when the tab is closed or hidden (mobile browsers may never fire pagehide)
+    window.addEventListener("pagehide", () => autoSaver.flush());
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "hidden") autoSaver.flush();
+    });
+}
 
 /**
  * Helper / wrapper to render the entire app state
@@ -40,9 +599,62 @@ const deleteTodoDialog = new DialogView(document.querySelector("#delete-todo-dia
 function renderAll() {
     const activeProjectId = projectManager.getActiveProject()?.getId();
     const isDefault = projectManager?.isDefaultProject(activeProjectId);
+    const activeTag = projectManager.getActiveTag();
+    const priorities = projectManager.getPriorities();
+    const blockers = getBlockedTodos();
+    const tags = projectManager.getTags().map((tag) => ({
+        name: tag.name,
+        color: tag.color,
+        count: projectManager.getTodosByTag(tag.name).length,
+    }));
 
-    sidebarView.update(projectManager?.getProjects(), activeProjectId);
-    todoListView.update(projectManager?.getActiveProject(), { isDefault: isDefault });
+    sidebarView.update(toSidebarTree(projectManager.getProjectTree()), activeProjectId, {
+        tags,
+        activeTagName: activeTag?.name,
+        trashCount: projectManager.getTrash().length,
+        trashOpen: projectManager.isTrashOpen(),
+    });
+
+    if (projectManager.isTrashOpen()) {
+        todoListView.updateTrashView(getTrashEntries(), { retentionDays: projectManager.getTrashRetentionDays() });
+    } else if (activeTag) {
+        todoListView.updateTagView(activeTag, projectManager.getTodosByTag(activeTag.name), {
+            tags,
+            priorities,
+            blockers,
+        });
+    } else {
+        const activeProject = projectManager.getActiveProject();
+        const hasSubProjects = !!activeProject && projectManager.getChildProjects(activeProjectId).length > 0;
+        const rollUp = hasSubProjects && activeProject.isRollUp();
+
+        todoListView.update(activeProject, {
+            isDefault: isDefault,
+            tags,
+            priorities,
+            blockers,
+            hasSubProjects,
+            rollUp,
+            rolledUpTodos: rollUp
+                ? sortTodos(
+                      projectManager.getRolledUpTodos(activeProjectId),
+                      activeProject.getSortOrder(),
+                      (entry) => entry.todo,
+                      priorities
+                  )
+                : [],
+        });
+    }
+
+    // Keep an open detail panel in sync; its todo may have been deleted (or undone out of existence)
+    if (todoDetailDialog.isOpen()) {
+        const found = projectManager.findTodo(todoDetailDialog.getTodoId());
+        if (found) {
+            todoDetailDialog.update(found.todo, { priorities });
+        } else {
+            todoDetailDialog.close();
+        }
+    }
 }
 
 /**
@@ -55,67 +667,269 @@ function assignCallbacks() {
 
     sidebarView.setOnProjectSelected((id) => {
         projectManager.setActiveProject(id);
-        renderAll();
+    });
+
+    sidebarView.setOnProjectCollapseToggled((id) => {
+        projectManager.getProjectById(id).toggleCollapsed();
+    });
+
+    sidebarView.setOnProjectReordered((projectId, targetProjectId, placement) => {
+        commit("Reorder projects", () => projectManager.reorderProject(projectId, targetProjectId, placement));
     });
 
     sidebarView.setOnCreateProjectClicked(() => {
-        newProjectDialog.open();
+        renderParentOptions(newProjectDialog);
+        renderTemplateOptions();
+        newProjectDialog.open({ startDate: new Date() });
+    });
+
+    sidebarView.setOnSettingsClicked(() => {
+        prioritySettingsDialog.open(projectManager.getPriorities());
+    });
+
+    sidebarView.setOnTrashClicked(() => {
+        projectManager.openTrash();
+        projectManager.purgeTrash();
+        cleanUpAttachments();
+    });
+
+    sidebarView.setOnExportClicked(() => {
+        const options = projectManager
+            .getDescendantProjects(null) // every project, in tree order
+            .map((project) => ({ value: project.getId(), label: getProjectLabel(project) }));
+        exportDialog.setSelectOptions("scope", [{ value: "", label: "All projects" }, ...options], "");
+        exportDialog.open();
+    });
+
+    sidebarView.setOnImportClicked(() => {
+        importDialog.open();
+    });
+
+    sidebarView.setOnTagSelected((tagName) => {
+        projectManager.setActiveTag(tagName);
+    });
+
+    toastView.setOnAction(() => undo());
+
+    todoListView.setOnTagColorChanged((tagName, color) => {
+        commit("Change tag colour", () => projectManager.setTagColor(tagName, color));
+    });
+
+    todoListView.setOnDeleteTagClicked((tagName) => {
+        deleteTagDialog.open({ tagName });
     });
 
     todoListView.setOnEditProjectClicked((projectId) => {
         const project = projectManager.getProjectById(projectId);
-        editProjectDialog.open({ id: projectId, name: project.getName() });
+        renderParentOptions(editProjectDialog, projectId);
+        editProjectDialog.open({
+            id: projectId,
+            name: project.getName(),
+            parentId: project.getParentId() ?? "",
+            color: project.getColor() ?? "",
+            icon: project.getIcon(),
+        });
     });
 
     todoListView.setOnDeleteProjectClicked((projectId) => {
         const project = projectManager.getProjectById(projectId);
-        deleteProjectDialog.open({ id: projectId, name: project.getName() });
+        deleteProjectDialog.open({
+            id: projectId,
+            name: project.getName(),
+            hasSubProjects: String(projectManager.getChildProjects(projectId).length > 0),
+        });
+    });
+
+    todoListView.setOnRollUpToggled((projectId) => {
+        projectManager.getProjectById(projectId).toggleRollUp();
+    });
+
+    todoListView.setOnShowScheduledToggled((projectId) => {
+        projectManager.getProjectById(projectId).toggleShowScheduled();
+    });
+
+    todoListView.setOnTodoSortChanged((projectId, sortOrder) => {
+        projectManager.getProjectById(projectId).setSortOrder(sortOrder);
     });
 
     todoListView.setOnStarProjectClicked((projectId) => {
-        projectManager.setDefaultProject(projectId);
-        renderAll();
-        projectManager.saveToStorage();
+        commit("Star project", () => projectManager.setDefaultProject(projectId));
+    });
+
+    todoListView.setOnRestoreTrashItemClicked((entryId) => {
+        commit("Restore from Trash", () => projectManager.restoreFromTrash(entryId));
+    });
+
+    todoListView.setOnDeleteTrashItemClicked((entryId) => {
+        deleteForeverDialog.open({ entryId, title: projectManager.getTrashEntryById(entryId).getTitle() });
+    });
+
+    todoListView.setOnEmptyTrashClicked(() => {
+        emptyTrashDialog.open();
+    });
+
+    todoListView.setOnTrashRetentionChanged((days) => {
+        projectManager.setTrashRetentionDays(days);
+        projectManager.purgeTrash();
+        cleanUpAttachments();
+    });
+
+    todoListView.setOnSaveAsTemplateClicked((projectId) => {
+        const project = projectManager.getProjectById(projectId);
+        // Measure due dates from the earliest one by default, so the template starts on its first deadline
+        const dueDates = project.getTodos().map((todo) => todo.dueDate).filter(Boolean);
+        const startDate = dueDates.length > 0 ? new Date(Math.min(...dueDates)) : new Date();
+        saveTemplateDialog.open({ projectId, projectName: project.getName(), name: project.getName(), startDate });
+    });
+
+    todoListView.setOnTimeReportClicked((projectId) => {
+        const project = projectManager.getProjectById(projectId);
+        timeReportDialog.open(project.getName(), project.getTimeReport());
+    });
+
+    todoListView.setOnTodoTimerToggled((projectId, todoId) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        if (todo.isTimerRunning()) {
+            todo.stopTimer();
+        } else {
+            projectManager.startTodoTimer(todoId);
+        }
+    });
+
+    reminderBannerView.setOnSnooze((projectId, todoId, reminderId, minutes) => {
+        // The todo may have been deleted while the banner was shown
+        projectManager.findTodo(todoId)?.todo.snoozeReminder(reminderId, minutes);
     });
 
     todoListView.setOnCreateTodoClicked((projectId) => {
+        renderBlockerOptions(newTodoDialog);
         newTodoDialog.open({ projectId });
     });
 
     todoListView.setOnTodoToggled((projectId, todoId) => {
         const project = projectManager.getProjectById(projectId);
         const todo = project.getTodoById(todoId);
-        todo.toggleCompleted();
-        renderAll();
-        projectManager.saveToStorage();
+
+        // Completing a blocked todo needs confirmation
+        const openBlockers = todo.completed ? [] : projectManager.getOpenBlockers(todo);
+        if (openBlockers.length > 0) {
+            completeBlockedTodoDialog.open({
+                projectId,
+                todoId,
+                blockerTitles: openBlockers.map((found) => found.todo.title).join(", "),
+            });
+            return;
+        }
+
+        commit(todo.completed ? "Reopen todo" : "Complete todo", () => projectManager.toggleTodoCompleted(todo.id));
+    });
+
+    todoListView.setOnTodoReordered((todoId, targetTodoId, placement) => {
+        const project = projectManager.findTodo(todoId)?.project;
+        if (!project) return;
+        commit("Reorder todos", () => project.reorderTodo(todoId, targetTodoId, placement));
+    });
+
+    todoListView.setOnTodoDroppedOnProject((todoId, projectId) => {
+        if (projectManager.findTodo(todoId)?.project.getId() === projectId) return;
+        commit("Move todo", () => projectManager.moveTodo(todoId, projectId));
     });
 
     todoListView.setOnTodoExpandToggled((projectId, todoId) => {
         const project = projectManager.getProjectById(projectId);
         const todo = project.getTodoById(todoId);
+        todo.toggleExpanded();
+    });
 
-        // Only toggle if there's actually a description
-        if (todo.description && todo.description.trim() !== "") {
-            todo.toggleExpanded();
-            todoListView.expandTodo(todoId);
-        }
+    todoListView.setOnChecklistItemToggled((projectId, todoId, itemId) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        commit("Toggle checklist item", () => todo.toggleChecklistItem(itemId));
+    });
 
-        projectManager.saveToStorage();
+    todoListView.setOnChecklistItemAdded((projectId, todoId, text) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        commit("Add checklist item", () => todo.addChecklistItem(text));
+    });
+
+    todoListView.setOnChecklistItemRemoved((projectId, todoId, itemId) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        commit("Remove checklist item", () => todo.removeChecklistItem(itemId), { toast: "Checklist item removed" });
+    });
+
+    todoListView.setOnChecklistItemMoved((projectId, todoId, itemId, toIndex) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        commit("Move checklist item", () => todo.moveChecklistItem(itemId, toIndex));
     });
 
     todoListView.setOnEditTodoClicked((projectId, todoId) => {
         const project = projectManager.getProjectById(projectId);
         const todo = project.getTodoById(todoId);
+        renderBlockerOptions(editTodoDialog, todo.id);
         editTodoDialog.open({
             projectId: project.id,
             todoId: todo.id,
             title: todo.title,
             description: todo.description,
             dueDate: todo.dueDate,
+            dueTime: todo.dueTime ?? "",
+            scheduledDate: todo.scheduledDate ?? "",
             priority: todo.priority,
+            ...recurrenceToFormData(todo.recurrence),
+            tags: todo.tags.join(", "),
+            blockedBy: todo.blockedBy,
+            estimateHours: todo.estimateMinutes ? todo.estimateMinutes / 60 : "",
+            ...remindersToFormData(todo.reminders),
         });
     });
 
+    todoListView.setOnMoveTodoClicked((projectId, todoId) => {
+        const project = projectManager.getProjectById(projectId);
+        const todo = project.getTodoById(todoId);
+        const projects = projectManager.getDescendantProjects(null); // every project, in tree order
+        const options = projects.map((p) => ({
+            value: p.getId(),
+            label: p === project ? `${getProjectLabel(p)} (current)` : getProjectLabel(p),
+        }));
+        const defaultTarget = projects.find((p) => p !== project) ?? project;
+
+        moveTodoDialog.setSelectOptions("targetProjectId", options, defaultTarget.getId());
+        moveTodoDialog.open({ projectId, todoId, title: todo.title });
+    });
+
+    todoListView.setOnTodoDetailsClicked((projectId, todoId) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        todoDetailDialog.open(todo, { priorities: projectManager.getPriorities() });
+    });
+
+    todoDetailDialog.setOnCommentAdded((todoId, text) => {
+        const todo = projectManager.findTodo(todoId)?.todo;
+        if (!todo) return;
+        commit("Add comment", () => todo.addComment(text));
+    });
+
+    todoDetailDialog.setOnCommentDeleted((todoId, commentId) => {
+        const todo = projectManager.findTodo(todoId)?.todo;
+        if (!todo) return;
+        commit("Delete comment", () => todo.removeComment(commentId), { toast: "Comment deleted" });
+    });
+
+    todoListView.setAttachmentLoader((attachmentId) => attachmentStore.get(attachmentId));
+
+    todoListView.setOnAttachmentDownloadClicked(async (projectId, todoId, attachmentId) => {
+        const attachment = projectManager.getProjectById(projectId).getTodoById(todoId).getAttachmentById(attachmentId);
+        const blob = await attachmentStore.get(attachmentId).catch(() => null);
+        if (!blob) {
+            toastView.show(`The contents of "${attachment.name}" are missing`);
+            return;
+        }
+        UIUtils.downloadBlob(blob, attachment.name);
+    });
+
+    todoListView.setOnAttachmentRemoveClicked((projectId, todoId, attachmentId) => {
+        const todo = projectManager.getProjectById(projectId).getTodoById(todoId);
+        commit("Remove attachment", () => todo.removeAttachment(attachmentId), { toast: "Attachment removed" });
+    });
+
     todoListView.setOnDeleteTodoClicked((projectId, todoId) => {
         const project = projectManager.getProjectById(projectId);
         const todo = project.getTodoById(todoId);
@@ -130,64 +944,232 @@ function assignCallbacks() {
     // ==================================
 
     newProjectDialog.setOnSubmit((data) => {
-        projectManager.createProject(data.name);
-        renderAll();
-        projectManager.saveToStorage();
+        const template = projectManager.getTemplateById(data.templateId);
+        const appearance = { color: data.color || null, icon: data.icon };
+        if (!template) {
+            commit("Create project", () => {
+                projectManager.createProject(data.name, data.parentId || null).setAppearance(appearance);
+            });
+            return;
+        }
+
+        const name = data.name.trim() || template.name;
+        const startDate = parseLocalDate(data.startDate) ?? new Date();
+        const parentId = data.parentId || null;
+        commit("Create project from template", () => {
+            projectManager.createProjectFromTemplate(template.id, name, startDate, parentId)?.setAppearance(appearance);
+        });
+    });
+
+    saveTemplateDialog.setOnSubmit((data) => {
+        const name = data.name.trim() || data.projectName;
+        const startDate = parseLocalDate(data.startDate) ?? new Date();
+        commit("Save template", () => projectManager.saveProjectAsTemplate(data.projectId, name, startDate));
+        toastView.show(`Saved template "${name}"`);
     });
 
     editProjectDialog.setOnSubmit((data) => {
-        const project = projectManager.getProjectById(data.id);
-        project.setName(data.name);
-        renderAll();
-        projectManager.saveToStorage();
+        commit("Edit project", () => {
+            const project = projectManager.getProjectById(data.id);
+            project.setName(data.name);
+            project.setAppearance({ color: data.color || null, icon: data.icon });
+            projectManager.setProjectParent(data.id, data.parentId || null);
+        });
     });
 
     deleteProjectDialog.setOnSubmit((data) => {
-        projectManager.deleteProjectById(data.id);
-        renderAll();
-        projectManager.saveToStorage();
+        commit(
+            "Delete project",
+            () => projectManager.trashProject(data.id, { cascade: data.subProjectAction === "cascade" }),
+            { toast: "Project moved to the Trash" }
+        );
     });
 
     newTodoDialog.setOnSubmit((data) => {
-        const project = projectManager.getProjectById(data.projectId);
-        project.createTodo(data.title, data.description, data.dueDate, data.priority);
-        renderAll();
-        projectManager.saveToStorage();
+        const reminders = remindersFromFormData(data);
+        if (reminders.length > 0) NotificationUtils.requestPermission();
+
+        let todoId = null;
+        commit("Create todo", () => {
+            const project = projectManager.getProjectById(data.projectId);
+            const todo = project.createTodo(data.title, data.description, data.dueDate, data.priority, {
+                dueTime: data.dueTime,
+                scheduledDate: data.scheduledDate || null,
+                recurrence: recurrenceFromFormData(data),
+                tags: tagsFromFormData(data.tags),
+                estimateMinutes: estimateFromFormData(data.estimateHours),
+                reminders,
+            });
+            projectManager.setTodoBlockers(todo.id, data.blockedBy ?? []);
+            todoId = todo.id;
+        });
+        reminderScheduler.check();
+        attachFiles(todoId, data.attachments);
     });
 
     editTodoDialog.setOnSubmit((data) => {
-        const project = projectManager.getProjectById(data.projectId);
-        const todo = project.getTodoById(data.todoId);
+        const reminders = remindersFromFormData(data);
+        if (reminders.length > 0) NotificationUtils.requestPermission();
 
-        todo.updateData({
-            title: data.title,
-            description: data.description,
-            dueDate: data.dueDate ? new Date(data.dueDate) : null,
-            priority: data.priority,
+        commit("Edit todo", () => {
+            const todo = projectManager.getProjectById(data.projectId).getTodoById(data.todoId);
+            todo.updateData({
+                title: data.title,
+                description: data.description,
+                dueDate: data.dueDate || null,
+                dueTime: data.dueTime,
+                scheduledDate: data.scheduledDate || null,
+                priority: data.priority,
+                recurrence: recurrenceFromFormData(data),
+                tags: tagsFromFormData(data.tags),
+                estimateMinutes: estimateFromFormData(data.estimateHours),
+                reminders,
+            });
+            projectManager.setTodoBlockers(todo.id, data.blockedBy ?? []);
         });
+        reminderScheduler.check();
+        attachFiles(data.todoId, data.attachments);
+    });
 
-        renderAll();
-        projectManager.saveToStorage();
+    moveTodoDialog.setOnSubmit((data) => {
+        const project = projectManager.getProjectById(data.projectId);
+        const todos = {
+            todo: [project.getTodoById(data.todoId)],
+            completed: project.getTodos().filter((todo) => todo.completed),
+            all: project.getTodos(),
+        }[data.scope];
+        const todoIds = todos.map((todo) => todo.id);
+
+        if (data.mode === "copy") {
+            commit("Copy todos", () => projectManager.copyTodos(todoIds, data.targetProjectId));
+        } else {
+            commit("Move todos", () => projectManager.moveTodos(todoIds, data.targetProjectId));
+        }
     });
 
     deleteTodoDialog.setOnSubmit((data) => {
-        const project = projectManager.getProjectById(data.projectId);
-        project.deleteTodoById(data.todoId);
-        renderAll();
-        projectManager.saveToStorage();
+        commit("Delete todo", () => projectManager.trashTodo(data.todoId), { toast: "Todo moved to the Trash" });
     });
 
-    // Cancel handlers
-    [newProjectDialog, editProjectDialog, deleteProjectDialog, newTodoDialog, editTodoDialog, deleteTodoDialog].forEach(
-        (dialog) => {
-            dialog.setOnCancel(() => {});
+    prioritySettingsDialog.setOnSubmit((levels) => {
+        commit("Edit priority levels", () => projectManager.setPriorities(levels));
+        renderPriorityOptions();
+    });
+
+    // The data of the file picked last in the import dialog, once it has been read and validated
+    let importedData = null;
+    let importedFile = null;
+
+    importDialog.setOnFileChosen(async (file) => {
+        importedData = null;
+        importedFile = file;
+        const text = await file.text().catch(() => null);
+        if (file !== importedFile) return; // another file was picked meanwhile
+        if (text === null) {
+            importDialog.showErrors(["The file can't be read."]);
+            return;
         }
-    );
+        if (isCsvFile(file)) {
+            openCsvImport(file.name, text);
+            return;
+        }
+
+        const { data, exportedAt, errors } = parseExport(text);
+        if (errors.length > 0) {
+            importDialog.showErrors(errors);
+            return;
+        }
+        importedData = data;
+        importDialog.showPreview({ ...projectManager.previewImport(data), exportedAt });
+    });
+
+    importDialog.setOnSubmit((mode) => {
+        if (!importedData) return;
+        const data = importedData;
+        try {
+            commit("Import data", () => projectManager.importData(data, mode), { toast: "Data imported" });
+        } catch (error) {
+            console.error("Importing data failed:", error);
+            toastView.show("The file couldn't be imported. Your data is unchanged.");
+        }
+    });
+
+    exportDialog.setOnSubmit((data) => {
+        if (data.format === "csv") {
+            exportTodosAsCsv(data.scope);
+            return;
+        }
+        const blob = new Blob([projectManager.exportData()], { type: "application/json" });
+        UIUtils.downloadBlob(blob, `todos-${formatLocalDate(new Date())}.json`);
+    });
+
+    csvImportDialog.setOnOptionsChanged((options) => {
+        const { todos, invalidRows, newProjectNames } = readCsvImport(csvRows, options);
+        csvImportDialog.showPreview({ todoCount: todos.length, newProjectNames, invalidRows });
+    });
+
+    csvImportDialog.setOnSubmit((options) => {
+        const { todos, invalidRows } = readCsvImport(csvRows, options);
+        csvRows = [];
+        if (todos.length === 0) return;
+
+        const imported = todos.length === 1 ? "1 todo imported" : `${todos.length} todos imported`;
+        const skipped =
+            invalidRows.length === 1 ? "1 invalid row skipped" : `${invalidRows.length} invalid rows skipped`;
+        commit("Import todos", () => projectManager.importTodos(todos, options.defaultProjectId), {
+            toast: invalidRows.length > 0 ? `${imported}, ${skipped}` : imported,
+        });
+    });
+
+    completeBlockedTodoDialog.setOnSubmit((data) => {
+        commit("Complete todo", () => projectManager.toggleTodoCompleted(data.todoId));
+    });
+
+    deleteTagDialog.setOnSubmit((data) => {
+        commit("Delete tag", () => projectManager.deleteTag(data.tagName), { toast: "Tag deleted" });
+    });
+
+    deleteForeverDialog.setOnSubmit((data) => {
+        commit("Delete forever", () => projectManager.deleteFromTrash(data.entryId), { toast: "Deleted for good" });
+    });
+
+    emptyTrashDialog.setOnSubmit(() => {
+        commit("Empty Trash", () => projectManager.emptyTrash(), { toast: "Trash emptied" });
+    });
+
+    // Cancel handlers
+    [
+        newProjectDialog,
+        editProjectDialog,
+        deleteProjectDialog,
+        newTodoDialog,
+        editTodoDialog,
+        deleteTodoDialog,
+        moveTodoDialog,
+        deleteForeverDialog,
+        emptyTrashDialog,
+        deleteTagDialog,
+        saveTemplateDialog,
+        completeBlockedTodoDialog,
+    ].forEach((dialog) => {
+        dialog.setOnCancel(() => {});
+    });
 }
 
 export async function initApp() {
+    // Storage is async: load before wiring up the UI, so nothing can be changed before the saved data replaces it
+    keepAllAttachments = !(await projectManager.loadFromStorage());
     assignCallbacks();
-    projectManager.loadFromStorage();
+    setupKeyboardShortcuts();
+    observeModel();
+    projectManager.purgeTrash();
+    cleanUpAttachments();
     // initial render
+    renderPriorityOptions();
+    renderAppearanceOptions(newProjectDialog);
+    renderAppearanceOptions(editProjectDialog);
     renderAll();
+    // Fires reminders that came due while the app was closed, then keeps checking
+    reminderScheduler.start();
+    watchDayChange();
 }
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Keeps a bounded undo/redo history of executed commands.
+ *
+ * Responsibilities:
+ *  - Execute commands and remember them so they can be undone, most recent first.
+ *  - Redo undone commands until a new command is executed.
+ *  - Drop the oldest commands once the history is full.
+ *
+ * A command is any object with:
+ *  {
+ *      label: string,     // what the command did, e.g. "Delete todo"
+ *      execute(): void,   // performs (or re-performs) the change
+ *      undo(): void,      // reverts the change
+ *  }
+ *
+ * Exports:
+ *  - History — Class representing an undo/redo history.
+ *
+ * Example:
+ *  const history = new History(50);
+ *  history.execute(command);
+ *  history.undo(); // returns the undone command
+ *  history.redo();
+ *
+ * @module History
+ */
+
+const DEFAULT_LIMIT = 50;
+
+export class History {
+    /**
+     * @param {number} [limit] How many commands can be undone at most.
+     */
+    constructor(limit = DEFAULT_LIMIT) {
+        this.limit = limit;
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+
+    /**
+     * Execute a command and add it to the history, discarding anything that could have been redone.
+     * @param {{label: string, execute: () => void, undo: () => void}} command
+     */
+    execute(command) {
+        command.execute();
+        this._undoStack.push(command);
+        if (this._undoStack.length > this.limit) this._undoStack.shift();
+        this._redoStack = [];
+    }
+
+    /**
+     * @returns {Object|null} The undone command, or null if there was nothing to undo.
+     */
+    undo() {
+        const command = this._undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this._redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * @returns {Object|null} The redone command, or null if there was nothing to redo.
+     */
+    redo() {
+        const command = this._redoStack.pop();
+        if (!command) return null;
+
+        command.execute();
+        this._undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * @returns {Object[]} Every command that can currently be undone or redone.
+     */
+    getCommands() {
+        return [...this._undoStack, ...this._redoStack];
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+}
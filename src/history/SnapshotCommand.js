@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Defines SnapshotCommand, a command that makes any change to the ProjectManager undoable.
+ *
+ * Responsibilities:
+ *  - Run a change once, capturing the data before and after it.
+ *  - Undo by restoring the "before" data and redo by restoring the "after" data, so the change itself never has
+ *    to be written twice (or inverted by hand).
+ *
+ * The ProjectManager decides what a snapshot contains; pure view state such as expanded todos is not affected by
+ * undo/redo (see `ProjectManager.restoreSnapshot()`).
+ *
+ * Exports:
+ *  - SnapshotCommand — Class representing one undoable change.
+ *
+ * Example:
+ *  history.execute(new SnapshotCommand("Rename project", projectManager, () => project.setName("Home")));
+ *
+ * @module SnapshotCommand
+ */
+
+export class SnapshotCommand {
+    /**
+     * @param {string} label What the change does, e.g. "Delete todo".
+     * @param {{createSnapshot: () => Object, restoreSnapshot: (snapshot: Object) => void}} model
+     *        The ProjectManager.
+     * @param {() => void} change Performs the change on the model.
+     */
+    constructor(label, model, change) {
+        this.label = label;
+        this._model = model;
+        this._change = change;
+        this._before = null;
+        this._after = null;
+    }
+
+    execute() {
+        if (this._after) {
+            this._model.restoreSnapshot(this._after);
+            return;
+        }
+
+        this._before = this._model.createSnapshot();
+        this._change();
+        this._after = this._model.createSnapshot();
+    }
+
+    undo() {
+        this._model.restoreSnapshot(this._before);
+    }
+
+    /**
+     * @returns {Object[]} The data this command can restore (none before it has run).
+     */
+    getSnapshots() {
+        return [this._before, this._after].filter(Boolean);
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Defines the ActivityEntry class, one automatically recorded change in a Todo's activity log.
+ *
+ * Responsibilities:
+ *  - Record what kind of change happened, the values before and after it (where relevant) and when.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - ActivityTypes — Immutable object literal simulating an enum of the changes that are logged.
+ *  - ActivityEntry — Class representing one entry in the activity log.
+ *
+ * Example:
+ *  const entry = new ActivityEntry(ActivityTypes.RENAMED, { from: "Buy milk", to: "Buy oat milk" });
+ *
+ * @module ActivityEntry
+ */
+
+export const ActivityTypes = Object.freeze({
+    CREATED: "Created",
+    RENAMED: "Renamed", // from/to: titles
+    PRIORITY_CHANGED: "PriorityChanged", // from/to: priority level ids
+    DUE_DATE_CHANGED: "DueDateChanged", // from/to: dates, either may be null
+    COMPLETED: "Completed",
+    REOPENED: "Reopened",
+});
+
+export class ActivityEntry {
+    /**
+     * @param {string} type One of ActivityTypes.
+     * @param {{from?: *, to?: *, at?: Date|string}} [details] The values before and after the change, and when
+     *        it happened (defaults to now).
+     */
+    constructor(type, { from = null, to = null, at } = {}) {
+        this.id = crypto.randomUUID();
+        this.type = type;
+        this.from = from;
+        this.to = to;
+        this.at = at ? new Date(at) : new Date();
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Defines the Attachment class, the metadata of one file attached to a Todo.
+ *
+ * Responsibilities:
+ *  - Hold the file's name, MIME type, size in bytes and when it was attached.
+ *  - Automatically generate a unique id for each instance, which is also the key of the file's contents in the
+ *    AttachmentStore (the contents are too large for the main saved state).
+ *  - Tell whether the file is an image that can be shown as a thumbnail.
+ *
+ * Exports:
+ *  - Attachment — Class representing one attached file.
+ *  - MAX_ATTACHMENT_SIZE_BYTES — The largest file that can be attached.
+ *  - formatFileSize — Function formatting a size in bytes for display, e.g. "1.2 MB".
+ *
+ * Example:
+ *  const attachment = Attachment.fromFile(file);
+ *  await attachmentStore.put(attachment.id, file);
+ *  todo.addAttachment(attachment);
+ *
+ * @module Attachment
+ */
+
+const SIZE_UNITS = ["B", "KB", "MB", "GB"];
+
+export const MAX_ATTACHMENT_SIZE_BYTES = 25 * 1024 * 1024;
+
+export class Attachment {
+    /**
+     * @param {string} name The file name, e.g. "receipt.pdf".
+     * @param {string} [type] The MIME type, e.g. "application/pdf"; empty when the browser doesn't know it.
+     * @param {number} [size] In bytes.
+     * @param {{id?: string, addedAt?: Date|string}} [options] Used when restoring saved attachments.
+     */
+    constructor(name, type = "", size = 0, { id, addedAt } = {}) {
+        this.id = id ?? crypto.randomUUID();
+        this.name = name;
+        this.type = type;
+        this.size = size;
+        this.addedAt = addedAt ? new Date(addedAt) : new Date();
+    }
+
+    /**
+     * @param {File} file
+     * @returns {Attachment} The metadata of a file picked or dropped by the user.
+     */
+    static fromFile(file) {
+        return new Attachment(file.name, file.type, file.size);
+    }
+
+    isImage() {
+        return this.type.startsWith("image/");
+    }
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "512 B", "1.2 MB".
+ */
+export function formatFileSize(bytes) {
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < SIZE_UNITS.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} B` : `${size.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
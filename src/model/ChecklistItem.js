@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Defines the ChecklistItem class, a single step inside a Todo's checklist.
+ *
+ * Responsibilities:
+ *  - Hold the text and done state of one checklist step.
+ *  - Toggle the done state through `toggleDone()`.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - ChecklistItem — Class representing one checklist step.
+ *
+ * Example:
+ *  const item = new ChecklistItem("Draft the agenda");
+ *  item.toggleDone();
+ *
+ * @module ChecklistItem
+ */
+
+export class ChecklistItem {
+    constructor(text = "Untitled Item") {
+        this.id = crypto.randomUUID();
+        if (!text || text.trim() === "") {
+            text = "Untitled Item";
+        }
+        this.text = text;
+        this.done = false;
+    }
+
+    toggleDone() {
+        this.done = !this.done;
+    }
+
+    setText(text) {
+        if (!text || text.trim() === "") {
+            text = "Untitled Item";
+        }
+        this.text = text;
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Defines the Comment class, one timestamped note in a Todo's comment thread.
+ *
+ * Responsibilities:
+ *  - Hold the comment's text and when it was written.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - Comment — Class representing one comment.
+ *
+ * Example:
+ *  const comment = new Comment("Moved to Friday, waiting on the design review");
+ *  comment.createdAt; // now
+ *
+ * @module Comment
+ */
+
+export class Comment {
+    /**
+     * @param {string} text
+     * @param {Date|string} [createdAt] Defaults to now.
+     */
+    constructor(text, createdAt) {
+        this.id = crypto.randomUUID();
+        this.text = text.trim();
+        this.createdAt = createdAt ? new Date(createdAt) : new Date();
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Defines the Observable base class that lets models announce their changes, and the list of change
+ * events they emit.
+ *
+ * Responsibilities:
+ *  - Keep a set of listeners registered with `subscribe()`, each removable with the function it returns.
+ *  - Deliver change events (`{ type, ...details }`) to every listener, in subscription order.
+ *
+ * Exports:
+ *  - ModelEvents — Immutable object literal simulating an enum of change event types.
+ *  - Observable — Base class for Todo, Project and ProjectManager.
+ *
+ * Events bubble up: a Project re-emits the events of its todos with `project` added, and the ProjectManager
+ * re-emits the events of its projects, so subscribing to the ProjectManager is enough to see every change.
+ *
+ * Example:
+ *  const unsubscribe = projectManager.subscribe((event) => {
+ *      if (event.type === ModelEvents.TODO_UPDATED) console.log(event.todo.title, event.field);
+ *  });
+ *  unsubscribe();
+ *
+ * @module Observable
+ */
+
+export const ModelEvents = Object.freeze({
+    TODO_ADDED: "todo-added", // { project, todo }
+    TODO_UPDATED: "todo-updated", // { project, todo, field }
+    TODO_REMOVED: "todo-removed", // { project, todo }
+    TODOS_REORDERED: "todos-reordered", // { project }
+    PROJECT_ADDED: "project-added", // { project }
+    PROJECT_UPDATED: "project-updated", // { project, field }, e.g. a rename has field "name"
+    PROJECT_REMOVED: "project-removed", // { project }
+    PROJECTS_REORDERED: "projects-reordered",
+    ACTIVE_CHANGED: "active-changed", // the active project, tag or trash view changed
+    TAGS_CHANGED: "tags-changed",
+    PRIORITIES_CHANGED: "priorities-changed",
+    TRASH_CHANGED: "trash-changed",
+    TEMPLATES_CHANGED: "templates-changed",
+    DATA_REPLACED: "data-replaced", // all data was replaced, e.g. loaded or restored by undo/redo
+});
+
+export class Observable {
+    constructor() {
+        /** @type {Set<(event: {type: string}) => void>} */
+        this._listeners = new Set();
+    }
+
+    /**
+     * @param {(event: {type: string}) => void} listener Called with every change event.
+     * @returns {() => void} Removes the listener again.
+     */
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * @param {string} type One of ModelEvents.
+     * @param {Object} [details] Extra event properties, e.g. the todo that changed.
+     */
+    _emit(type, details = {}) {
+        const event = { type, ...details };
+        this._listeners.forEach((listener) => listener(event));
+    }
+}
@@ -1,24 +1,34 @@
 /**
- * @fileoverview Defines an enum-like object for task priority levels.
+ * @fileoverview Defines the built-in task priority levels.
+ *
+ * Priority levels are user-configurable (see `ProjectManager.setPriorities()`); a todo stores the id of its
+ * level. The built-in levels keep the ids below so todos saved before levels became configurable still
+ * resolve, even after the levels are renamed or recoloured.
  *
  * Responsibilities:
- *  - Provide consistent, readable constants for task priorities.
- *  - Prevent invalid string literals from being used across the codebase.
+ *  - Provide consistent, readable constants for the ids of the built-in priority levels.
+ *  - Provide the default list of levels (name, colour, sort weight) used on first launch.
  *
  * Exports:
- *  - Priorities — Immutable object literal simulating an enum.
+ *  - Priorities — Immutable object literal simulating an enum of built-in level ids.
+ *  - DEFAULT_PRIORITY_LEVELS — Immutable list of the built-in levels.
  *
  * Example:
- *  - Priorities.URGENT → "URGENT"
- *  - Priorities.IMPORTANT → "IMPORTANT"
- *  - Priorities.LOW → "LOW"
+ *  - Priorities.URGENT → "Urgent"
+ *  - Priorities.IMPORTANT → "Important"
+ *  - Priorities.LOW → "Low"
  *
  * @module Priorities
  */
 
-
 export const Priorities = Object.freeze({
     URGENT: "Urgent",
     IMPORTANT: "Important",
     LOW: "Low",
-});
\ No newline at end of file
+});
+
+export const DEFAULT_PRIORITY_LEVELS = Object.freeze([
+    Object.freeze({ id: Priorities.URGENT, name: "Urgent", color: "#ef4444", weight: 3 }),
+    Object.freeze({ id: Priorities.IMPORTANT, name: "Important", color: "#f59e0b", weight: 2 }),
+    Object.freeze({ id: Priorities.LOW, name: "Low", color: "#22c55e", weight: 1 }),
+]);
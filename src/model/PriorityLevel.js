@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Defines the PriorityLevel class, one user-defined priority a todo can be given.
+ *
+ * Responsibilities:
+ *  - Hold a level's display name, badge colour and sort weight (higher weight = more important).
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - PriorityLevel — Class representing a priority level in the ProjectManager's list.
+ *
+ * Example:
+ *  const level = new PriorityLevel("Blocker", "#7f1d1d", 5);
+ *
+ * @module PriorityLevel
+ */
+
+export class PriorityLevel {
+    constructor(name = "Untitled Priority", color = "#94a3b8", weight = 0) {
+        this.id = crypto.randomUUID();
+        if (!name || name.trim() === "") {
+            name = "Untitled Priority";
+        }
+        this.name = name;
+        this.color = color;
+        this.weight = Number(weight) || 0;
+    }
+}
@@ -3,9 +3,18 @@
  *
  * Responsibilities:
  *  - Maintain a list of Todo instances in `todos`.
- *  - Create new todos with `createTodo()` and add them to the list.
- *  - Remove individual todos by ID using `deleteTodoById()` or remove all todos with `deleteAllTodos()`.
- *  - Retrieve todos via `getTodos()` or `getTodoById()`.
+ *  - Create new todos with `createTodo()` and add them to the list, or add existing ones with `addTodo()`.
+ *  - Remove individual todos by ID using `deleteTodoById()` or remove all todos with `deleteAllTodos()`,
+ *    notifying the callback registered with `setOnTodoDeleted()` so references to them can be cleaned up.
+ *  - Retrieve todos via `getTodos()` or `getTodoById()`, in the order the user arranged them (`reorderTodo()`),
+ *    or via `getSortedTodos()` in the project's chosen sort order (see TodoSortOrders).
+ *  - Summarise the time logged against its todos per day with `getTimeReport()`.
+ *  - Hold its place in the project hierarchy (`parentId`, null for top-level projects) along with whether it is
+ *    collapsed in the sidebar, whether viewing it rolls up its sub-projects' todos and whether it shows todos
+ *    scheduled for a later day. The hierarchy itself is managed by the ProjectManager.
+ *  - Hold its appearance: a colour (null for the theme's text colour) and an icon, see ProjectAppearance.
+ *  - Emit change events (see ModelEvents) when todos are added or removed or the project itself changes, and
+ *    re-emit the events of its todos with the project attached.
  *  - Provide a helper `printTodos()` for debugging purposes (logs the todos table to console).
  *  - Automatically generate a unique id for each Project instance.
  *
@@ -14,6 +23,11 @@
  *
  * Dependencies:
  *  - Todo from './Todo.js' — Used to create and manage Todo instances.
+ *  - TodoSortOrders, sortTodos from './TodoSort.js' — Lists todos in the chosen sort order.
+ *  - splitIntervalByDay from '../utils/DateUtils.js' — Attributes logged time to calendar days.
+ *  - ProjectIcons, normalizeProjectColor, normalizeProjectIcon from './ProjectAppearance.js' — Validates the
+ *    project's colour and icon.
+ *  - Observable, ModelEvents from './Observable.js' — Change notifications.
  *
  * Example:
  *  const project = new Project("Shopping List");
@@ -25,32 +39,125 @@
  */
 
 import { Todo } from "./Todo.js";
-export class Project {
+import { TodoSortOrders, sortTodos } from "./TodoSort.js";
+import { splitIntervalByDay } from "../utils/DateUtils.js";
+import { Observable, ModelEvents } from "./Observable.js";
+import { ProjectIcons, normalizeProjectColor, normalizeProjectIcon } from "./ProjectAppearance.js";
+export class Project extends Observable {
     constructor(name = "Untitled Project") {
+        super();
         this.id = crypto.randomUUID();
         if (!name || name.trim() === "") {
             name = "Untitled Project";
         }
         this.name = name;
         this.todos = [];
+        this.parentId = null; // id of the parent project, null for top-level projects
+        this.collapsed = false; // whether its sub-projects are hidden in the sidebar
+        this.rollUp = false; // whether viewing this project also lists its sub-projects' todos
+        this.sortOrder = TodoSortOrders.MANUAL; // how its todos are listed, one of TodoSortOrders
+        this.showScheduled = false; // whether todos scheduled for a later day are listed (dimmed) or hidden
+        this.color = null; // "#rrggbb", or null for the theme's text colour
+        this.icon = ProjectIcons.FOLDER; // one of ProjectIcons
+
+        /**
+         * Callback invoked with the id of every deleted todo (set by the ProjectManager).
+         * @type {(todoId: string) => void}
+         */
+        this._onTodoDeleted = null;
+
+        /**
+         * Unsubscribe functions for the todos in this project, by todo.
+         * @type {Map<Todo, () => void>}
+         */
+        this._todoSubscriptions = new Map();
     }
-    createTodo(title, description, dueDate, priority) {
+    /**
+     * Create a todo and add it to this project.
+     * @param {string} title
+     * @param {string} description
+     * @param {Date|string|null} dueDate
+     * @param {string} priority
+     * @param {Object} [details] Optional extra fields applied through `Todo.updateData()` (e.g. recurrence).
+     * @returns {Todo}
+     */
+    createTodo(title, description, dueDate, priority, details = {}) {
         const todo = new Todo(title, description, dueDate, priority);
-        this.todos.push(todo);
+        todo.updateData(details);
+        return this.addTodo(todo);
+    }
+
+    /**
+     * @param {Todo} todo
+     * @param {number} [index] Position to insert the todo at; defaults to the end of the list.
+     * @returns {Todo}
+     */
+    addTodo(todo, index = this.todos.length) {
+        this.todos.splice(Math.min(index, this.todos.length), 0, todo);
+        const forward = (event) => this._emit(event.type, { ...event, project: this });
+        this._todoSubscriptions.set(todo, todo.subscribe(forward));
+        this._emit(ModelEvents.TODO_ADDED, { project: this, todo });
+        return todo;
+    }
+    /**
+     * Take a todo out of this project without deleting it (e.g. to move it to another project).
+     * Unlike `deleteTodoById()`, links to the todo from other todos are kept.
+     * @param {string} id
+     * @returns {Todo|null} The removed todo, or null if it isn't in this project.
+     */
+    removeTodo(id) {
+        const todo = this.getTodoById(id);
+        if (!todo) return null;
+
+        this.todos = this.todos.filter((t) => t !== todo);
+        this._todoSubscriptions.get(todo)?.();
+        this._todoSubscriptions.delete(todo);
+        this._emit(ModelEvents.TODO_REMOVED, { project: this, todo });
         return todo;
     }
+
     deleteTodoById(id) {
-        this.todos = this.todos.filter((todo) => todo.id !== id);
+        if (this.removeTodo(id)) this._onTodoDeleted?.(id);
     }
 
     deleteAllTodos() {
-        this.todos = [];
+        this.todos.map((todo) => todo.id).forEach((id) => this.deleteTodoById(id));
+    }
+
+    /**
+     * Move a todo next to another one in this project's list.
+     * @param {string} id The todo to move.
+     * @param {string} targetId The todo to place it next to.
+     * @param {"before"|"after"} placement Which side of the target it goes.
+     * @returns {boolean} False if either todo isn't in this project.
+     */
+    reorderTodo(id, targetId, placement) {
+        const todo = this.getTodoById(id);
+        if (!todo || !this.getTodoById(targetId) || id === targetId) return false;
+
+        this.todos = this.todos.filter((t) => t !== todo);
+        const targetIndex = this.todos.findIndex((t) => t.id === targetId);
+        this.todos.splice(placement === "before" ? targetIndex : targetIndex + 1, 0, todo);
+        this._emit(ModelEvents.TODOS_REORDERED, { project: this });
+        return true;
+    }
+
+    setOnTodoDeleted(callback) {
+        this._onTodoDeleted = callback;
     }
 
     getTodos() {
         return this.todos;
     }
 
+    /**
+     * @param {Array<{id: string, weight: number}>} [priorities] The priority levels, for sorting by priority.
+     * @returns {Todo[]} The todos in this project's sort order.
+     */
+    getSortedTodos(priorities = []) {
+        return sortTodos(this.todos, this.sortOrder, undefined, priorities);
+    }
+
     getTodoById(id) {
         return this.todos.find((todo) => todo.id === id) ?? null;
     }
@@ -67,11 +174,113 @@ export class Project {
         this.id = id;
     }
 
+    getParentId() {
+        return this.parentId;
+    }
+
+    setParentId(parentId) {
+        this.parentId = parentId ?? null;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "parentId" });
+    }
+
+    isCollapsed() {
+        return this.collapsed;
+    }
+
+    toggleCollapsed() {
+        this.collapsed = !this.collapsed;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "collapsed" });
+    }
+
+    isRollUp() {
+        return this.rollUp;
+    }
+
+    toggleRollUp() {
+        this.rollUp = !this.rollUp;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "rollUp" });
+    }
+
+    isShowingScheduled() {
+        return this.showScheduled;
+    }
+
+    toggleShowScheduled() {
+        this.showScheduled = !this.showScheduled;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "showScheduled" });
+    }
+
+    getSortOrder() {
+        return this.sortOrder;
+    }
+
+    /**
+     * @param {string} order One of TodoSortOrders.
+     */
+    setSortOrder(order) {
+        this.sortOrder = Object.values(TodoSortOrders).includes(order) ? order : TodoSortOrders.MANUAL;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "sortOrder" });
+    }
+
+    getColor() {
+        return this.color;
+    }
+
+    getIcon() {
+        return this.icon;
+    }
+
+    /**
+     * @param {{color?: string|null, icon?: string}} appearance Fields left out are kept; invalid values fall back
+     *        to the default colour and the folder icon.
+     */
+    setAppearance({ color = this.color, icon = this.icon } = {}) {
+        this.color = normalizeProjectColor(color);
+        this.icon = normalizeProjectIcon(icon);
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "appearance" });
+    }
+
     setName(name) {
         if (!name || name.trim() === "") {
             name = "Untitled Project";
         }
         this.name = name;
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this, field: "name" });
+    }
+
+    /**
+     * Summarise the time logged against this project's todos, per calendar day (most recent first).
+     * Entries spanning midnight are split between the days they cover; a running timer counts up to `now`.
+     * @param {Date} [now]
+     * @returns {Array<{day: Date, totalMs: number, todos: Array<{id: string, title: string, ms: number}>}>} One
+     *          row per todo and day, even for todos sharing a title.
+     */
+    getTimeReport(now = new Date()) {
+        const days = new Map(); // day timestamp -> { day, totalMs, byTodo: Map<todo id, { id, title, ms }> }
+
+        this.todos.forEach((todo) => {
+            todo.timeLog.forEach((entry) => {
+                splitIntervalByDay(entry.start, entry.end ?? now).forEach(({ day, ms }) => {
+                    const key = day.getTime();
+                    if (!days.has(key)) days.set(key, { day, totalMs: 0, byTodo: new Map() });
+
+                    const summary = days.get(key);
+                    summary.totalMs += ms;
+                    if (!summary.byTodo.has(todo.id)) {
+                        summary.byTodo.set(todo.id, { id: todo.id, title: todo.title, ms: 0 });
+                    }
+                    summary.byTodo.get(todo.id).ms += ms;
+                });
+            });
+        });
+
+        return [...days.values()]
+            .sort((a, b) => b.day - a.day)
+            .map(({ day, totalMs, byTodo }) => ({
+                day,
+                totalMs,
+                todos: [...byTodo.values()].sort((a, b) => b.ms - a.ms),
+            }));
     }
 
     printTodos() {
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Defines the colours and icons a project can be given, so projects are easy to tell apart in the
+ * sidebar and in lists that mix todos from several projects.
+ *
+ * Responsibilities:
+ *  - List the palette of project colours (a project without one uses the theme's text colour).
+ *  - List the available project icons, their display names and the SVG sprite symbol drawing each of them.
+ *  - Normalise saved or user-chosen values, falling back to the defaults for unknown ones.
+ *
+ * Exports:
+ *  - PROJECT_COLORS — Palette of colours offered for projects.
+ *  - PROJECT_COLOR_LABELS — Display names of the palette's colours.
+ *  - ProjectIcons — Immutable object literal simulating an enum of project icons.
+ *  - PROJECT_ICON_LABELS — Display names of the icons.
+ *  - normalizeProjectColor — Function returning a valid colour, or null for the default colour.
+ *  - normalizeProjectIcon — Function returning a valid icon, or the default folder icon.
+ *  - getProjectIconHref — Function returning the sprite sheet reference of an icon, e.g. "#icon-project-home".
+ *
+ * Example:
+ *  project.setAppearance({ color: PROJECT_COLORS[2], icon: ProjectIcons.HOME });
+ *  UIUtils.createSVGFromSpriteSheet("icon", getProjectIconHref(project.getIcon()));
+ *
+ * @module ProjectAppearance
+ */
+
+export const PROJECT_COLORS = Object.freeze([
+    "#51b0e4",
+    "#a78bfa",
+    "#f472b6",
+    "#f87171",
+    "#fb923c",
+    "#fbbf24",
+    "#34d399",
+    "#2dd4bf",
+    "#94a3b8",
+]);
+
+export const PROJECT_COLOR_LABELS = Object.freeze({
+    "#51b0e4": "Blue",
+    "#a78bfa": "Purple",
+    "#f472b6": "Pink",
+    "#f87171": "Red",
+    "#fb923c": "Orange",
+    "#fbbf24": "Yellow",
+    "#34d399": "Green",
+    "#2dd4bf": "Teal",
+    "#94a3b8": "Grey",
+});
+
+export const ProjectIcons = Object.freeze({
+    FOLDER: "folder",
+    HOME: "home",
+    WORK: "work",
+    STAR: "star",
+    HEART: "heart",
+    BOOK: "book",
+    SCHOOL: "school",
+    CART: "cart",
+    CODE: "code",
+    IDEA: "idea",
+    TRAVEL: "travel",
+    MUSIC: "music",
+    FLAG: "flag",
+});
+
+export const PROJECT_ICON_LABELS = Object.freeze({
+    [ProjectIcons.FOLDER]: "Folder",
+    [ProjectIcons.HOME]: "Home",
+    [ProjectIcons.WORK]: "Work",
+    [ProjectIcons.STAR]: "Star",
+    [ProjectIcons.HEART]: "Heart",
+    [ProjectIcons.BOOK]: "Book",
+    [ProjectIcons.SCHOOL]: "School",
+    [ProjectIcons.CART]: "Shopping",
+    [ProjectIcons.CODE]: "Code",
+    [ProjectIcons.IDEA]: "Idea",
+    [ProjectIcons.TRAVEL]: "Travel",
+    [ProjectIcons.MUSIC]: "Music",
+    [ProjectIcons.FLAG]: "Flag",
+});
+
+/**
+ * @param {string|null|undefined} color
+ * @returns {string|null} The colour as "#rrggbb", or null (the default colour) when it isn't one.
+ */
+export function normalizeProjectColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color ?? "") ? color.toLowerCase() : null;
+}
+
+/**
+ * @param {string|null|undefined} icon
+ * @returns {string} One of ProjectIcons; unknown icons become the folder.
+ */
+export function normalizeProjectIcon(icon) {
+    return Object.values(ProjectIcons).includes(icon) ? icon : ProjectIcons.FOLDER;
+}
+
+/**
+ * @param {string} icon One of ProjectIcons.
+ * @returns {string} The id of the sprite sheet symbol drawing the icon, as a reference.
+ */
+export function getProjectIconHref(icon) {
+    const normalized = normalizeProjectIcon(icon);
+    return normalized === ProjectIcons.FOLDER ? "#icon-project" : `#icon-project-${normalized}`;
+}
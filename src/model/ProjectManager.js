@@ -4,8 +4,28 @@
  * Responsibilities:
  *  - Store and manage multiple Project instances in an internal array.
  *  - Create new projects and delete existing projects.
+ *  - Keep projects in the order the user arranged them; sub-projects are ordered among their siblings.
+ *  - Arrange projects in a parent/child hierarchy of any depth. Deleting a parent either deletes its whole subtree
+ *    or moves its children up a level; a project can never be moved under itself or one of its descendants.
  *  - Track and switch the currently active project.
  *  - Provide methods to retrieve projects by ID or get all projects.
+ *  - Maintain a registry of tags (name + colour) and find todos carrying a tag across all projects.
+ *  - Track the currently selected tag when the user is browsing by tag instead of by project.
+ *  - Maintain the user-defined list of priority levels, migrating todos whose level has been deleted.
+ *  - Move and copy todos (one or many at a time) between projects.
+ *  - Save projects as templates and create new projects from them, with due dates shifted to a chosen start date.
+ *  - Keep deleted todos and projects in a trash, from which they can be restored to their original place or
+ *    deleted for good; items older than the retention period are purged.
+ *  - Keep at most one todo timer running at a time.
+ *  - Collect the reminders that are due across all projects.
+ *  - Manage "blocked by" links between todos across projects, rejecting links that would form a cycle and
+ *    removing links to deleted todos.
+ *  - Capture and restore snapshots of all data (used by undo/redo).
+ *  - Export all data to a file, and import exported data, replacing or merging with the current data.
+ *  - Import todos read from a spreadsheet into the projects they name, creating projects that don't exist yet.
+ *  - List the attachments in use, so the contents of files nothing refers to any more can be deleted.
+ *  - Emit change events (see ModelEvents) for every change to its data, including those re-emitted from its
+ *    projects and their todos, so views and persistence can react without being told by each caller.
  *  - Serve as the global source of truth for all app-level project and todo data.
  *
  * Exports:
@@ -13,8 +33,23 @@
  *
  * Dependencies:
  *  - Project from './Project.js' — Represents individual projects.
- *  - Storage from '../storage/Storage.js - Provides methods for saving and loading application state to / from
- *                                          localStorage
+ *  - Todo from './Todo.js' — Rebuilds todos from saved data.
+ *  - TodoSortOrders from './TodoSort.js' — Default sort order for projects saved without one.
+ *  - normalizeProjectColor, normalizeProjectIcon from './ProjectAppearance.js' — Restore projects' appearance.
+ *  - Comment, Attachment, ActivityEntry, ActivityTypes — Rebuild todos' comments, attachments and activity logs
+ *    from saved data.
+ *  - ReminderTypes from './Reminder.js' — Tells which reminders depend on the due date when restoring snapshots.
+ *  - TrashEntry, TrashItemTypes from './TrashEntry.js' — Represents items in the trash.
+ *  - ProjectTemplate from './ProjectTemplate.js' — Represents saved project templates.
+ *  - Tag from './Tag.js' — Represents entries in the tag registry.
+ *  - PriorityLevel from './PriorityLevel.js' — Represents user-defined priority levels.
+ *  - Observable, ModelEvents from './Observable.js' — Change notifications.
+ *  - DEFAULT_PRIORITY_LEVELS from './Priorities.js' — The built-in levels used on first launch.
+ *  - parseLegacyDueDate, formatLocalDate, formatTime from '../utils/DateUtils.js' — Save and restore due dates.
+ *  - Storage from '../storage/Storage.js' - Provides async methods for saving and loading application state
+ *                                           through the configured storage adapter (IndexedDB by default)
+ *  - ImportModes, serializeExport, mergeData, summarizeData from '../storage/DataExchange.js' — Export files and
+ *    merging imported data.
  *
  * Example:
  *  import { projectManager } from './ProjectManager.js';
@@ -26,34 +61,130 @@
  */
 
 import { Project } from "./Project.js";
+import { Todo } from "./Todo.js";
+import { TodoSortOrders } from "./TodoSort.js";
+import { normalizeProjectColor, normalizeProjectIcon } from "./ProjectAppearance.js";
+import { Comment } from "./Comment.js";
+import { Attachment } from "./Attachment.js";
+import { ReminderTypes } from "./Reminder.js";
+import { ActivityEntry, ActivityTypes } from "./ActivityEntry.js";
+import { TrashEntry, TrashItemTypes } from "./TrashEntry.js";
+import { ProjectTemplate } from "./ProjectTemplate.js";
+import { Tag, TAG_COLORS, normalizeTagName } from "./Tag.js";
+import { PriorityLevel } from "./PriorityLevel.js";
+import { DEFAULT_PRIORITY_LEVELS } from "./Priorities.js";
+import { Observable, ModelEvents } from "./Observable.js";
 import { Storage } from "../storage/Storage.js";
+import { ImportModes, serializeExport, mergeData, summarizeData } from "../storage/DataExchange.js";
+import { parseLegacyDueDate, formatLocalDate, formatTime } from "../utils/DateUtils.js";
 
-class ProjectManager {
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Name of the project created for imported todos that name no project when there is no project to put them in
+const IMPORTED_PROJECT_NAME = "Imported";
+
+class ProjectManager extends Observable {
     constructor() {
+        super();
         this.projects = [];
         this.activeProject = null; // currently selected project to display todos for
         this.defaultProject = null; // default project that is selected on app launch
+        this.tags = []; // registry of every known tag and its colour
+        this.activeTagName = null; // currently selected tag, shown instead of the active project when set
+        this.priorities = []; // user-defined priority levels, sorted by descending weight
+        this.trash = []; // deleted todos and projects that can still be restored, oldest first
+        this.trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS; // trashed items older than this are purged
+        this.trashOpen = false; // whether the trash is shown instead of the active project or tag
+        this.templates = []; // saved project templates
+        this._projectSubscriptions = new Map(); // project -> function that stops re-emitting its events
+        this.setPriorities(DEFAULT_PRIORITY_LEVELS);
     }
-    createProject(name) {
+    /**
+     * @param {string} name
+     * @param {string|null} [parentId] Id of the parent project; unknown ids create a top-level project.
+     * @returns {Project}
+     */
+    createProject(name, parentId = null) {
         const project = new Project(name);
+        project.setParentId(this.getProjectById(parentId) ? parentId : null);
         this.projects.push(project);
+        this._watchProject(project);
         if (!this.activeProject) this.activeProject = project;
         if (!this.defaultProject) this.defaultProject = project;
+        this._emit(ModelEvents.PROJECT_ADDED, { project });
         return project;
     }
-    deleteProjectById(id) {
-        this.projects = this.projects.filter((p) => p.id !== id);
-        if (this.activeProject?.id === id) {
+
+    /**
+     * Start handling a project that joined the project list: clean up links to its deleted todos and re-emit
+     * its events.
+     * @param {Project} project
+     */
+    _watchProject(project) {
+        project.setOnTodoDeleted((todoId) => this._removeBlockerReferences(todoId));
+        this._projectSubscriptions.set(project, project.subscribe((event) => this._emit(event.type, event)));
+    }
+
+    /**
+     * Stop re-emitting the events of a project that left the project list.
+     * @param {Project} project
+     */
+    _unwatchProject(project) {
+        this._projectSubscriptions.get(project)?.();
+        this._projectSubscriptions.delete(project);
+    }
+
+    /**
+     * Delete a project and its todos.
+     * @param {string} id
+     * @param {{cascade?: boolean}} [options] With `cascade`, every sub-project (at any depth) is deleted too;
+     *        otherwise the direct children move up to the deleted project's parent.
+     */
+    deleteProjectById(id, { cascade = false } = {}) {
+        const detached = this._detachProject(id, cascade);
+        detached?.removed.forEach((project) =>
+            project.getTodos().forEach((todo) => this._removeBlockerReferences(todo.id))
+        );
+    }
+
+    /**
+     * Take a project (and, with `cascade`, its sub-projects) out of the project list, moving its children up a
+     * level otherwise, and pick a new active/default project if needed.
+     * @param {string} id
+     * @param {boolean} cascade
+     * @returns {{removed: Project[], index: number, reparentedChildIds: string[]}|null} The removed projects (the
+     *          requested one first), its former index and the ids of the children moved up; null if not found.
+     */
+    _detachProject(id, cascade) {
+        const detached = this.getProjectById(id);
+        if (!detached) return null;
+
+        const index = this.projects.indexOf(detached);
+        const removed = cascade ? [detached, ...this.getDescendantProjects(id)] : [detached];
+        const reparented = cascade ? [] : this.getChildProjects(id);
+        reparented.forEach((child) => child.setParentId(detached.getParentId()));
+
+        this.projects = this.projects.filter((p) => !removed.includes(p));
+        removed.forEach((project) => this._unwatchProject(project));
+
+        if (removed.includes(this.activeProject)) {
             this.activeProject = this.projects[0] ?? null;
         }
-        if (this.defaultProject?.id === id) {
+        if (removed.includes(this.defaultProject)) {
             this.defaultProject = this.projects[0] ?? null;
         }
+        removed.forEach((project) => this._emit(ModelEvents.PROJECT_REMOVED, { project }));
+        return { removed, index, reparentedChildIds: reparented.map((child) => child.id) };
     }
 
     deleteAllProjects() {
+        const removed = this.projects;
         this.projects = [];
         this.activeProject = null;
+        removed.forEach((project) => {
+            this._unwatchProject(project);
+            this._emit(ModelEvents.PROJECT_REMOVED, { project });
+        });
     }
 
     getActiveProject() {
@@ -63,6 +194,9 @@ class ProjectManager {
     setActiveProject(id) {
         const project = this.getProjectById(id);
         this.activeProject = project || null;
+        this.activeTagName = null;
+        this.trashOpen = false;
+        this._emit(ModelEvents.ACTIVE_CHANGED);
     }
 
     getDefaultProject() {
@@ -71,6 +205,7 @@ class ProjectManager {
 
     setDefaultProject(id) {
         this.defaultProject = this.defaultProject?.getId() === id ? null : this.getProjectById(id);
+        this._emit(ModelEvents.PROJECT_UPDATED, { project: this.getProjectById(id), field: "default" });
     }
 
     isDefaultProject(id) {
@@ -86,48 +221,1163 @@ class ProjectManager {
         return this.projects.find((p) => p.id === id) || null;
     }
 
-    loadFromStorage() {
-        const data = Storage.load();
-        if (!data) return;
+    /**
+     * @param {string|null} id The parent project id, or null for top-level projects.
+     * @returns {Project[]} The direct children, in creation order.
+     */
+    getChildProjects(id) {
+        return this.projects.filter((p) => p.getParentId() === (id ?? null));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Project[]} Every project below the given one, depth first.
+     */
+    getDescendantProjects(id) {
+        return this.getChildProjects(id).flatMap((child) => [child, ...this.getDescendantProjects(child.id)]);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Project[]} The project and its ancestors, from the top-level project down.
+     */
+    getProjectPath(id) {
+        const path = [];
+        for (let project = this.getProjectById(id); project; project = this.getProjectById(project.getParentId())) {
+            path.unshift(project);
+        }
+        return path;
+    }
+
+    /**
+     * @param {string|null} [parentId] Root of the subtree to build; the whole hierarchy by default.
+     * @returns {Array<{project: Project, children: Array}>} The projects nested under their parents.
+     */
+    getProjectTree(parentId = null) {
+        return this.getChildProjects(parentId).map((project) => ({
+            project,
+            children: this.getProjectTree(project.id),
+        }));
+    }
+
+    /**
+     * Move a project under another one (or to the top level with a null parent).
+     * @param {string} id
+     * @param {string|null} parentId
+     * @returns {boolean} False if the move was rejected because the parent is the project itself or one of its
+     *          descendants.
+     */
+    setProjectParent(id, parentId) {
+        const project = this.getProjectById(id);
+        if (!project) return false;
+        if (parentId && !this.canBeParentOf(parentId, id)) return false;
+
+        project.setParentId(this.getProjectById(parentId) ? parentId : null);
+        return true;
+    }
+
+    /**
+     * Move a project next to one of its siblings. The relative order of projects in the list is the order of
+     * siblings in the tree.
+     * @param {string} id The project to move.
+     * @param {string} targetId A project with the same parent to place it next to.
+     * @param {"before"|"after"} placement Which side of the target it goes.
+     * @returns {boolean} False if either project is unknown or they have different parents.
+     */
+    reorderProject(id, targetId, placement) {
+        const project = this.getProjectById(id);
+        const target = this.getProjectById(targetId);
+        if (!project || !target || project === target || project.getParentId() !== target.getParentId()) {
+            return false;
+        }
+
+        this.projects = this.projects.filter((p) => p !== project);
+        const targetIndex = this.projects.indexOf(target);
+        this.projects.splice(placement === "before" ? targetIndex : targetIndex + 1, 0, project);
+        this._emit(ModelEvents.PROJECTS_REORDERED);
+        return true;
+    }
+
+    /**
+     * @param {string} parentId
+     * @param {string} id
+     * @returns {boolean} Whether `parentId` may become the parent of `id` without creating a loop.
+     */
+    canBeParentOf(parentId, id) {
+        return parentId !== id && !this.getDescendantProjects(id).some((p) => p.id === parentId);
+    }
+
+    /**
+     * Collect the todos of every sub-project (at any depth), for showing them rolled up under a parent.
+     * @param {string} id
+     * @returns {Array<{project: Project, todo: Todo}>}
+     */
+    getRolledUpTodos(id) {
+        return this.getDescendantProjects(id).flatMap((project) =>
+            project.getTodos().map((todo) => ({ project, todo }))
+        );
+    }
+
+    /**
+     * Find a todo by id in any project.
+     * @param {string} id The todo id.
+     * @returns {{project: Project, todo: Todo}|null}
+     */
+    findTodo(id) {
+        for (const project of this.projects) {
+            const todo = project.getTodoById(id);
+            if (todo) return { project, todo };
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Array<{project: Project, todo: Todo}>} Every todo across all projects.
+     */
+    getAllTodos() {
+        return this.projects.flatMap((project) => project.getTodos().map((todo) => ({ project, todo })));
+    }
 
-        this.projects = data.projects.map((p) => {
-            const project = new Project(p.name);
-            project.setId(p.id); // restore project ID
+    /**
+     * @param {string} name
+     * @returns {Project|null} The first project with that name, ignoring case and surrounding spaces.
+     */
+    findProjectByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.projects.find((project) => project.name.trim().toLowerCase() === key) ?? null;
+    }
 
-            // Rebuild todos
-            p.todos.forEach((t) => {
-                const todo = project.createTodo(t.title, t.description, t.dueDate, t.priority);
+    /**
+     * @param {Array<{project: string}>} todos Todos read from a spreadsheet (see `importTodos()`).
+     * @param {string} defaultProjectId The project for todos that name none.
+     * @returns {string[]} The names of the projects importing the todos would create.
+     */
+    previewTodoImport(todos, defaultProjectId) {
+        const names = new Map();
+        todos.forEach(({ project }) => {
+            if (project ? this.findProjectByName(project) : this.getProjectById(defaultProjectId)) return;
+            const name = project || IMPORTED_PROJECT_NAME;
+            if (!names.has(name.trim().toLowerCase())) names.set(name.trim().toLowerCase(), name);
+        });
+        return [...names.values()];
+    }
 
-                // Now override system-generated fields
-                todo.id = t.id;
-                todo.completed = t.completed;
-                todo.expanded = t.expanded;
+    /**
+     * Add todos read from a spreadsheet (see `readCsvTodos()`). Each goes into the project it names, which is
+     * created at the top level if no project has that name yet, or into the given project if it names none (a
+     * project is created for them if that doesn't exist either).
+     * @param {Array<{project: string, title: string, description: string, priority: string, dueDate: Date|null,
+     *        dueTime: string|null, completed: boolean}>} todos
+     * @param {string} defaultProjectId The project for todos that name none.
+     * @returns {{todos: Todo[], newProjects: Project[]}} The todos added and the projects created for them.
+     */
+    importTodos(todos, defaultProjectId) {
+        const newProjects = [];
+        const added = todos.map((data) => {
+            let project = data.project ? this.findProjectByName(data.project) : this.getProjectById(defaultProjectId);
+            if (!project) {
+                project = this.createProject(data.project || IMPORTED_PROJECT_NAME);
+                if (!data.project) defaultProjectId = project.id;
+                newProjects.push(project);
+            }
+            const todo = project.createTodo(data.title, data.description, data.dueDate, data.priority, {
+                dueTime: data.dueTime,
             });
+            if (data.completed) todo.toggleCompleted();
+            return todo;
+        });
+        return { todos: added, newProjects };
+    }
+
+    /**
+     * Get the blockers of a todo that haven't been completed yet.
+     * @param {Todo} todo The blocked todo.
+     * @returns {Array<{project: Project, todo: Todo}>}
+     */
+    getOpenBlockers(todo) {
+        return todo.blockedBy
+            .map((id) => this.findTodo(id))
+            .filter((found) => found && !found.todo.completed);
+    }
+
+    isTodoBlocked(todo) {
+        return this.getOpenBlockers(todo).length > 0;
+    }
 
-            return project;
+    /**
+     * Check whether making `blockerId` block `todoId` would form a cycle, i.e. whether the blocker is (directly
+     * or transitively) already waiting on the todo.
+     * @param {string} todoId The todo that would be blocked.
+     * @param {string} blockerId The todo that would block it.
+     * @returns {boolean}
+     */
+    wouldCreateCycle(todoId, blockerId) {
+        const visited = new Set();
+        const stack = [blockerId];
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === todoId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+
+            this.findTodo(id)?.todo.blockedBy.forEach((next) => stack.push(next));
+        }
+        return false;
+    }
+
+    /**
+     * Make one todo block another, unless the blocker doesn't exist or the link would form a cycle.
+     * @param {string} todoId The todo to block.
+     * @param {string} blockerId The todo that must be done first.
+     * @returns {boolean} Whether the link was added.
+     */
+    addTodoBlocker(todoId, blockerId) {
+        const todo = this.findTodo(todoId)?.todo;
+        if (!todo || !this.findTodo(blockerId) || this.wouldCreateCycle(todoId, blockerId)) return false;
+
+        todo.addBlocker(blockerId);
+        return true;
+    }
+
+    /**
+     * Replace a todo's blockers, skipping any that would form a cycle.
+     * @param {string} todoId The todo to update.
+     * @param {string[]} blockerIds The ids of the todos that must be done first.
+     * @returns {string[]} The ids that were rejected.
+     */
+    setTodoBlockers(todoId, blockerIds) {
+        const todo = this.findTodo(todoId)?.todo;
+        if (!todo) return blockerIds;
+
+        todo.blockedBy = [];
+        return blockerIds.filter((blockerId) => !this.addTodoBlocker(todoId, blockerId));
+    }
+
+    /**
+     * Remove every "blocked by" link pointing at a todo that no longer exists.
+     * @param {string} deletedTodoId The id of the deleted todo.
+     */
+    _removeBlockerReferences(deletedTodoId) {
+        this.projects.forEach((project) => project.getTodos().forEach((todo) => todo.removeBlocker(deletedTodoId)));
+    }
+
+    /**
+     * Start a todo's timer, stopping any other running timer first so time is never double-counted.
+     * @param {string} todoId The todo to track time against.
+     */
+    startTodoTimer(todoId) {
+        const found = this.findTodo(todoId);
+        if (!found) return;
+
+        this.getAllTodos().forEach(({ todo }) => {
+            if (todo.id !== todoId) todo.stopTimer();
         });
+        found.todo.startTimer();
+    }
 
-        this.defaultProject = this.getProjectById(data.defaultProjectId) || this.projects[0] || null;
+    /**
+     * Toggle a todo's completion. Completing a recurring todo adds its next occurrence to the same project.
+     * Reopening the todo takes that occurrence back, with its recurrence rule, while it is still open, so completing
+     * the todo again doesn't leave two copies of the next occurrence.
+     * @param {string} todoId
+     * @returns {Todo|null} The next occurrence that was added, if any.
+     */
+    toggleTodoCompleted(todoId) {
+        const found = this.findTodo(todoId);
+        if (!found) return null;
+
+        const { project, todo } = found;
+        const spawned = todo.completed ? this.findTodo(todo.nextOccurrenceId) : null;
+        const next = todo.toggleCompleted();
+        if (next) return project.addTodo(next);
+
+        if (spawned && !spawned.todo.completed) {
+            todo.recurrence = spawned.todo.recurrence;
+            spawned.project.deleteTodoById(spawned.todo.id);
+        }
+        return null;
+    }
+
+    /**
+     * Move todos into another project, keeping their ids and all their data (so "blocked by" links survive).
+     * Todos already in the target project, and unknown ids, are skipped.
+     * @param {string[]} todoIds
+     * @param {string} targetProjectId
+     * @returns {Todo[]} The moved todos.
+     */
+    moveTodos(todoIds, targetProjectId) {
+        const target = this.getProjectById(targetProjectId);
+        if (!target) return [];
+
+        return todoIds
+            .map((id) => this.findTodo(id))
+            .filter((found) => found && found.project !== target)
+            .map(({ project, todo }) => target.addTodo(project.removeTodo(todo.id)));
+    }
+
+    moveTodo(todoId, targetProjectId) {
+        return this.moveTodos([todoId], targetProjectId)[0] ?? null;
+    }
+
+    /**
+     * Copy todos into a project (which may be the one they're already in). Copies get new ids; see
+     * `Todo.duplicate()` for what is copied.
+     * @param {string[]} todoIds
+     * @param {string} targetProjectId
+     * @returns {Todo[]} The copies.
+     */
+    copyTodos(todoIds, targetProjectId) {
+        const target = this.getProjectById(targetProjectId);
+        if (!target) return [];
+
+        return todoIds
+            .map((id) => this.findTodo(id))
+            .filter(Boolean)
+            .map(({ todo }) => target.addTodo(todo.duplicate()));
+    }
+
+    copyTodo(todoId, targetProjectId) {
+        return this.copyTodos([todoId], targetProjectId)[0] ?? null;
+    }
+
+    /**
+     * Move a todo to the trash, remembering its project and position. Its timer is stopped; links to it from
+     * other todos are kept (and ignored) so they come back if it is restored.
+     * @param {string} todoId
+     * @param {Date} [now]
+     * @returns {TrashEntry|null}
+     */
+    trashTodo(todoId, now = new Date()) {
+        const found = this.findTodo(todoId);
+        if (!found) return null;
+
+        const index = found.project.getTodos().indexOf(found.todo);
+        found.project.removeTodo(todoId);
+        found.todo.stopTimer();
+
+        const entry = new TrashEntry(TrashItemTypes.TODO, {
+            todo: found.todo,
+            projectId: found.project.id,
+            index,
+            deletedAt: now,
+        });
+        this.trash.push(entry);
+        this._emit(ModelEvents.TRASH_CHANGED);
+        return entry;
+    }
+
+    /**
+     * Move a project and its todos to the trash. See `deleteProjectById()` for how sub-projects are handled.
+     * @param {string} id
+     * @param {{cascade?: boolean}} [options]
+     * @param {Date} [now]
+     * @returns {TrashEntry|null}
+     */
+    trashProject(id, { cascade = false } = {}, now = new Date()) {
+        const detached = this._detachProject(id, cascade);
+        if (!detached) return null;
+
+        detached.removed.forEach((project) => project.getTodos().forEach((todo) => todo.stopTimer()));
+
+        const entry = new TrashEntry(TrashItemTypes.PROJECT, {
+            projects: detached.removed,
+            index: detached.index,
+            reparentedChildIds: detached.reparentedChildIds,
+            deletedAt: now,
+        });
+        this.trash.push(entry);
+        this._emit(ModelEvents.TRASH_CHANGED);
+        return entry;
+    }
+
+    /**
+     * @returns {TrashEntry[]} The trashed items, most recently deleted first.
+     */
+    getTrash() {
+        return [...this.trash].reverse();
+    }
+
+    getTrashEntryById(id) {
+        return this.trash.find((entry) => entry.id === id) ?? null;
+    }
+
+    /**
+     * Put a trashed item back where it was. A todo whose project no longer exists goes to the default project
+     * (or the first one); a project whose parent no longer exists becomes a top-level project, and the children
+     * that were moved up when it was deleted move back under it.
+     * @param {string} entryId
+     * @returns {boolean} Whether the item was restored (a todo can't be restored when there are no projects).
+     */
+    restoreFromTrash(entryId) {
+        const entry = this.getTrashEntryById(entryId);
+        if (!entry) return false;
+
+        if (entry.type === TrashItemTypes.TODO) {
+            const project = this.getProjectById(entry.projectId) ?? this.defaultProject ?? this.projects[0];
+            if (!project) return false;
+            project.addTodo(entry.todo, entry.index);
+        } else {
+            const [project, ...subProjects] = entry.projects;
+            const formerParentId = project.getParentId();
+            if (!this.getProjectById(formerParentId)) project.setParentId(null);
+
+            this.projects.splice(Math.min(entry.index, this.projects.length), 0, project);
+            this.projects.push(...subProjects);
+            entry.projects.forEach((restored) => {
+                this._watchProject(restored);
+                this._emit(ModelEvents.PROJECT_ADDED, { project: restored });
+            });
+
+            entry.reparentedChildIds
+                .map((childId) => this.getProjectById(childId))
+                .filter((child) => child && child.getParentId() === formerParentId)
+                .forEach((child) => child.setParentId(project.id));
+
+            if (!this.activeProject) this.activeProject = project;
+            if (!this.defaultProject) this.defaultProject = project;
+        }
+
+        this.trash = this.trash.filter((e) => e !== entry);
+        this.syncTags();
+        this._emit(ModelEvents.TRASH_CHANGED);
+        return true;
+    }
+
+    /**
+     * Delete a trashed item for good, removing any links to its todos.
+     * @param {string} entryId
+     */
+    deleteFromTrash(entryId) {
+        const entry = this.getTrashEntryById(entryId);
+        if (!entry) return;
+
+        this.trash = this.trash.filter((e) => e !== entry);
+        this._removeTrashedTodoReferences(entry);
+        this._emit(ModelEvents.TRASH_CHANGED);
+    }
+
+    emptyTrash() {
+        const entries = this.trash;
+        this.trash = [];
+        entries.forEach((entry) => this._removeTrashedTodoReferences(entry));
+        this._emit(ModelEvents.TRASH_CHANGED);
+    }
+
+    /**
+     * Delete every trashed item older than the retention period.
+     * @param {Date} [now]
+     * @returns {number} How many items were purged.
+     */
+    purgeTrash(now = new Date()) {
+        const expired = this.trash.filter((entry) => entry.isExpired(this.trashRetentionDays, now));
+        expired.forEach((entry) => this.deleteFromTrash(entry.id));
+        return expired.length;
+    }
+
+    getTrashRetentionDays() {
+        return this.trashRetentionDays;
+    }
+
+    setTrashRetentionDays(days) {
+        const value = Math.round(Number(days));
+        if (value < 1) return;
+        this.trashRetentionDays = value;
+        this._emit(ModelEvents.TRASH_CHANGED);
+    }
+
+    isTrashOpen() {
+        return this.trashOpen;
+    }
+
+    /**
+     * Show the trash instead of the active project or tag.
+     */
+    openTrash() {
+        this.trashOpen = true;
+        this.activeTagName = null;
+        this._emit(ModelEvents.ACTIVE_CHANGED);
+    }
+
+    /**
+     * @returns {Todo[]} Every todo in the trash, including those of trashed projects.
+     */
+    _getTrashedTodos() {
+        return this.trash.flatMap((entry) => entry.getTodos());
+    }
+
+    /**
+     * Remove links to a trashed item's todos from live and trashed todos alike.
+     * @param {TrashEntry} entry
+     */
+    _removeTrashedTodoReferences(entry) {
+        entry.getTodos().forEach((deleted) => {
+            this._removeBlockerReferences(deleted.id);
+            this._getTrashedTodos().forEach((todo) => todo.removeBlocker(deleted.id));
+        });
+    }
+
+    getTemplates() {
+        return this.templates;
+    }
+
+    getTemplateById(id) {
+        return this.templates.find((template) => template.id === id) ?? null;
+    }
+
+    /**
+     * Save a project's todos as a template. A template with the same name (ignoring case) is replaced.
+     * @param {string} projectId
+     * @param {string} name
+     * @param {Date} startDate The date the todos' due dates are measured from.
+     * @returns {ProjectTemplate|null} The template, or null if the project doesn't exist.
+     */
+    saveProjectAsTemplate(projectId, name, startDate) {
+        const project = this.getProjectById(projectId);
+        if (!project) return null;
+
+        const template = ProjectTemplate.fromProject(project, name, startDate);
+        const existing = this.templates.find((t) => t.name.toLowerCase() === template.name.toLowerCase());
+        if (existing) {
+            template.id = existing.id;
+            this.templates = this.templates.map((t) => (t === existing ? template : t));
+        } else {
+            this.templates.push(template);
+        }
+        this._emit(ModelEvents.TEMPLATES_CHANGED);
+        return template;
+    }
+
+    /**
+     * Create a project filled with a template's todos, due the same number of days after `startDate` as they
+     * were after the template's start date. Priority levels deleted since the template was saved are replaced.
+     * @param {string} templateId
+     * @param {string} name Name of the new project.
+     * @param {Date} startDate
+     * @param {string|null} [parentId]
+     * @returns {Project|null} The new project, or null if the template doesn't exist.
+     */
+    createProjectFromTemplate(templateId, name, startDate, parentId = null) {
+        const template = this.getTemplateById(templateId);
+        if (!template) return null;
+
+        const project = this.createProject(name, parentId);
+        template.getTodoDetails(startDate).forEach(({ title, description, dueDate, priority, checklist, ...rest }) => {
+            const level = this.getPriorityById(priority) ?? this._findReplacementPriority(priority, []);
+            const todo = project.createTodo(title, description, dueDate, level.id, rest);
+            checklist.forEach((text) => todo.addChecklistItem(text));
+        });
+        this.syncTags();
+        return project;
+    }
+
+    /**
+     * Find every reminder that should fire now, across all projects.
+     * @param {Date} [now]
+     * @returns {Array<{project: Project, todo: Todo, reminder: Reminder}>}
+     */
+    getDueReminders(now = new Date()) {
+        return this.getAllTodos().flatMap(({ project, todo }) =>
+            todo.getDueReminders(now).map((reminder) => ({ project, todo, reminder }))
+        );
+    }
+
+    getTags() {
+        return this.tags;
+    }
+
+    getTagByName(name) {
+        const normalized = normalizeTagName(name);
+        return this.tags.find((tag) => tag.name === normalized) ?? null;
+    }
+
+    /**
+     * Add a tag to the registry if it isn't there yet, cycling through the default palette for its colour.
+     * @param {string} name The tag name (normalised automatically).
+     * @param {string} [color] Optional colour for a newly registered tag.
+     * @returns {Tag|null} The registered tag, or null if the name is empty.
+     */
+    registerTag(name, color) {
+        if (!normalizeTagName(name)) return null;
+
+        const existing = this.getTagByName(name);
+        if (existing) return existing;
+
+        const tag = new Tag(name, color ?? TAG_COLORS[this.tags.length % TAG_COLORS.length]);
+        this.tags.push(tag);
+        this._emit(ModelEvents.TAGS_CHANGED);
+        return tag;
+    }
+
+    setTagColor(name, color) {
+        this.getTagByName(name)?.setColor(color);
+        this._emit(ModelEvents.TAGS_CHANGED);
+    }
+
+    /**
+     * Remove a tag from the registry and from every todo that carries it.
+     * @param {string} name The tag name.
+     */
+    deleteTag(name) {
+        const normalized = normalizeTagName(name);
+        this.tags = this.tags.filter((tag) => tag.name !== normalized);
+        this.projects.forEach((project) => project.getTodos().forEach((todo) => todo.removeTag(normalized)));
+        if (this.activeTagName === normalized) this.activeTagName = null;
+        this._emit(ModelEvents.TAGS_CHANGED);
+    }
+
+    /**
+     * Register any tag used by a todo that is missing from the registry.
+     */
+    syncTags() {
+        this.projects.forEach((project) =>
+            project.getTodos().forEach((todo) => todo.tags.forEach((name) => this.registerTag(name)))
+        );
+    }
+
+    /**
+     * Find every todo carrying the given tag, across all projects.
+     * @param {string} name The tag name.
+     * @returns {Array<{project: Project, todo: Todo}>}
+     */
+    getTodosByTag(name) {
+        const normalized = normalizeTagName(name);
+        return this.projects.flatMap((project) =>
+            project
+                .getTodos()
+                .filter((todo) => todo.hasTag(normalized))
+                .map((todo) => ({ project, todo }))
+        );
+    }
+
+    getActiveTag() {
+        return this.activeTagName ? this.getTagByName(this.activeTagName) : null;
+    }
+
+    setActiveTag(name) {
+        this.activeTagName = this.getTagByName(name)?.name ?? null;
+        this.trashOpen = false;
+        this._emit(ModelEvents.ACTIVE_CHANGED);
+    }
+
+    getPriorities() {
+        return this.priorities;
+    }
+
+    getPriorityById(id) {
+        return this.priorities.find((level) => level.id === id) ?? null;
+    }
+
+    /**
+     * Replace the list of priority levels. Levels keep their id when one is given, so todos using them are
+     * unaffected by renames; todos whose level is no longer in the list are moved to the closest remaining one.
+     * @param {Array<{id?: string, name: string, color: string, weight: number}>} levels The new levels.
+     */
+    setPriorities(levels) {
+        if (!levels || levels.length === 0) return; // there must always be at least one level
+
+        const previous = this.priorities;
+        this.priorities = levels
+            .map((l) => {
+                const level = new PriorityLevel(l.name, l.color, l.weight);
+                if (l.id) level.id = l.id;
+                return level;
+            })
+            .sort((a, b) => b.weight - a.weight);
+
+        this._migrateTodoPriorities(previous);
+        this._emit(ModelEvents.PRIORITIES_CHANGED);
+    }
+
+    /**
+     * Find the level a priority name or id stands for, e.g. in an imported spreadsheet. The names and ids of the
+     * built-in `Priorities` also match when the levels have been edited: they stand for the level at the same rank
+     * (the highest, the middle or the lowest one), whatever the weights.
+     * @param {string} text A level's name or id, in any case.
+     * @returns {string|null} The id of the level, or null if the text names none.
+     */
+    matchPriority(text) {
+        const key = String(text).trim().toLowerCase();
+        const matches = (level) => level.id.toLowerCase() === key || level.name.toLowerCase() === key;
+        const level = this.priorities.find(matches);
+        if (level) return level.id;
+
+        const builtIn = DEFAULT_PRIORITY_LEVELS.find(matches);
+        if (!builtIn) return null;
+        const rank = DEFAULT_PRIORITY_LEVELS.indexOf(builtIn) / (DEFAULT_PRIORITY_LEVELS.length - 1); // 0 = highest
+        return this.priorities[Math.round(rank * (this.priorities.length - 1))].id;
+    }
+
+    /**
+     * Move every todo whose priority id is unknown onto a level that still exists.
+     * @param {PriorityLevel[]} previous The levels in use before the list changed.
+     */
+    _migrateTodoPriorities(previous = []) {
+        [...this.getAllTodos().map(({ todo }) => todo), ...this._getTrashedTodos()].forEach((todo) => {
+            if (this.getPriorityById(todo.priority)) return;
+            todo.priority = this._findReplacementPriority(todo.priority, previous).id;
+        });
+    }
+
+    /**
+     * Pick the level that best replaces an unknown priority id: the remaining level closest in weight to the
+     * deleted one, else a level with the same name (e.g. legacy data), else the middle level.
+     * @param {string} id The unknown priority id.
+     * @param {PriorityLevel[]} previous The levels in use before the list changed.
+     * @returns {PriorityLevel}
+     */
+    _findReplacementPriority(id, previous) {
+        const deleted = previous.find((level) => level.id === id);
+        if (deleted) {
+            return this.priorities.reduce((closest, level) =>
+                Math.abs(level.weight - deleted.weight) < Math.abs(closest.weight - deleted.weight) ? level : closest
+            );
+        }
+
+        const sameName = this.priorities.find((level) => level.name.toLowerCase() === String(id).toLowerCase());
+        return sameName ?? this.priorities[Math.floor(this.priorities.length / 2)];
+    }
+
+    /**
+     * Replace all data with the saved data (already upgraded to the current schema by the Storage). Saved data
+     * that still can't be applied is backed up and the app starts empty instead of failing to start.
+     * @returns {Promise<boolean>} Resolves once the saved data (if any) is in place: false if there was saved data
+     *          that couldn't be loaded and was backed up instead.
+     */
+    async loadFromStorage() {
+        const data = await Storage.load();
+        if (!data) return !Storage.loadFailed;
+
+        let loaded = true;
+        try {
+            this._applyData(data);
+        } catch (error) {
+            console.error("ProjectManager.loadFromStorage() could not apply the saved data:", error);
+            await Storage.backUp();
+            this._applyData({ projects: [] });
+            loaded = false;
+        }
         this.activeProject = this.defaultProject;
+        this._emit(ModelEvents.DATA_REPLACED);
+        return loaded;
     }
 
+    /**
+     * Save all data as it is now; changes made while the save is in progress are saved by the next call.
+     * @returns {Promise<void>} Resolves once saved.
+     */
     saveToStorage() {
-        Storage.save({
+        return Storage.save(this._toData());
+    }
+
+    /**
+     * Capture the current data (everything that is saved) so it can be restored later, e.g. by undo/redo.
+     * @returns {Object} An independent copy of the saved state.
+     */
+    createSnapshot() {
+        return structuredClone(this._toData());
+    }
+
+    /**
+     * Restore data captured by `createSnapshot()`. Pure view state (expanded todos, collapsed projects, the
+     * active project/tag/trash view) and what happened in the meantime in real time (tracked time, fired and
+     * snoozed reminders) are kept as they are now for every todo and project that still exists.
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const allTodos = () => [...this.getAllTodos().map(({ todo }) => todo), ...this._getTrashedTodos()];
+        const current = new Map(allTodos().map((todo) => [todo.id, todo]));
+        const collapsed = new Map(this.projects.map((p) => [p.id, p.isCollapsed()]));
+        const activeProjectId = this.activeProject?.id;
+
+        this._applyData(structuredClone(snapshot));
+
+        allTodos().forEach((todo) => {
+            const previous = current.get(todo.id);
+            if (!previous) return;
+            todo.expanded = previous.expanded;
+            todo.timeLog = previous.timeLog;
+            const sameDue = todo.dueDate?.getTime() === previous.dueDate?.getTime();
+            todo.reminders.forEach((reminder) => {
+                const previousReminder = previous.getReminderById(reminder.id);
+                // A relative reminder that now triggers at another time keeps the state saved for that time
+                if (!previousReminder || (reminder.type === ReminderTypes.RELATIVE && !sameDue)) return;
+                reminder.snoozedUntil = previousReminder.snoozedUntil;
+                reminder.firedAt = previousReminder.firedAt;
+            });
+        });
+        this.projects.forEach((p) => {
+            if (collapsed.has(p.id)) p.collapsed = collapsed.get(p.id);
+        });
+
+        this.activeProject = this.getProjectById(activeProjectId) ?? this.defaultProject;
+        if (this.activeTagName && !this.getTagByName(this.activeTagName)) this.activeTagName = null;
+        this._emit(ModelEvents.DATA_REPLACED);
+    }
+
+    /**
+     * @returns {string} The contents of an export file holding all data (see DataExchange.js).
+     */
+    exportData() {
+        return serializeExport(this._toData());
+    }
+
+    /**
+     * Describe what importing data would change, for each way of importing it.
+     * @param {Object} data Imported data, as returned by `parseExport()`.
+     * @returns {{current: Object, imported: Object, merge: Object}} How many projects, todos and templates there
+     *          are now and in the imported data (replacing swaps one for the other), and the summary of merging
+     *          (see `mergeData()`).
+     */
+    previewImport(data) {
+        return {
+            current: summarizeData(this._toData()),
+            imported: summarizeData(data),
+            merge: this._mergeImport(data).summary,
+        };
+    }
+
+    /**
+     * Import data from an export file: replace all data with it, or merge it with the current data. The active
+     * project stays active if it still exists.
+     * @param {Object} data Imported data, as returned by `parseExport()`.
+     * @param {string} mode One of ImportModes.
+     * @throws {Error} If the resulting data can't be loaded and saved; the current data is left unchanged.
+     */
+    importData(data, mode) {
+        const incoming = mode === ImportModes.REPLACE ? structuredClone(data) : this._mergeImport(data).data;
+
+        // Load the data into a separate manager first, so data the app can't hold never replaces the current data
+        let checked;
+        try {
+            const candidate = new ProjectManager();
+            candidate._applyData(incoming);
+            checked = candidate.createSnapshot();
+        } catch (error) {
+            throw new Error(`The imported data can't be loaded (${error.message})`);
+        }
+
+        const activeProjectId = this.activeProject?.id;
+        this._applyData(checked);
+
+        this.activeProject = this.getProjectById(activeProjectId) ?? this.defaultProject;
+        if (this.activeTagName && !this.getTagByName(this.activeTagName)) this.activeTagName = null;
+        this._emit(ModelEvents.DATA_REPLACED);
+    }
+
+    /**
+     * Merge imported data with the current data. Imported todos keep their priority where the level exists
+     * here too, and otherwise get the current level closest in weight to theirs.
+     * @param {Object} data Imported data.
+     * @returns {{data: Object, summary: Object}} See `mergeData()`.
+     */
+    _mergeImport(data) {
+        const importedLevels = data.priorities ?? DEFAULT_PRIORITY_LEVELS;
+        return mergeData(this._toData(), structuredClone(data), {
+            mapPriority: (id) => (this.getPriorityById(id) ?? this._findReplacementPriority(id, importedLevels)).id,
+        });
+    }
+
+    /**
+     * Attachments stay in use while any todo refers to them, including trashed todos and todos that undo/redo
+     * could bring back.
+     * @param {Object[]} [snapshots] Snapshots from `createSnapshot()` whose attachments count as in use too.
+     * @returns {Set<string>} The ids of the attachments in use.
+     */
+    getAttachmentIds(snapshots = []) {
+        const ids = new Set();
+        [this._toData(), ...snapshots].forEach((data) => {
+            const projects = [...data.projects, ...data.trash.flatMap((entry) => entry.projects)];
+            const todos = [
+                ...projects.flatMap((p) => p.todos),
+                ...data.trash.map((entry) => entry.todo).filter(Boolean),
+            ];
+            todos.forEach((t) => (t.attachments ?? []).forEach((a) => ids.add(a.id)));
+        });
+        return ids;
+    }
+
+    /**
+     * Replace all data with saved data.
+     * @param {Object} data The saved state, as produced by `_toData()`.
+     */
+    _applyData(data) {
+        this.projects.forEach((project) => this._unwatchProject(project));
+        this.projects = data.projects.map((p) => this._projectFromData(p));
+        this.projects.forEach((project) => this._watchProject(project));
+
+        // Move projects whose parent no longer exists (or whose ancestry loops) to the top level
+        this.projects.forEach((project) => {
+            const seen = new Set([project.id]);
+            let parent = this.getProjectById(project.getParentId());
+            while (parent && !seen.has(parent.id)) {
+                seen.add(parent.id);
+                parent = this.getProjectById(parent.getParentId());
+            }
+            if (parent || !this.getProjectById(project.getParentId())) project.setParentId(null);
+        });
+
+        this.trashRetentionDays = data.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+        this.trash = (data.trash ?? []).map((e) => {
+            const entry = new TrashEntry(e.type, {
+                todo: e.todo ? this._todoFromData(e.todo) : null,
+                projects: (e.projects ?? []).map((p) => this._projectFromData(p)),
+                projectId: e.projectId,
+                index: e.index,
+                reparentedChildIds: e.reparentedChildIds ?? [],
+                deletedAt: e.deletedAt,
+            });
+            entry.id = e.id; // restore entry ID
+            return entry;
+        });
+
+        // Drop links to todos that no longer exist (links to trashed todos are kept in case they are restored)
+        const trashedIds = new Set(this._getTrashedTodos().map((todo) => todo.id));
+        [...this.getAllTodos().map(({ todo }) => todo), ...this._getTrashedTodos()].forEach((todo) => {
+            todo.blockedBy = todo.blockedBy.filter((id) => this.findTodo(id) || trashedIds.has(id));
+        });
+
+        this.templates = (data.templates ?? []).map((t) => {
+            const template = new ProjectTemplate(t.name, t.todos);
+            template.id = t.id; // restore template ID
+            return template;
+        });
+
+        this.tags = (data.tags ?? []).map((t) => new Tag(t.name, t.color));
+        this.syncTags();
+
+        this.priorities = [];
+        this.setPriorities(data.priorities ?? DEFAULT_PRIORITY_LEVELS);
+
+        this.defaultProject = this.getProjectById(data.defaultProjectId) || this.projects[0] || null;
+    }
+
+    /**
+     * @returns {Object} All data, in the shape it is saved in.
+     */
+    _toData() {
+        return {
             defaultProjectId: this.defaultProject?.getId() ?? null,
-            projects: this.projects.map((p) => ({
-                id: p.id,
-                name: p.name,
-                todos: p.todos.map((t) => ({
-                    id: t.id,
-                    title: t.title,
-                    description: t.description,
-                    dueDate: t.dueDate,
-                    priority: t.priority,
-                    completed: t.completed,
-                    expanded: t.expanded,
+            tags: this.tags.map((tag) => ({ name: tag.name, color: tag.color })),
+            priorities: this.priorities.map((level) => ({
+                id: level.id,
+                name: level.name,
+                color: level.color,
+                weight: level.weight,
+            })),
+            projects: this.projects.map((p) => this._projectToData(p)),
+            templates: this.templates.map((template) => ({
+                id: template.id,
+                name: template.name,
+                todos: template.todos.map((todo) => ({
+                    ...todo,
+                    checklist: [...todo.checklist],
+                    tags: [...todo.tags],
                 })),
             })),
+            trashRetentionDays: this.trashRetentionDays,
+            trash: this.trash.map((entry) => ({
+                id: entry.id,
+                type: entry.type,
+                deletedAt: entry.deletedAt,
+                projectId: entry.projectId,
+                index: entry.index,
+                reparentedChildIds: [...entry.reparentedChildIds],
+                todo: entry.todo ? this._todoToData(entry.todo) : null,
+                projects: entry.projects.map((p) => this._projectToData(p)),
+            })),
+        };
+    }
+
+    /**
+     * Rebuild a project and its todos from saved data, restoring every id.
+     * @param {Object} p The saved project.
+     * @returns {Project}
+     */
+    _projectFromData(p) {
+        const project = new Project(p.name);
+        project.setId(p.id); // restore project ID
+        project.setParentId(p.parentId);
+        project.collapsed = p.collapsed ?? false;
+        project.rollUp = p.rollUp ?? false;
+        project.sortOrder = p.sortOrder ?? TodoSortOrders.MANUAL;
+        project.showScheduled = p.showScheduled ?? false;
+        project.color = normalizeProjectColor(p.color);
+        project.icon = normalizeProjectIcon(p.icon);
+
+        p.todos.forEach((t) => project.addTodo(this._todoFromData(t)));
+        return project;
+    }
+
+    _projectToData(p) {
+        return {
+            id: p.id,
+            name: p.name,
+            parentId: p.parentId,
+            collapsed: p.collapsed,
+            rollUp: p.rollUp,
+            sortOrder: p.sortOrder,
+            showScheduled: p.showScheduled,
+            color: p.color,
+            icon: p.icon,
+            todos: p.todos.map((t) => this._todoToData(t)),
+        };
+    }
+
+    /**
+     * Rebuild a todo from saved data, restoring every id.
+     * @param {Object} t The saved todo.
+     * @returns {Todo}
+     */
+    _todoFromData(t) {
+        const todo = new Todo(t.title, t.description, null, t.priority);
+
+        // Now override system-generated fields
+        todo.id = t.id;
+        this._restoreDueDate(todo, t);
+        todo.scheduledDate = t.scheduledDate ?? null;
+        todo.completed = t.completed;
+        todo.expanded = t.expanded;
+        todo.recurrence = t.recurrence ?? null;
+        todo.nextOccurrenceId = t.nextOccurrenceId ?? null;
+        todo.tags = t.tags ?? [];
+        todo.blockedBy = t.blockedBy ?? [];
+        todo.estimateMinutes = t.estimateMinutes ?? null;
+        todo.timeLog = t.timeLog ?? []; // a running timer (end: null) keeps running after reload
+
+        // Rebuild reminders with their fired/snoozed state so pending ones still fire after reload
+        (t.reminders ?? []).forEach((r) => {
+            const reminder = todo.addReminder(r.type, r);
+            reminder.id = r.id;
+            reminder.snoozedUntil = r.snoozedUntil ? new Date(r.snoozedUntil) : null;
+            reminder.firedAt = r.firedAt ? new Date(r.firedAt) : null;
+        });
+
+        // Rebuild checklist items, preserving their ids and order
+        (t.checklist ?? []).forEach((i) => {
+            const item = todo.addChecklistItem(i.text);
+            item.id = i.id;
+            item.done = i.done;
+        });
+
+        (t.comments ?? []).forEach((c) => {
+            const comment = new Comment(c.text, c.createdAt);
+            comment.id = c.id;
+            todo.comments.push(comment);
+        });
+
+        (t.attachments ?? []).forEach((a) => {
+            todo.attachments.push(new Attachment(a.name, a.type, a.size, { id: a.id, addedAt: a.addedAt }));
+        });
+
+        // Todos saved before the activity log existed have no history (not even their creation)
+        todo.activity = (t.activity ?? []).map((a) => {
+            const isDate = a.type === ActivityTypes.DUE_DATE_CHANGED;
+            const entry = new ActivityEntry(a.type, {
+                from: isDate && a.from ? new Date(a.from) : a.from,
+                to: isDate && a.to ? new Date(a.to) : a.to,
+                at: a.at,
+            });
+            entry.id = a.id;
+            return entry;
         });
+
+        this._restoreTimestamps(todo, t);
+        return todo;
+    }
+
+    /**
+     * Restore a todo's deadline. Date-only deadlines are saved as local calendar days ("yyyy-MM-dd") so they stay
+     * on the same day in every time zone; timed ones as the exact moment. Todos saved before due times existed
+     * (no `hasDueTime`) stored the day at midnight UTC.
+     * @param {Todo} todo
+     * @param {Object} t The saved todo.
+     */
+    _restoreDueDate(todo, t) {
+        if (!t.dueDate) return;
+
+        if (t.hasDueTime === undefined) {
+            todo.dueDate = parseLegacyDueDate(t.dueDate);
+        } else if (t.hasDueTime) {
+            // The local day and time of day the saved moment falls on, wherever the data is opened
+            const due = new Date(t.dueDate);
+            todo.dueDate = due;
+            todo.dueTime = formatTime(due);
+        } else {
+            todo.dueDate = t.dueDate;
+        }
+    }
+
+    /**
+     * Restore a todo's created/updated/completed times. Todos saved before these were recorded get the best
+     * estimate their other data allows: the earliest and latest times found in their activity log, comments and
+     * time log (or the time of loading, if there are none), and their last completion in the activity log.
+     * @param {Todo} todo
+     * @param {Object} t The saved todo.
+     */
+    _restoreTimestamps(todo, t) {
+        const known = [
+            ...todo.activity.map((entry) => entry.at),
+            ...todo.comments.map((comment) => comment.createdAt),
+            ...todo.timeLog.map((entry) => new Date(entry.start)),
+        ].sort((a, b) => a - b);
+        const earliest = known[0] ?? todo.createdAt;
+        const latest = known[known.length - 1] ?? earliest;
+
+        todo.createdAt = t.createdAt ?? earliest;
+        todo.updatedAt = t.updatedAt ?? latest;
+
+        if (t.completedAt !== undefined) {
+            todo.completedAt = t.completedAt;
+        } else if (todo.completed) {
+            const lastCompletion = todo.activity.findLast((entry) => entry.type === ActivityTypes.COMPLETED);
+            todo.completedAt = lastCompletion?.at ?? todo.updatedAt;
+        }
+    }
+
+    _todoToData(t) {
+        return {
+            id: t.id,
+            title: t.title,
+            description: t.description,
+            dueDate: t.dueDate && (t.hasDueTime ? t.dueDate : formatLocalDate(t.dueDate)),
+            hasDueTime: t.hasDueTime,
+            scheduledDate: t.scheduledDate && formatLocalDate(t.scheduledDate),
+            priority: t.priority,
+            completed: t.completed,
+            expanded: t.expanded,
+            checklist: t.checklist.map((i) => ({
+                id: i.id,
+                text: i.text,
+                done: i.done,
+            })),
+            recurrence: t.recurrence,
+            nextOccurrenceId: t.nextOccurrenceId,
+            tags: [...t.tags],
+            blockedBy: [...t.blockedBy],
+            estimateMinutes: t.estimateMinutes,
+            timeLog: t.timeLog.map((entry) => ({ start: entry.start, end: entry.end })),
+            reminders: t.reminders.map((r) => ({
+                id: r.id,
+                type: r.type,
+                at: r.at,
+                offsetMinutes: r.offsetMinutes,
+                snoozedUntil: r.snoozedUntil,
+                firedAt: r.firedAt,
+            })),
+            comments: t.comments.map((c) => ({ id: c.id, text: c.text, createdAt: c.createdAt })),
+            attachments: t.attachments.map((a) => ({
+                id: a.id,
+                name: a.name,
+                type: a.type,
+                size: a.size,
+                addedAt: a.addedAt,
+            })),
+            activity: t.activity.map((a) => ({ id: a.id, type: a.type, from: a.from, to: a.to, at: a.at })),
+            createdAt: t.createdAt,
+            updatedAt: t.updatedAt,
+            completedAt: t.completedAt,
+        };
     }
 
     printProjects() {
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Defines the ProjectTemplate class, a reusable blueprint of a project's todos.
+ *
+ * Responsibilities:
+ *  - Capture a project's todos (title, description, priority, checklist steps, tags and estimate) with their
+ *    due and scheduled dates stored as a number of days after a start date, via `ProjectTemplate.fromProject()`.
+ *  - Turn the blueprint back into todo details for a new start date via `getTodoDetails()`, so due and scheduled
+ *    dates land the same number of days after it.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - ProjectTemplate — Class representing a saved project template.
+ *
+ * Dependencies:
+ *  - getDayOffset, applyDayOffset from '../utils/DateUtils.js' — Convert due dates to and from day offsets.
+ *
+ * Example:
+ *  const template = ProjectTemplate.fromProject(project, "Release checklist", new Date("2025-11-03"));
+ *  template.getTodoDetails(new Date("2025-12-01")); // same todos, due dates moved four weeks later
+ *
+ * @module ProjectTemplate
+ */
+
+import { getDayOffset, applyDayOffset } from "../utils/DateUtils.js";
+
+export class ProjectTemplate {
+    /**
+     * @param {string} name
+     * @param {Array<{title: string, description: string, priority: string, dueOffsetDays: number|null,
+     *                dueTime: string|null, scheduledOffsetDays: number|null, checklist: string[], tags: string[],
+     *                estimateMinutes: number|null}>} [todos]
+     *        `dueTime` keeps the time of day of timed deadlines ("HH:mm").
+     */
+    constructor(name = "Untitled Template", todos = []) {
+        this.id = crypto.randomUUID();
+        this.name = name && name.trim() !== "" ? name : "Untitled Template";
+        this.todos = todos;
+    }
+
+    /**
+     * Build a template from a project's todos. Completion state, reminders, links and tracked time are left out.
+     * @param {Project} project
+     * @param {string} name
+     * @param {Date} startDate The date due dates are measured from.
+     * @returns {ProjectTemplate}
+     */
+    static fromProject(project, name, startDate) {
+        const todos = project.getTodos().map((todo) => ({
+            title: todo.title,
+            description: todo.description,
+            priority: todo.priority,
+            dueOffsetDays: todo.dueDate ? getDayOffset(startDate, todo.dueDate) : null,
+            dueTime: todo.dueTime,
+            scheduledOffsetDays: todo.scheduledDate ? getDayOffset(startDate, todo.scheduledDate) : null,
+            checklist: todo.checklist.map((item) => item.text),
+            tags: [...todo.tags],
+            estimateMinutes: todo.estimateMinutes,
+        }));
+        return new ProjectTemplate(name, todos);
+    }
+
+    /**
+     * @param {Date} startDate The start date of the new project.
+     * @returns {Array<{title: string, description: string, priority: string, dueDate: Date|null,
+     *                  dueTime: string|null, scheduledDate: Date|null, checklist: string[], tags: string[],
+     *                  estimateMinutes: number|null}>}
+     */
+    getTodoDetails(startDate) {
+        return this.todos.map(({ dueOffsetDays, scheduledOffsetDays = null, ...todo }) => ({
+            ...todo,
+            dueTime: todo.dueTime ?? null,
+            scheduledDate: scheduledOffsetDays === null ? null : applyDayOffset(startDate, scheduledOffsetDays),
+            checklist: [...todo.checklist],
+            tags: [...todo.tags],
+            dueDate: dueOffsetDays === null ? null : applyDayOffset(startDate, dueOffsetDays),
+        }));
+    }
+}
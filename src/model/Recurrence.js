@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Defines enum-like objects describing how a recurring todo repeats.
+ *
+ * Responsibilities:
+ *  - Provide consistent, readable constants for recurrence frequencies.
+ *  - Provide constants for the two ways a monthly recurrence can be anchored.
+ *
+ * Exports:
+ *  - Frequencies — Immutable object literal simulating an enum of repeat units.
+ *  - MonthlyModes — Immutable object literal simulating an enum of monthly anchoring modes.
+ *
+ * A recurrence rule stored on a Todo has the shape:
+ *  {
+ *      frequency: Frequencies,      // unit to repeat by
+ *      interval: number,            // repeat every N units (>= 1)
+ *      weekdays?: number[],         // Weekly only: 0 (Sun) – 6 (Sat)
+ *      monthlyMode?: MonthlyModes,  // Monthly only
+ *      dayOfMonth?: number,         // Monthly DAY_OF_MONTH and Yearly anchor (filled from the due date)
+ *      month?: number,              // Yearly anchor: 0 (Jan) – 11 (Dec) (filled from the due date)
+ *      nth?: number,                // Monthly NTH_WEEKDAY anchor: 1–4, or -1 for "last"
+ *      weekday?: number,            // Monthly NTH_WEEKDAY anchor: 0 (Sun) – 6 (Sat)
+ *  }
+ *
+ * Example:
+ *  - { frequency: Frequencies.WEEKLY, interval: 1, weekdays: [1, 3] } → every Mon and Wed
+ *  - { frequency: Frequencies.MONTHLY, interval: 1, monthlyMode: MonthlyModes.NTH_WEEKDAY } → e.g. every 2nd Tue
+ *
+ * @module Recurrence
+ */
+
+export const Frequencies = Object.freeze({
+    DAILY: "Daily",
+    WEEKLY: "Weekly",
+    MONTHLY: "Monthly",
+    YEARLY: "Yearly",
+});
+
+export const MonthlyModes = Object.freeze({
+    DAY_OF_MONTH: "DayOfMonth",
+    NTH_WEEKDAY: "NthWeekday",
+});
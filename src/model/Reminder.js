@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Defines the Reminder class, a point in time at which the user is notified about a Todo.
+ *
+ * Responsibilities:
+ *  - Describe when a reminder triggers: at an absolute time, or relative to the todo's due date
+ *    (e.g. 1 day before).
+ *  - Track whether the reminder has fired, and when it has been snoozed until.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - ReminderTypes — Immutable object literal simulating an enum of reminder kinds.
+ *  - Reminder — Class representing a single reminder.
+ *
+ * Example:
+ *  const reminder = new Reminder(ReminderTypes.RELATIVE, { offsetMinutes: 24 * 60 }); // 1 day before due
+ *  reminder.isDue(todo.dueDate); // true once the trigger time has passed and it hasn't fired yet
+ *  reminder.snooze(10);
+ *
+ * @module Reminder
+ */
+
+export const ReminderTypes = Object.freeze({
+    ABSOLUTE: "Absolute",
+    RELATIVE: "Relative",
+});
+
+export class Reminder {
+    /**
+     * @param {string} type One of ReminderTypes.
+     * @param {{at?: Date|string|null, offsetMinutes?: number}} [options] `at` for absolute reminders,
+     *        `offsetMinutes` (minutes before the due date) for relative ones.
+     */
+    constructor(type = ReminderTypes.RELATIVE, { at = null, offsetMinutes = 0 } = {}) {
+        this.id = crypto.randomUUID();
+        this.type = type;
+        this.at = at ? new Date(at) : null;
+        this.offsetMinutes = Number(offsetMinutes) || 0;
+        this.snoozedUntil = null;
+        this.firedAt = null;
+    }
+
+    /**
+     * When this reminder should fire, taking snoozing into account.
+     * @param {Date|null} dueDate The todo's due date (needed by relative reminders).
+     * @returns {Date|null} The trigger time, or null if it can't be determined (relative without a due date).
+     */
+    getTriggerTime(dueDate) {
+        if (this.snoozedUntil) return this.snoozedUntil;
+        if (this.type === ReminderTypes.ABSOLUTE) return this.at;
+        if (!dueDate) return null;
+        return new Date(dueDate.getTime() - this.offsetMinutes * 60000);
+    }
+
+    isDue(dueDate, now = new Date()) {
+        const trigger = this.getTriggerTime(dueDate);
+        return !this.firedAt && trigger !== null && trigger <= now;
+    }
+
+    markFired(now = new Date()) {
+        this.firedAt = now;
+    }
+
+    /**
+     * Forget that this reminder fired or was snoozed, e.g. because it now triggers at a different time.
+     */
+    reset() {
+        this.firedAt = null;
+        this.snoozedUntil = null;
+    }
+
+    /**
+     * Fire again after the given number of minutes.
+     * @param {number} minutes
+     * @param {Date} [now]
+     */
+    snooze(minutes, now = new Date()) {
+        this.snoozedUntil = new Date(now.getTime() + minutes * 60000);
+        this.firedAt = null;
+    }
+
+    /**
+     * Whether this reminder triggers at the same time as the given description (used to keep fired/snoozed
+     * state when a todo's reminders are re-submitted unchanged).
+     * @param {{type: string, at?: Date|string|null, offsetMinutes?: number}} spec
+     * @returns {boolean}
+     */
+    matches(spec) {
+        if (spec.type !== this.type) return false;
+        if (this.type === ReminderTypes.ABSOLUTE) return new Date(spec.at).getTime() === this.at?.getTime();
+        return (Number(spec.offsetMinutes) || 0) === this.offsetMinutes;
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Defines the Tag class, a cross-project label that can be attached to todos.
+ *
+ * Responsibilities:
+ *  - Hold a tag's normalised name and display colour.
+ *  - Normalise user-entered tag names via `normalizeTagName()` so "#Errand" and "errand" are the same tag.
+ *  - Provide a palette of default colours for newly registered tags.
+ *
+ * Exports:
+ *  - Tag — Class representing a tag in the ProjectManager's registry.
+ *  - normalizeTagName — Function returning the canonical form of a tag name.
+ *  - TAG_COLORS — Default colour palette cycled through for new tags.
+ *
+ * Example:
+ *  const tag = new Tag("#Waiting-On", TAG_COLORS[0]);
+ *  tag.name; // "waiting-on"
+ *
+ * @module Tag
+ */
+
+export const TAG_COLORS = Object.freeze(["#51b0e4", "#a78bfa", "#f472b6", "#34d399", "#fbbf24", "#fb923c", "#94a3b8"]);
+
+/**
+ * Returns the canonical form of a tag name: trimmed, lower-cased and without a leading "#".
+ *
+ * @param {string} name - The user-entered tag name.
+ * @returns {string} The normalised name (empty if nothing usable was entered).
+ */
+export function normalizeTagName(name) {
+    return (name ?? "").trim().replace(/^#+/, "").trim().toLowerCase();
+}
+
+export class Tag {
+    constructor(name, color = TAG_COLORS[0]) {
+        this.name = normalizeTagName(name);
+        this.color = color;
+    }
+
+    setColor(color) {
+        this.color = color;
+    }
+}
@@ -5,47 +5,395 @@
  *  - Encapsulate all data for one to-do item, including id, title, description,
  *    due date, priority, and completion state.
  *  - Provide controlled access and mutation via the `info` getter/setter.
- *  - Toggle completion state through the `toggleCompleted()` method.
+ *  - Toggle completion state through the `toggleCompleted()` method, spawning the next occurrence
+ *    when the todo has a recurrence rule, and remembering that occurrence until the todo is reopened.
+ *  - Maintain an ordered checklist of steps with add, remove, reorder and toggle operations.
+ *  - Hold a list of normalised tag names used to group todos across projects.
+ *  - Hold the ids of the todos blocking this one ("blocked by"); cycle checks live in the ProjectManager.
+ *  - Track time: an optional estimate plus a start/stop timer recording time-log entries ({ start, end }).
+ *  - Hold reminders, either at an absolute time or relative to the due date.
+ *  - Keep a thread of timestamped comments, and an activity log recording when the todo was created, renamed,
+ *    re-prioritised, had its due date moved, or was completed/reopened (through `updateData()` and
+ *    `toggleCompleted()`, so restoring saved data doesn't log anything).
+ *  - Record when it was created, last updated (through `updateData()` or `toggleCompleted()`) and completed.
+ *  - Hold the metadata of attached files; their contents live in the AttachmentStore, keyed by attachment id.
+ *  - Create an independent copy of itself (with a new id) via `duplicate()`.
+ *  - Emit a `ModelEvents.TODO_UPDATED` event naming the changed field whenever it is modified.
  *  - Automatically generate a unique id for each instance.
- *  - Convert dueDate input into a Date object, or null if none is provided.
+ *  - Hold an optional deadline: a local calendar day (`dueDate` at local midnight), optionally with a time of day
+ *    (`dueTime`, "HH:mm"), in which case `dueDate` is that exact moment.
+ *  - Hold an optional scheduled (start) date: the local day the user plans to work on it, separate from the
+ *    deadline. `isScheduledForLater()` tells whether that day is still to come.
  *
  * Exports:
  *  - Todo — Class representing a to-do item.
  *
  * Dependencies:
- *  - Priorities from './Priorities.js' — Enum-like object for priority levels.
+ *  - Priorities from './Priorities.js' — Ids of the built-in priority levels (the default priority).
+ *  - ChecklistItem from './ChecklistItem.js' — Represents individual checklist steps.
+ *  - normalizeTagName from './Tag.js' — Canonicalises tag names.
+ *  - Reminder, ReminderTypes from './Reminder.js' — Represents individual reminders.
+ *  - Comment from './Comment.js' — Represents comments.
+ *  - Attachment from './Attachment.js' — Represents attached files.
+ *  - ActivityEntry, ActivityTypes from './ActivityEntry.js' — Represents activity log entries.
+ *  - DateUtils from '../utils/DateUtils.js' — Calculates the next occurrence of a recurring todo and reads due
+ *    dates as local days.
+ *  - Observable, ModelEvents from './Observable.js' — Change notifications.
  *
  * Example:
  *  const todo = new Todo("Buy milk", "2L of milk", "2025-11-21", Priorities.URGENT);
  *  todo.toggleCompleted();
  *  todo.info = { title: "Buy bread" };
+ *  const step = todo.addChecklistItem("Check the fridge");
+ *  todo.toggleChecklistItem(step.id);
  *
  * @module Todo
  */
 
 import { Priorities } from "./Priorities.js";
-export class Todo {
+import { ChecklistItem } from "./ChecklistItem.js";
+import { normalizeTagName } from "./Tag.js";
+import { Reminder, ReminderTypes } from "./Reminder.js";
+import { Comment } from "./Comment.js";
+import { Attachment } from "./Attachment.js";
+import { ActivityEntry, ActivityTypes } from "./ActivityEntry.js";
+import {
+    anchorRecurrence,
+    getNextOccurrence,
+    parseLocalDate,
+    combineDateAndTime,
+    formatTime,
+    isTimeOfDay,
+    daysUntilDue,
+    getDayOffset,
+    applyDayOffset,
+} from "../utils/DateUtils.js";
+import { Observable, ModelEvents } from "./Observable.js";
+export class Todo extends Observable {
     static n = 1;
 
     constructor(title = "Untitled Todo", description = "", dueDate, priority = Priorities.IMPORTANT) {
+        super();
         this._id = crypto.randomUUID();
         if (!title || title.trim() === "") {
             title = "Untitled Todo";
         }
         this._title = title;
         this._description = description;
-        this._dueDate = dueDate ? new Date(dueDate) : null;
+        this._dueDate = parseLocalDate(dueDate); // local midnight, or the exact deadline when it has a time
+        this._hasDueTime = false;
+        this._scheduledDate = null; // local midnight of the day the todo is planned for
         this._priority = priority;
         this._completed = false;
         this._expanded = false;
+        this._checklist = [];
+        this._recurrence = null;
+        this._nextOccurrenceId = null; // the occurrence spawned when this todo was completed, until it is reopened
+        this._tags = [];
+        this._blockedBy = [];
+        this._estimateMinutes = null;
+        this._timeLog = []; // [{ start: Date, end: Date|null }], end is null while the timer is running
+        this._reminders = [];
+        this._comments = [];
+        this._attachments = [];
+        this._activity = [new ActivityEntry(ActivityTypes.CREATED)];
+        this._createdAt = new Date();
+        this._updatedAt = this._createdAt;
+        this._completedAt = null; // null while the todo is open
     }
 
+    /**
+     * Toggle the completion state. Completing a recurring todo spawns its next occurrence: the returned
+     * todo carries the recurrence rule forward and this one becomes a regular, one-off completed todo. Its id is
+     * kept in `nextOccurrenceId` until this todo is reopened (see `ProjectManager.toggleTodoCompleted()`).
+     * @returns {Todo|null} The next occurrence, or null if none was spawned.
+     */
     toggleCompleted() {
         this._completed = !this._completed;
+        if (!this._completed) this._nextOccurrenceId = null;
+        this._activity.push(new ActivityEntry(this._completed ? ActivityTypes.COMPLETED : ActivityTypes.REOPENED));
+        this._updatedAt = new Date();
+        this._completedAt = this._completed ? this._updatedAt : null;
+        if (this._completed) this.stopTimer();
+        if (!this._completed || !this._recurrence) {
+            this._changed("completed");
+            return null;
+        }
+
+        const next = this._spawnNextOccurrence();
+        this._changed("completed");
+        return next;
+    }
+
+    /**
+     * @param {string} field The name of the changed property, e.g. "title" or "checklist".
+     */
+    _changed(field) {
+        this._emit(ModelEvents.TODO_UPDATED, { todo: this, field });
+    }
+
+    _spawnNextOccurrence() {
+        const base = this._dueDate ?? new Date();
+        const rule = anchorRecurrence(this._recurrence, base);
+
+        const next = new Todo(this._title, this._description, getNextOccurrence(base, rule), this._priority);
+        next.dueTime = this.dueTime;
+        // Keep the next occurrence's scheduled date the same number of days before its due date
+        if (this._scheduledDate && this._dueDate) {
+            next.scheduledDate = applyDayOffset(next.dueDate, getDayOffset(this._dueDate, this._scheduledDate));
+        }
+        next.recurrence = rule;
+        next.tags = this._tags;
+        next.estimateMinutes = this._estimateMinutes;
+        // Only reminders relative to the due date make sense for the next occurrence
+        this._reminders
+            .filter((reminder) => reminder.type === ReminderTypes.RELATIVE)
+            .forEach((reminder) => next.addReminder(reminder.type, { offsetMinutes: reminder.offsetMinutes }));
+        this._checklist.forEach((item) => next.addChecklistItem(item.text));
+
+        this._recurrence = null;
+        this._nextOccurrenceId = next.id;
+        return next;
+    }
+
+    /**
+     * Create a copy of this todo with a new id. Every field is copied, including the completion state,
+     * checklist progress, reminders, comments and attachments, except the time log: tracked time stays with the
+     * original so it isn't counted twice in time reports. The copy's activity log and creation time start afresh; a
+     * completed copy keeps the original's completion time. Copied attachments share their stored contents with the
+     * original's, which are kept for as long as either todo refers to them.
+     * @returns {Todo}
+     */
+    duplicate() {
+        const copy = new Todo(this._title, this._description, this._dueDate, this._priority);
+        copy.dueTime = this.dueTime;
+        copy.scheduledDate = this._scheduledDate;
+        copy.completed = this._completed;
+        copy.completedAt = this._completedAt;
+        copy.expanded = this._expanded;
+        copy.recurrence = this._recurrence;
+        copy.tags = this._tags;
+        copy.blockedBy = this._blockedBy;
+        copy.estimateMinutes = this._estimateMinutes;
+        this._checklist.forEach((item) => {
+            const copiedItem = copy.addChecklistItem(item.text);
+            if (item.done) copiedItem.toggleDone();
+        });
+        this._reminders.forEach((reminder) => {
+            const reminderCopy = copy.addReminder(reminder.type, reminder);
+            reminderCopy.snoozedUntil = reminder.snoozedUntil;
+            reminderCopy.firedAt = reminder.firedAt;
+        });
+        this._comments.forEach((comment) => copy.comments.push(new Comment(comment.text, comment.createdAt)));
+        this._attachments.forEach(({ id, name, type, size, addedAt }) =>
+            copy.addAttachment(new Attachment(name, type, size, { id, addedAt }))
+        );
+        return copy;
     }
 
     toggleExpanded() {
         this._expanded = !this._expanded;
+        this._changed("expanded");
+    }
+
+    addChecklistItem(text) {
+        const item = new ChecklistItem(text);
+        this._checklist.push(item);
+        this._changed("checklist");
+        return item;
+    }
+
+    removeChecklistItem(id) {
+        this._checklist = this._checklist.filter((item) => item.id !== id);
+        this._changed("checklist");
+    }
+
+    /**
+     * Move a checklist item to a new position, clamping the index to the bounds of the list.
+     * @param {string} id The checklist item id.
+     * @param {number} toIndex The index the item should end up at.
+     */
+    moveChecklistItem(id, toIndex) {
+        const fromIndex = this._checklist.findIndex((item) => item.id === id);
+        if (fromIndex === -1) return;
+
+        const clamped = Math.max(0, Math.min(toIndex, this._checklist.length - 1));
+        const [item] = this._checklist.splice(fromIndex, 1);
+        this._checklist.splice(clamped, 0, item);
+        this._changed("checklist");
+    }
+
+    toggleChecklistItem(id) {
+        this.getChecklistItemById(id)?.toggleDone();
+        this._changed("checklist");
+    }
+
+    getChecklistItemById(id) {
+        return this._checklist.find((item) => item.id === id) ?? null;
+    }
+
+    addTag(name) {
+        const normalized = normalizeTagName(name);
+        if (!normalized || this._tags.includes(normalized)) return;
+        this._tags.push(normalized);
+        this._changed("tags");
+    }
+
+    removeTag(name) {
+        const normalized = normalizeTagName(name);
+        if (!this._tags.includes(normalized)) return;
+        this._tags = this._tags.filter((tag) => tag !== normalized);
+        this._changed("tags");
+    }
+
+    hasTag(name) {
+        return this._tags.includes(normalizeTagName(name));
+    }
+
+    addBlocker(id) {
+        if (!id || id === this._id || this._blockedBy.includes(id)) return;
+        this._blockedBy.push(id);
+        this._changed("blockedBy");
+    }
+
+    removeBlocker(id) {
+        if (!this._blockedBy.includes(id)) return;
+        this._blockedBy = this._blockedBy.filter((blockerId) => blockerId !== id);
+        this._changed("blockedBy");
+    }
+
+    startTimer() {
+        if (this.isTimerRunning()) return;
+        this._timeLog.push({ start: new Date(), end: null });
+        this._changed("timeLog");
+    }
+
+    stopTimer() {
+        const running = this._timeLog.find((entry) => entry.end === null);
+        if (!running) return;
+        running.end = new Date();
+        this._changed("timeLog");
+    }
+
+    isTimerRunning() {
+        return this._timeLog.some((entry) => entry.end === null);
+    }
+
+    /**
+     * Total time logged against this todo, counting a running timer up to `now`.
+     * @param {Date} [now]
+     * @returns {number} Milliseconds tracked.
+     */
+    getTrackedTime(now = new Date()) {
+        return this._timeLog.reduce((total, entry) => total + ((entry.end ?? now) - entry.start), 0);
+    }
+
+    addReminder(type, options) {
+        const reminder = new Reminder(type, options);
+        this._reminders.push(reminder);
+        this._changed("reminders");
+        return reminder;
+    }
+
+    removeReminder(id) {
+        this._reminders = this._reminders.filter((reminder) => reminder.id !== id);
+        this._changed("reminders");
+    }
+
+    getReminderById(id) {
+        return this._reminders.find((reminder) => reminder.id === id) ?? null;
+    }
+
+    markReminderFired(id, now = new Date()) {
+        this.getReminderById(id)?.markFired(now);
+        this._changed("reminders");
+    }
+
+    snoozeReminder(id, minutes, now = new Date()) {
+        this.getReminderById(id)?.snooze(minutes, now);
+        this._changed("reminders");
+    }
+
+    /**
+     * Replace the reminders with the given descriptions. Reminders that are unchanged keep their fired/snoozed
+     * state, so re-saving a todo doesn't make an already-fired reminder fire again.
+     * @param {Array<{type: string, at?: Date|string|null, offsetMinutes?: number}>} specs
+     */
+    setReminders(specs) {
+        const previous = this._reminders;
+        this._reminders = [];
+        specs.forEach((spec) => {
+            const existing = previous.find((reminder) => reminder.matches(spec));
+            if (existing) this._reminders.push(existing);
+            else this.addReminder(spec.type, spec);
+        });
+        this._changed("reminders");
+    }
+
+    /**
+     * @param {Date} [now]
+     * @returns {Reminder[]} Reminders that should fire now. Completed todos never remind.
+     */
+    getDueReminders(now = new Date()) {
+        if (this._completed) return [];
+        return this._reminders.filter((reminder) => reminder.isDue(this._dueDate, now));
+    }
+
+    /**
+     * @param {Date} [now]
+     * @returns {Date|null} The next time one of this todo's reminders will fire.
+     */
+    getNextReminderTime(now = new Date()) {
+        const upcoming = this._reminders
+            .filter((reminder) => !reminder.firedAt)
+            .map((reminder) => reminder.getTriggerTime(this._dueDate))
+            .filter((trigger) => trigger && trigger > now)
+            .sort((a, b) => a - b);
+        return upcoming[0] ?? null;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Comment|null} The new comment, or null if the text is blank.
+     */
+    addComment(text) {
+        if (!text || text.trim() === "") return null;
+        const comment = new Comment(text);
+        this._comments.push(comment);
+        this._changed("comments");
+        return comment;
+    }
+
+    removeComment(id) {
+        this._comments = this._comments.filter((comment) => comment.id !== id);
+        this._changed("comments");
+    }
+
+    /**
+     * @param {Attachment} attachment The metadata of a file whose contents are already in the AttachmentStore.
+     */
+    addAttachment(attachment) {
+        this._attachments.push(attachment);
+        this._changed("attachments");
+    }
+
+    removeAttachment(id) {
+        this._attachments = this._attachments.filter((attachment) => attachment.id !== id);
+        this._changed("attachments");
+    }
+
+    getAttachmentById(id) {
+        return this._attachments.find((attachment) => attachment.id === id) ?? null;
+    }
+
+    /**
+     * @returns {{done: number, total: number}} How many checklist items are done out of the total.
+     */
+    getChecklistProgress() {
+        return {
+            done: this._checklist.filter((item) => item.done).length,
+            total: this._checklist.length,
+        };
     }
 
     get id() {
@@ -64,6 +412,7 @@ export class Todo {
             val = "Untitled Todo";
         }
         this._title = val;
+        this._changed("title");
     }
 
     get description() {
@@ -71,13 +420,69 @@ export class Todo {
     }
     set description(val) {
         this._description = val;
+        this._changed("description");
     }
 
     get dueDate() {
         return this._dueDate;
     }
+    /**
+     * Set the due day (a Date or "yyyy-MM-dd"), keeping the current due time if there is one.
+     */
     set dueDate(val) {
-        this._dueDate = val ? new Date(val) : null;
+        this._setDue(val, this.dueTime);
+        this._changed("dueDate");
+    }
+
+    /**
+     * @returns {string|null} The local time of day the todo is due ("HH:mm"), or null if it is due by the end of
+     *          its due day.
+     */
+    get dueTime() {
+        return this._hasDueTime ? formatTime(this._dueDate) : null;
+    }
+    set dueTime(val) {
+        this._setDue(this._dueDate, val);
+        this._changed("dueTime");
+    }
+
+    get hasDueTime() {
+        return this._hasDueTime;
+    }
+
+    get scheduledDate() {
+        return this._scheduledDate;
+    }
+    /**
+     * Set the scheduled day (a Date or "yyyy-MM-dd", read as a local calendar day), or null for none.
+     */
+    set scheduledDate(val) {
+        this._scheduledDate = parseLocalDate(val);
+        this._changed("scheduledDate");
+    }
+
+    /**
+     * @param {Date} [now]
+     * @returns {boolean} Whether the todo is scheduled for a day after today.
+     */
+    isScheduledForLater(now = new Date()) {
+        return !!this._scheduledDate && daysUntilDue(this._scheduledDate, now) > 0;
+    }
+
+    /**
+     * Set the due date. Reminders relative to it then trigger at a new time, so they can fire (again) for it.
+     * @param {Date|string|null} day The due day, read as a local calendar day.
+     * @param {string|null} time "HH:mm", or empty if the todo is due by the end of the day.
+     */
+    _setDue(day, time) {
+        const previousDue = this._dueDate?.getTime();
+        this._dueDate = combineDateAndTime(day, time);
+        this._hasDueTime = this._dueDate !== null && isTimeOfDay(time);
+        if (this._dueDate?.getTime() !== previousDue) {
+            this._reminders
+                .filter((reminder) => reminder.type === ReminderTypes.RELATIVE)
+                .forEach((reminder) => reminder.reset());
+        }
     }
 
     get priority() {
@@ -85,6 +490,7 @@ export class Todo {
     }
     set priority(val) {
         this._priority = val;
+        this._changed("priority");
     }
 
     get completed() {
@@ -92,6 +498,7 @@ export class Todo {
     }
     set completed(val) {
         this._completed = val;
+        this._changed("completed");
     }
 
     get expanded() {
@@ -99,6 +506,113 @@ export class Todo {
     }
     set expanded(val) {
         this._expanded = val;
+        this._changed("expanded");
+    }
+
+    get checklist() {
+        return this._checklist;
+    }
+
+    get recurrence() {
+        return this._recurrence;
+    }
+    set recurrence(val) {
+        this._recurrence = val ? { ...val } : null;
+        this._changed("recurrence");
+    }
+
+    get tags() {
+        return this._tags;
+    }
+    set tags(val) {
+        this._tags = [];
+        (val ?? []).forEach((name) => this.addTag(name));
+        this._changed("tags");
+    }
+
+    /**
+     * @returns {string|null} The id of the occurrence spawned when this recurring todo was completed; null once
+     *          it is reopened, or if it spawned none.
+     */
+    get nextOccurrenceId() {
+        return this._nextOccurrenceId;
+    }
+    set nextOccurrenceId(val) {
+        this._nextOccurrenceId = val ?? null;
+        this._changed("nextOccurrenceId");
+    }
+
+    get blockedBy() {
+        return this._blockedBy;
+    }
+    set blockedBy(val) {
+        this._blockedBy = [];
+        (val ?? []).forEach((id) => this.addBlocker(id));
+        this._changed("blockedBy");
+    }
+
+    get estimateMinutes() {
+        return this._estimateMinutes;
+    }
+    set estimateMinutes(val) {
+        const minutes = Number(val);
+        this._estimateMinutes = val === null || val === "" || !(minutes > 0) ? null : Math.round(minutes);
+        this._changed("estimateMinutes");
+    }
+
+    get timeLog() {
+        return this._timeLog;
+    }
+    set timeLog(val) {
+        this._timeLog = (val ?? []).map((entry) => ({
+            start: new Date(entry.start),
+            end: entry.end ? new Date(entry.end) : null,
+        }));
+        this._changed("timeLog");
+    }
+
+    get reminders() {
+        return this._reminders;
+    }
+
+    get comments() {
+        return this._comments;
+    }
+
+    get attachments() {
+        return this._attachments;
+    }
+
+    get activity() {
+        return this._activity;
+    }
+    set activity(val) {
+        this._activity = val ?? [];
+        this._changed("activity");
+    }
+
+    get createdAt() {
+        return this._createdAt;
+    }
+    set createdAt(val) {
+        this._createdAt = new Date(val);
+        this._changed("createdAt");
+    }
+
+    get updatedAt() {
+        return this._updatedAt;
+    }
+    set updatedAt(val) {
+        this._updatedAt = new Date(val);
+        this._changed("updatedAt");
+    }
+
+    get completedAt() {
+        return this._completedAt;
+    }
+    set completedAt(val) {
+        this._completedAt = val ? new Date(val) : null;
+        this._changed("completedAt");
     }
 
     get info() {
@@ -107,26 +621,140 @@ export class Todo {
             title: this._title,
             description: this._description,
             dueDate: this._dueDate,
+            hasDueTime: this._hasDueTime,
+            scheduledDate: this._scheduledDate,
             priority: this._priority,
             completed: this._completed,
             expanded: this._expanded,
+            checklist: this._checklist,
+            recurrence: this._recurrence,
+            nextOccurrenceId: this._nextOccurrenceId,
+            tags: this._tags,
+            blockedBy: this._blockedBy,
+            estimateMinutes: this._estimateMinutes,
+            timeLog: this._timeLog,
+            reminders: this._reminders,
+            comments: this._comments,
+            attachments: this._attachments,
+            activity: this._activity,
+            createdAt: this._createdAt,
+            updatedAt: this._updatedAt,
+            completedAt: this._completedAt,
         };
     }
 
-    set info({ id, title, description, dueDate, priority, completed, expanded }) {
+    set info({
+        id,
+        title,
+        description,
+        dueDate,
+        hasDueTime,
+        scheduledDate,
+        priority,
+        completed,
+        expanded,
+        checklist,
+        recurrence,
+        nextOccurrenceId,
+        tags,
+        blockedBy,
+        estimateMinutes,
+        timeLog,
+        reminders,
+        comments,
+        attachments,
+        activity,
+        createdAt,
+        updatedAt,
+        completedAt,
+    }) {
         this._id = id ?? this._id;
         this._title = title ?? this._title;
         this._description = description ?? this._description;
         this._dueDate = dueDate ? new Date(dueDate) : this._dueDate;
+        this._hasDueTime = hasDueTime ?? this._hasDueTime;
+        this._scheduledDate = scheduledDate !== undefined ? parseLocalDate(scheduledDate) : this._scheduledDate;
         this._priority = priority ?? this._priority;
         this._completed = completed ?? this._completed;
         this._expanded = expanded ?? this._expanded;
+        this._checklist = checklist ?? this._checklist;
+        this._recurrence = recurrence !== undefined ? recurrence : this._recurrence;
+        this._nextOccurrenceId = nextOccurrenceId !== undefined ? nextOccurrenceId : this._nextOccurrenceId;
+        this._tags = tags ?? this._tags;
+        this._blockedBy = blockedBy ?? this._blockedBy;
+        this._estimateMinutes = estimateMinutes !== undefined ? estimateMinutes : this._estimateMinutes;
+        this._timeLog = timeLog ?? this._timeLog;
+        this._reminders = reminders ?? this._reminders;
+        this._comments = comments ?? this._comments;
+        this._attachments = attachments ?? this._attachments;
+        this._activity = activity ?? this._activity;
+        this._createdAt = createdAt ?? this._createdAt;
+        this._updatedAt = updatedAt ?? this._updatedAt;
+        this._completedAt = completedAt !== undefined ? completedAt : this._completedAt;
+        this._changed("info");
     }
 
-    updateData({ title, description, dueDate, priority }) {
+    /**
+     * Apply user edits and bump `updatedAt`. Renames, priority changes and due date moves are recorded in the
+     * activity log.
+     * @param {Object} data Any of the editable fields; undefined fields are left unchanged. `dueDate` is read as a
+     *        local calendar day and `dueTime` ("HH:mm", or empty for none) sets the time of day it is due.
+     *        `scheduledDate` is also read as a local day (null or empty for none).
+     */
+    updateData({
+        title,
+        description,
+        dueDate,
+        dueTime,
+        scheduledDate,
+        priority,
+        recurrence,
+        tags,
+        estimateMinutes,
+        reminders,
+    }) {
+        const before = { title: this._title, priority: this._priority, dueDate: this._dueDate };
+        const fields = [
+            title,
+            description,
+            dueDate,
+            dueTime,
+            scheduledDate,
+            priority,
+            recurrence,
+            tags,
+            estimateMinutes,
+            reminders,
+        ];
+        if (fields.some((field) => field !== undefined)) this._updatedAt = new Date();
+
         if (title !== undefined) this.title = title;
         if (description !== undefined) this.description = description;
-        if (dueDate !== undefined) this.dueDate = dueDate;
+        if (dueDate !== undefined || dueTime !== undefined) {
+            const day = dueDate !== undefined ? dueDate : this._dueDate;
+            this._setDue(day, dueTime !== undefined ? dueTime : this.dueTime);
+            this._changed("dueDate");
+        }
+        if (scheduledDate !== undefined) this.scheduledDate = scheduledDate;
         if (priority !== undefined) this.priority = priority;
+        if (recurrence !== undefined) this.recurrence = recurrence;
+        if (tags !== undefined) this.tags = tags;
+        if (estimateMinutes !== undefined) this.estimateMinutes = estimateMinutes;
+        if (reminders !== undefined) this.setReminders(reminders);
+
+        if (this._title !== before.title) {
+            this._logActivity(ActivityTypes.RENAMED, before.title, this._title);
+        }
+        if (this._priority !== before.priority) {
+            this._logActivity(ActivityTypes.PRIORITY_CHANGED, before.priority, this._priority);
+        }
+        if (this._dueDate?.getTime() !== before.dueDate?.getTime()) {
+            this._logActivity(ActivityTypes.DUE_DATE_CHANGED, before.dueDate, this._dueDate);
+        }
+    }
+
+    _logActivity(type, from, to) {
+        this._activity.push(new ActivityEntry(type, { from, to }));
+        this._changed("activity");
     }
 }
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Defines the orders a project's todos can be listed in, and sorts todos into them.
+ *
+ * Responsibilities:
+ *  - List the available sort orders: the user's manual arrangement, by creation, update or completion time, or by
+ *    priority (the weight of each todo's priority level).
+ *  - Sort a list of todos (or of entries holding todos, such as `{project, todo}`) without changing the original.
+ *
+ * Exports:
+ *  - TodoSortOrders — Immutable object literal simulating an enum of sort orders.
+ *  - TODO_SORT_LABELS — Display names of the sort orders.
+ *  - sortTodos — Function returning a sorted copy of a list of todos.
+ *
+ * Example:
+ *  sortTodos(project.getTodos(), TodoSortOrders.COMPLETED); // most recently finished first
+ *  sortTodos(rolledUpEntries, TodoSortOrders.CREATED, (entry) => entry.todo);
+ *  sortTodos(project.getTodos(), TodoSortOrders.PRIORITY, undefined, projectManager.getPriorities());
+ *
+ * @module TodoSort
+ */
+
+export const TodoSortOrders = Object.freeze({
+    MANUAL: "manual",
+    CREATED: "created", // newest first
+    UPDATED: "updated", // most recently updated first
+    COMPLETED: "completed", // most recently completed first, then open todos in manual order
+    PRIORITY: "priority", // highest priority level first
+});
+
+export const TODO_SORT_LABELS = Object.freeze({
+    [TodoSortOrders.MANUAL]: "Manual order",
+    [TodoSortOrders.CREATED]: "Newest first",
+    [TodoSortOrders.UPDATED]: "Recently updated",
+    [TodoSortOrders.COMPLETED]: "Recently completed",
+    [TodoSortOrders.PRIORITY]: "Highest priority first",
+});
+
+/**
+ * @param {Array} items Todos, or entries that hold one.
+ * @param {string} order One of TodoSortOrders; unknown orders keep the manual order.
+ * @param {(item: *) => Todo} [getTodo] Picks the todo out of an item.
+ * @param {Array<{id: string, weight: number}>} [priorities] The priority levels, for sorting by priority; todos
+ *        whose level isn't among them come last.
+ * @returns {Array} A sorted copy of `items`. Ties keep their manual order.
+ */
+export function sortTodos(items, order, getTodo = (item) => item, priorities = []) {
+    const newestFirst = (field) => (a, b) => getTodo(b)[field] - getTodo(a)[field];
+
+    switch (order) {
+        case TodoSortOrders.CREATED:
+            return [...items].sort(newestFirst("createdAt"));
+        case TodoSortOrders.UPDATED:
+            return [...items].sort(newestFirst("updatedAt"));
+        case TodoSortOrders.COMPLETED:
+            return [...items].sort((a, b) => {
+                const aDone = getTodo(a).completedAt;
+                const bDone = getTodo(b).completedAt;
+                if (aDone && bDone) return bDone - aDone;
+                return aDone ? -1 : bDone ? 1 : 0;
+            });
+        case TodoSortOrders.PRIORITY: {
+            const weights = new Map(priorities.map((level) => [level.id, level.weight]));
+            const weightOf = (item) => weights.get(getTodo(item).priority) ?? -Infinity;
+            return [...items].sort((a, b) => {
+                const aWeight = weightOf(a);
+                const bWeight = weightOf(b);
+                return aWeight === bWeight ? 0 : bWeight - aWeight;
+            });
+        }
+        default:
+            return [...items];
+    }
+}
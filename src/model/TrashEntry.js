@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Defines the TrashEntry class, a deleted todo or project kept in the trash until it is restored,
+ * deleted for good or purged.
+ *
+ * Responsibilities:
+ *  - Hold the deleted item together with where it came from, so it can be put back in the same place:
+ *    the todo's project and position, or the project's position, sub-projects and moved-up children.
+ *  - Record when the item was deleted and work out when it expires for a given retention period.
+ *  - Automatically generate a unique id for each instance.
+ *
+ * Exports:
+ *  - TrashItemTypes — Immutable object literal simulating an enum of the kinds of trashed items.
+ *  - TrashEntry — Class representing one item in the trash.
+ *
+ * Example:
+ *  const entry = new TrashEntry(TrashItemTypes.TODO, { todo, projectId: project.id, index: 2 });
+ *  entry.isExpired(30); // true once it has been in the trash for more than 30 days
+ *
+ * @module TrashEntry
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TrashItemTypes = Object.freeze({
+    TODO: "Todo",
+    PROJECT: "Project",
+});
+
+export class TrashEntry {
+    /**
+     * @param {string} type One of TrashItemTypes.
+     * @param {{todo?: Todo, projects?: Project[], projectId?: string|null, index?: number,
+     *          reparentedChildIds?: string[], deletedAt?: Date|string}} details
+     *        For todos: the todo, its project id and its index in that project.
+     *        For projects: the deleted project followed by any sub-projects deleted with it, its index in the
+     *        project list, and the ids of the children that were moved up a level instead.
+     */
+    constructor(type, { todo = null, projects = [], projectId = null, index = 0, reparentedChildIds = [], deletedAt }) {
+        this.id = crypto.randomUUID();
+        this.type = type;
+        this.todo = todo;
+        this.projects = projects;
+        this.projectId = projectId;
+        this.index = index;
+        this.reparentedChildIds = reparentedChildIds;
+        this.deletedAt = deletedAt ? new Date(deletedAt) : new Date();
+    }
+
+    /**
+     * @returns {string} The todo's title or the project's name.
+     */
+    getTitle() {
+        return this.type === TrashItemTypes.TODO ? this.todo.title : this.projects[0].getName();
+    }
+
+    /**
+     * @returns {Todo[]} Every todo held by this entry, including those of trashed projects.
+     */
+    getTodos() {
+        return this.type === TrashItemTypes.TODO ? [this.todo] : this.projects.flatMap((p) => p.getTodos());
+    }
+
+    /**
+     * @param {number} retentionDays
+     * @returns {Date} When the entry will be purged.
+     */
+    getExpiryDate(retentionDays) {
+        return new Date(this.deletedAt.getTime() + retentionDays * DAY_MS);
+    }
+
+    isExpired(retentionDays, now = new Date()) {
+        return this.getExpiryDate(retentionDays) <= now;
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Periodically checks for due reminders and hands them to a callback.
+ *
+ * Responsibilities:
+ *  - Poll for due reminders on a fixed interval, and once immediately on start so reminders that came due
+ *    while the app was closed fire as soon as it is reopened.
+ *  - Stay decoupled from the model and the UI: what is due and what happens when it fires are injected.
+ *
+ * Exports:
+ *  - ReminderScheduler — Class that drives reminder checks.
+ *
+ * Example:
+ *  const scheduler = new ReminderScheduler({
+ *      getDueReminders: (now) => projectManager.getDueReminders(now),
+ *      onRemindersDue: (due) => due.forEach(({ todo }) => console.log(`Reminder: ${todo.title}`)),
+ *  });
+ *  scheduler.start();
+ *
+ * @module ReminderScheduler
+ */
+
+const DEFAULT_CHECK_INTERVAL_MS = 30 * 1000;
+
+export class ReminderScheduler {
+    /**
+     * @param {{getDueReminders: (now: Date) => Array, onRemindersDue: (due: Array) => void,
+     *          intervalMs?: number}} options
+     */
+    constructor({ getDueReminders, onRemindersDue, intervalMs = DEFAULT_CHECK_INTERVAL_MS }) {
+        this._getDueReminders = getDueReminders;
+        this._onRemindersDue = onRemindersDue;
+        this._intervalMs = intervalMs;
+        this._timerId = null;
+    }
+
+    start() {
+        if (this._timerId !== null) return;
+        this.check();
+        this._timerId = setInterval(() => this.check(), this._intervalMs);
+    }
+
+    stop() {
+        clearInterval(this._timerId);
+        this._timerId = null;
+    }
+
+    /**
+     * Run a check now, e.g. right after reminders have been edited or snoozed.
+     * @param {Date} [now]
+     */
+    check(now = new Date()) {
+        const due = this._getDueReminders(now);
+        if (due.length > 0) this._onRemindersDue(due);
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Stores the contents of attached files in IndexedDB, which (unlike LocalStorage) can hold large
+ * binary data. The attachments' metadata lives on their todos and is saved with the rest of the state.
+ *
+ * Responsibilities:
+ *  - Open (and create on first use) the attachments database.
+ *  - Save, load and delete file contents (Blobs) by attachment id.
+ *  - Delete every stored file that is no longer referenced, so files don't outlive their todos.
+ *
+ * Every method returns a Promise. Errors are logged and reported through the Promise, so callers can tell the
+ * user when a file couldn't be saved (e.g. the storage quota is used up).
+ *
+ * Exports:
+ *  - AttachmentStore — Class wrapping one IndexedDB database.
+ *  - attachmentStore — The instance used by the app.
+ *
+ * Dependencies:
+ *  - promisify, openDatabase from '../utils/IndexedDBUtils.js'
+ *
+ * Example:
+ *  await attachmentStore.put(attachment.id, file);
+ *  const blob = await attachmentStore.get(attachment.id); // null if missing
+ *  await attachmentStore.deleteAllExcept(() => projectManager.getAttachmentIds());
+ *
+ * @module AttachmentStore
+ */
+
+import { promisify, openDatabase } from "../utils/IndexedDBUtils.js";
+
+const DB_NAME = "todoAppAttachments";
+const DB_VERSION = 1;
+const STORE_NAME = "files";
+
+export class AttachmentStore {
+    /**
+     * @param {string} [dbName]
+     */
+    constructor(dbName = DB_NAME) {
+        this._dbName = dbName;
+        /** @type {Promise<IDBDatabase>|null} Opened on first use */
+        this._dbPromise = null;
+    }
+
+    /**
+     * @param {string} id The attachment's id.
+     * @param {Blob} blob The file's contents.
+     * @returns {Promise<void>}
+     */
+    put(id, blob) {
+        return this._write("put()", (store) => store.put(blob, id));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Blob|null>} The file's contents, or null if they aren't stored.
+     */
+    async get(id) {
+        try {
+            const store = await this._store("readonly");
+            return (await promisify(store.get(id))) ?? null;
+        } catch (error) {
+            console.error("AttachmentStore.get() failed:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string[]} ids
+     * @returns {Promise<void>}
+     */
+    deleteMany(ids) {
+        return this._write("deleteMany()", (store) => ids.forEach((id) => store.delete(id)));
+    }
+
+    /**
+     * Delete every stored file that isn't in use.
+     * @param {() => Set<string>} getKeepIds Returns the ids of the attachments in use. It is called once the stored
+     *        ids have been read, so a file stored in the meantime is never mistaken for an unused one.
+     * @returns {Promise<number>} How many files were deleted.
+     */
+    async deleteAllExcept(getKeepIds) {
+        try {
+            const store = await this._store("readonly");
+            const storedIds = await promisify(store.getAllKeys());
+            const keepIds = getKeepIds();
+            const orphanIds = storedIds.filter((id) => !keepIds.has(id));
+            if (orphanIds.length > 0) await this.deleteMany(orphanIds);
+            return orphanIds.length;
+        } catch (error) {
+            console.error("AttachmentStore.deleteAllExcept() failed:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} label The calling method, for the error message.
+     * @param {(store: IDBObjectStore) => void} write Queues the writes on the store.
+     * @returns {Promise<void>} Settles once the writes are committed.
+     */
+    async _write(label, write) {
+        try {
+            const store = await this._store("readwrite");
+            write(store);
+            await promisify(store.transaction);
+        } catch (error) {
+            console.error(`AttachmentStore.${label} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {IDBTransactionMode} mode
+     * @returns {Promise<IDBObjectStore>} The files store, in a new transaction.
+     */
+    async _store(mode) {
+        const db = await this._open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    _open() {
+        if (!this._dbPromise) {
+            const upgrade = (db) => db.createObjectStore(STORE_NAME);
+            this._dbPromise = openDatabase(this._dbName, DB_VERSION, upgrade).catch((error) => {
+                this._dbPromise = null; // let the next call try again
+                throw error;
+            });
+        }
+        return this._dbPromise;
+    }
+}
+
+export const attachmentStore = new AttachmentStore();
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Saves the model whenever it changes, batching bursts of changes into a single save.
+ *
+ * Responsibilities:
+ *  - Subscribe to the model's change events and schedule a save after a short quiet period (debounce), so a
+ *    change touching many todos results in one write.
+ *  - Ignore events that don't affect saved data (e.g. switching the active project).
+ *  - Write any pending save immediately with `flush()`, e.g. when the page is being hidden or closed.
+ *
+ * Exports:
+ *  - AutoSaver — Class that keeps storage in sync with the model.
+ *
+ * Example:
+ *  const autoSaver = new AutoSaver({
+ *      model: projectManager,
+ *      save: () => projectManager.saveToStorage(),
+ *      ignoredEvents: [ModelEvents.ACTIVE_CHANGED],
+ *  });
+ *  autoSaver.start();
+ *
+ * @module AutoSaver
+ */
+
+const DEFAULT_DELAY_MS = 300;
+
+export class AutoSaver {
+    /**
+     * @param {{model: Observable, save: () => (void|Promise<void>), ignoredEvents?: string[], delayMs?: number}}
+     *        options `save` may be async; it is started without waiting for the previous save to finish.
+     */
+    constructor({ model, save, ignoredEvents = [], delayMs = DEFAULT_DELAY_MS }) {
+        this._model = model;
+        this._save = save;
+        this._ignoredEvents = new Set(ignoredEvents);
+        this._delayMs = delayMs;
+        this._timerId = null;
+        this._unsubscribe = null;
+    }
+
+    start() {
+        if (this._unsubscribe) return;
+        this._unsubscribe = this._model.subscribe((event) => {
+            if (!this._ignoredEvents.has(event.type)) this.schedule();
+        });
+    }
+
+    /**
+     * Stop listening for changes, writing any pending save first.
+     */
+    stop() {
+        this.flush();
+        this._unsubscribe?.();
+        this._unsubscribe = null;
+    }
+
+    /**
+     * Save after the quiet period, restarting it if a save is already pending.
+     */
+    schedule() {
+        clearTimeout(this._timerId);
+        this._timerId = setTimeout(() => this.flush(), this._delayMs);
+    }
+
+    /**
+     * Save now if a save is pending.
+     */
+    flush() {
+        if (this._timerId === null) return;
+        clearTimeout(this._timerId);
+        this._timerId = null;
+        this._save();
+    }
+}
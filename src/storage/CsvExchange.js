@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Converts todos to and from CSV spreadsheets, one row per todo.
+ *
+ * Responsibilities:
+ *  - Write todos as CSV rows with their project, title, description, priority, due date and completion.
+ *  - Guess which column of an imported spreadsheet holds which todo field from the header row, so the user only
+ *    has to adjust the mapping.
+ *  - Read the rows of an imported spreadsheet into todo fields through a column mapping: dates in the common
+ *    formats (see `parseDateText()`), priorities by level name or common words for the built-in `Priorities`
+ *    ("high", "medium", "p1"...), completion as yes/no-like values.
+ *  - Report every row that can't be imported together with the reasons, instead of leaving it out silently.
+ *
+ * Exports:
+ *  - CsvFields — Immutable object literal simulating an enum of the todo fields a CSV column can hold.
+ *  - CSV_FIELD_LABELS — Immutable map of field → column heading.
+ *  - todosToCsv — Function writing todos as CSV text.
+ *  - guessColumnMapping — Function mapping header cells onto fields.
+ *  - readCsvTodos — Function reading spreadsheet rows into todo fields and invalid rows.
+ *
+ * Dependencies:
+ *  - Priorities from '../model/Priorities.js' — The built-in priorities common priority words map onto.
+ *  - parseDateText, formatLocalDate, formatTime from '../utils/DateUtils.js' — Read and write due dates.
+ *  - toCsv from '../utils/CsvUtils.js' — Writes the CSV text.
+ *
+ * Example:
+ *  const [headers, ...rows] = parseCsv(text);
+ *  const { todos, invalidRows } = readCsvTodos(rows, guessColumnMapping(headers), { matchPriority });
+ *
+ * @module CsvExchange
+ */
+
+import { Priorities } from "../model/Priorities.js";
+import { parseDateText, formatLocalDate, formatTime } from "../utils/DateUtils.js";
+import { toCsv } from "../utils/CsvUtils.js";
+
+export const CsvFields = Object.freeze({
+    PROJECT: "project",
+    TITLE: "title",
+    DESCRIPTION: "description",
+    PRIORITY: "priority",
+    DUE_DATE: "dueDate",
+    COMPLETED: "completed",
+});
+
+export const CSV_FIELD_LABELS = Object.freeze({
+    [CsvFields.PROJECT]: "Project",
+    [CsvFields.TITLE]: "Title",
+    [CsvFields.DESCRIPTION]: "Description",
+    [CsvFields.PRIORITY]: "Priority",
+    [CsvFields.DUE_DATE]: "Due date",
+    [CsvFields.COMPLETED]: "Completed",
+});
+
+// Column headings (lowercased) recognised for each field, besides its own label
+const HEADER_ALIASES = {
+    [CsvFields.PROJECT]: ["project name", "list", "category"],
+    [CsvFields.TITLE]: ["task", "name", "todo", "to-do", "summary", "subject"],
+    [CsvFields.DESCRIPTION]: ["notes", "details", "body", "comment"],
+    [CsvFields.PRIORITY]: ["importance", "urgency"],
+    [CsvFields.DUE_DATE]: ["due", "deadline", "due on", "date"],
+    [CsvFields.COMPLETED]: ["done", "complete", "status"],
+};
+
+// Common spreadsheet words for the built-in priorities
+const PRIORITY_ALIASES = {
+    high: Priorities.URGENT,
+    highest: Priorities.URGENT,
+    critical: Priorities.URGENT,
+    p1: Priorities.URGENT,
+    1: Priorities.URGENT,
+    medium: Priorities.IMPORTANT,
+    normal: Priorities.IMPORTANT,
+    p2: Priorities.IMPORTANT,
+    2: Priorities.IMPORTANT,
+    lowest: Priorities.LOW,
+    p3: Priorities.LOW,
+    3: Priorities.LOW,
+};
+
+const COMPLETED_VALUES = ["yes", "y", "true", "1", "x", "done", "completed", "complete"];
+const OPEN_VALUES = ["", "no", "n", "false", "0", "open", "to do", "todo", "not started", "in progress"];
+
+/**
+ * @param {Array<{project: Project, todo: Todo}>} entries The todos to write, with the project each is in.
+ * @param {(priorityId: string) => string} getPriorityName Names a todo's priority level.
+ * @returns {string} CSV text: a header row, then one row per todo. Due dates are written as "yyyy-MM-dd", with
+ *          " HH:mm" added for todos due at a time of day.
+ */
+export function todosToCsv(entries, getPriorityName) {
+    const header = Object.values(CsvFields).map((field) => CSV_FIELD_LABELS[field]);
+    const rows = entries.map(({ project, todo }) => [
+        project.name,
+        todo.title,
+        todo.description,
+        getPriorityName(todo.priority),
+        todo.dueDate && formatLocalDate(todo.dueDate) + (todo.hasDueTime ? ` ${formatTime(todo.dueDate)}` : ""),
+        todo.completed ? "yes" : "no",
+    ]);
+    return toCsv([header, ...rows]);
+}
+
+/**
+ * @param {string[]} headers The cells of the header row.
+ * @returns {Object<string, number|null>} For each of CsvFields, the index of the first column whose heading names
+ *          that field, or null if there is none. Each column is used for one field at most.
+ */
+export function guessColumnMapping(headers) {
+    const names = headers.map((header) => header.trim().toLowerCase());
+    const used = new Set();
+    return Object.fromEntries(
+        Object.values(CsvFields).map((field) => {
+            const accepted = [CSV_FIELD_LABELS[field].toLowerCase(), ...HEADER_ALIASES[field]];
+            const index = accepted
+                .map((name) => names.findIndex((header, i) => header === name && !used.has(i)))
+                .find((i) => i !== -1);
+            if (index === undefined) return [field, null];
+            used.add(index);
+            return [field, index];
+        })
+    );
+}
+
+/**
+ * @param {string} text A cell of the priority column.
+ * @param {(text: string) => string|null} matchPriority Finds the priority level a name or id stands for.
+ * @returns {string|null} The id of the priority level, or null if the text names none.
+ */
+function readPriority(text, matchPriority) {
+    const key = text.trim().toLowerCase();
+    if (key === "") return matchPriority(Priorities.IMPORTANT); // the default of new todos
+    return matchPriority(key) ?? (PRIORITY_ALIASES[key] ? matchPriority(PRIORITY_ALIASES[key]) : null);
+}
+
+/**
+ * Read spreadsheet rows into the fields of new todos. Rows with no text in any cell are skipped.
+ * @param {string[][]} rows The rows below the header row.
+ * @param {Object<string, number|null>} mapping For each of CsvFields, the index of the column it is read from, or
+ *        null if it isn't imported. The title column is required.
+ * @param {{matchPriority: (text: string) => string|null, dayFirst?: boolean, firstRowNumber?: number}} options
+ *        `matchPriority` finds the id of the priority level a name or id (case-insensitive) stands for;
+ *        `dayFirst`: see `parseDateText()`; `firstRowNumber` is the spreadsheet row number of the first row
+ *        (2 by default, below the header).
+ * @returns {{todos: Array<{rowNumber: number, project: string, title: string, description: string,
+ *          priority: string, dueDate: Date|null, dueTime: string|null, completed: boolean}>,
+ *          invalidRows: Array<{rowNumber: number, cells: string[], errors: string[]}>}} The todos read, and the rows
+ *          that can't be imported with why. `project` is empty for todos with no project given.
+ */
+export function readCsvTodos(rows, mapping, { matchPriority, dayFirst = true, firstRowNumber = 2 }) {
+    const todos = [];
+    const invalidRows = [];
+    const cellOf = (cells, field) => (mapping[field] === null ? "" : (cells[mapping[field]] ?? "").trim());
+
+    rows.forEach((cells, i) => {
+        if (cells.every((cell) => cell.trim() === "")) return;
+
+        const rowNumber = firstRowNumber + i;
+        const errors = [];
+
+        const title = cellOf(cells, CsvFields.TITLE);
+        if (title === "") errors.push("The title is empty");
+
+        const priorityText = cellOf(cells, CsvFields.PRIORITY);
+        const priority = readPriority(priorityText, matchPriority);
+        if (!priority) errors.push(`"${priorityText}" isn't a priority`);
+
+        const dueText = cellOf(cells, CsvFields.DUE_DATE);
+        const due = dueText === "" ? { day: null, time: null } : parseDateText(dueText, { dayFirst });
+        if (!due) errors.push(`"${dueText}" isn't a date`);
+
+        const completedText = cellOf(cells, CsvFields.COMPLETED);
+        const completed = COMPLETED_VALUES.includes(completedText.toLowerCase());
+        if (!completed && !OPEN_VALUES.includes(completedText.toLowerCase())) {
+            errors.push(`"${completedText}" isn't yes or no (completed)`);
+        }
+
+        if (errors.length > 0) {
+            invalidRows.push({ rowNumber, cells, errors });
+            return;
+        }
+        todos.push({
+            rowNumber,
+            project: cellOf(cells, CsvFields.PROJECT),
+            title,
+            description: cellOf(cells, CsvFields.DESCRIPTION),
+            priority,
+            dueDate: due.day,
+            dueTime: due.time,
+            completed,
+        });
+    });
+
+    return { todos, invalidRows };
+}
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Reads and writes JSON export files of all the app's data, and merges imported data into the
+ * current data.
+ *
+ * Responsibilities:
+ *  - Wrap the saved data (see `ProjectManager._toData()`) in an export file, marked with its format and the
+ *    schema version it was written with.
+ *  - Parse an export file: reject other files, upgrade data from older versions through the migrations, and
+ *    validate it against the data schema (including duplicate ids, and trash entries and reminders missing what
+ *    their type needs), listing every problem found.
+ *  - Merge imported data into the current data by id: projects, templates and trash items that don't exist yet
+ *    are added, todos that exist on both sides (in the trash too) keep whichever version was updated last
+ *    (`updatedAt`), and everything else (settings, priorities, existing projects' settings) stays as it is. The
+ *    merge also summarises what changes for the import preview, including new todos it can't add.
+ *
+ * The contents of attached files live in IndexedDB and aren't part of the export: imported attachments keep
+ * their names and sizes, but their contents are only available in the browser they were attached in.
+ *
+ * Exports:
+ *  - ImportModes — Immutable object literal simulating an enum of the ways to import data.
+ *  - serializeExport — Function returning the JSON text of an export file.
+ *  - parseExport — Function reading an export file's text into validated data, or the problems found.
+ *  - mergeData — Function merging imported data into the current data.
+ *  - summarizeData — Function counting the projects, todos and templates in data.
+ *
+ * Dependencies:
+ *  - CURRENT_SCHEMA_VERSION, migrate from './Migrations.js'
+ *  - validateSchema from '../utils/SchemaUtils.js'
+ *  - TrashItemTypes from '../model/TrashEntry.js' — The kinds of trash entries, and what each must hold.
+ *  - Frequencies, MonthlyModes from '../model/Recurrence.js' — The valid recurrence rules.
+ *  - ReminderTypes from '../model/Reminder.js' — The kinds of reminders, and what each must hold.
+ *
+ * Example:
+ *  const { data, errors } = parseExport(await file.text());
+ *  if (errors.length === 0) projectManager.importData(data, ImportModes.MERGE);
+ *
+ * @module DataExchange
+ */
+
+import { CURRENT_SCHEMA_VERSION, migrate } from "./Migrations.js";
+import { validateSchema } from "../utils/SchemaUtils.js";
+import { TrashItemTypes } from "../model/TrashEntry.js";
+import { Frequencies, MonthlyModes } from "../model/Recurrence.js";
+import { ReminderTypes } from "../model/Reminder.js";
+
+const EXPORT_FORMAT = "todo-app-export";
+
+export const ImportModes = Object.freeze({
+    MERGE: "merge", // add what is new, keep the most recently updated version of todos on both sides
+    REPLACE: "replace", // replace all current data with the imported data
+});
+
+const ID = { type: "string" };
+const OPTIONAL_ID = { type: "string", nullable: true };
+const ID_LIST = { type: "array", items: ID };
+const DATE = { type: "date" };
+const OPTIONAL_DATE = { type: "date", nullable: true };
+const RECORD_LIST = { type: "array", items: { type: "object" } };
+const WEEKDAY = { type: "integer", enum: [0, 1, 2, 3, 4, 5, 6] };
+
+const RECURRENCE_SCHEMA = {
+    type: "object",
+    nullable: true,
+    required: ["frequency", "interval"],
+    properties: {
+        frequency: { type: "string", enum: Object.values(Frequencies) },
+        interval: { type: "integer", minimum: 1 },
+        weekdays: { type: "array", items: WEEKDAY },
+        monthlyMode: { type: "string", enum: Object.values(MonthlyModes) },
+        dayOfMonth: { type: "integer", enum: Array.from({ length: 31 }, (_, i) => i + 1) },
+        month: { type: "integer", enum: Array.from({ length: 12 }, (_, i) => i) },
+        nth: { type: "integer", enum: [1, 2, 3, 4, -1] },
+        weekday: WEEKDAY,
+    },
+};
+
+const TODO_SCHEMA = {
+    type: "object",
+    required: ["id", "title"],
+    properties: {
+        id: ID,
+        title: { type: "string" },
+        description: { type: "string", nullable: true },
+        dueDate: OPTIONAL_DATE,
+        hasDueTime: { type: "boolean" },
+        scheduledDate: OPTIONAL_DATE,
+        priority: { type: "string" },
+        completed: { type: "boolean" },
+        expanded: { type: "boolean" },
+        checklist: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "text"],
+                properties: { id: ID, text: { type: "string" }, done: { type: "boolean" } },
+            },
+        },
+        recurrence: RECURRENCE_SCHEMA,
+        tags: { type: "array", items: { type: "string" } },
+        blockedBy: ID_LIST,
+        estimateMinutes: { type: "number", nullable: true },
+        timeLog: {
+            type: "array",
+            items: { type: "object", required: ["start"], properties: { start: DATE, end: OPTIONAL_DATE } },
+        },
+        reminders: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "type"],
+                properties: {
+                    id: ID,
+                    type: { type: "string", enum: Object.values(ReminderTypes) },
+                    at: OPTIONAL_DATE,
+                    offsetMinutes: { type: "number" },
+                    snoozedUntil: OPTIONAL_DATE,
+                    firedAt: OPTIONAL_DATE,
+                },
+            },
+        },
+        comments: {
+            type: "array",
+            items: { type: "object", required: ["id", "text"], properties: { id: ID, text: { type: "string" } } },
+        },
+        attachments: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "name"],
+                properties: { id: ID, name: { type: "string" }, size: { type: "number" } },
+            },
+        },
+        activity: RECORD_LIST,
+        createdAt: DATE,
+        updatedAt: DATE,
+        completedAt: OPTIONAL_DATE,
+        nextOccurrenceId: OPTIONAL_ID,
+    },
+};
+
+const PROJECT_SCHEMA = {
+    type: "object",
+    required: ["id", "name", "todos"],
+    properties: {
+        id: ID,
+        name: { type: "string" },
+        parentId: OPTIONAL_ID,
+        collapsed: { type: "boolean" },
+        rollUp: { type: "boolean" },
+        sortOrder: { type: "string" },
+        showScheduled: { type: "boolean" },
+        color: { type: "string", nullable: true },
+        icon: { type: "string" },
+        todos: { type: "array", items: TODO_SCHEMA },
+    },
+};
+
+const TEMPLATE_TODO_SCHEMA = {
+    type: "object",
+    required: ["title", "checklist", "tags"],
+    properties: {
+        title: { type: "string" },
+        description: { type: "string", nullable: true },
+        priority: { type: "string" },
+        dueOffsetDays: { type: "number", nullable: true },
+        dueTime: { type: "string", nullable: true },
+        scheduledOffsetDays: { type: "number", nullable: true },
+        checklist: { type: "array", items: { type: "string" } },
+        tags: { type: "array", items: { type: "string" } },
+        estimateMinutes: { type: "number", nullable: true },
+    },
+};
+
+const DATA_SCHEMA = {
+    type: "object",
+    required: ["projects"],
+    properties: {
+        defaultProjectId: OPTIONAL_ID,
+        tags: {
+            type: "array",
+            items: { type: "object", required: ["name"], properties: { name: { type: "string" } } },
+        },
+        priorities: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "name", "weight"],
+                properties: { id: ID, name: { type: "string" }, color: { type: "string" }, weight: { type: "number" } },
+            },
+        },
+        projects: { type: "array", items: PROJECT_SCHEMA },
+        templates: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "name", "todos"],
+                properties: { id: ID, name: { type: "string" }, todos: { type: "array", items: TEMPLATE_TODO_SCHEMA } },
+            },
+        },
+        trashRetentionDays: { type: "number" },
+        trash: {
+            type: "array",
+            items: {
+                type: "object",
+                required: ["id", "type"],
+                properties: {
+                    id: ID,
+                    type: { type: "string", enum: Object.values(TrashItemTypes) },
+                    deletedAt: DATE,
+                    todo: { ...TODO_SCHEMA, nullable: true },
+                    projects: { type: "array", items: PROJECT_SCHEMA },
+                    projectId: OPTIONAL_ID,
+                    index: { type: "integer" },
+                    reparentedChildIds: ID_LIST,
+                },
+            },
+        },
+    },
+};
+
+/**
+ * @param {Object} data Data matching the schema.
+ * @returns {Object[]} Every todo in it, including those in the trash.
+ */
+function allTodos(data) {
+    const trashed = (data.trash ?? []).flatMap((entry) => [
+        ...(entry.todo ? [entry.todo] : []),
+        ...(entry.projects ?? []).flatMap((project) => project.todos),
+    ]);
+    return [...data.projects.flatMap((project) => project.todos), ...trashed];
+}
+
+/**
+ * @param {Object} data Data matching the schema.
+ * @returns {Object[]} Every project in it, including those in the trash.
+ */
+function allProjects(data) {
+    return [...data.projects, ...(data.trash ?? []).flatMap((entry) => entry.projects ?? [])];
+}
+
+/**
+ * @param {Object[]} records
+ * @param {string} kind What the records are, for the message.
+ * @returns {string[]} A message per id used by more than one record.
+ */
+function findDuplicateIds(records, kind) {
+    const seen = new Set();
+    const duplicates = new Set();
+    records.forEach(({ id }) => (seen.has(id) ? duplicates.add(id) : seen.add(id)));
+    return [...duplicates].map((id) => `More than one ${kind} has the id "${id}"`);
+}
+
+/**
+ * @param {Object[]} trash Trash entries matching the schema.
+ * @returns {string[]} A message per entry missing what its type must hold: the todo of a trashed todo, or the
+ *          project (followed by its trashed subprojects) of a trashed project.
+ */
+function findIncompleteTrashEntries(trash) {
+    return trash.flatMap((entry, i) => {
+        if (entry.type === TrashItemTypes.TODO && !entry.todo) return [`data.trash[${i}].todo is missing`];
+        if (entry.type === TrashItemTypes.PROJECT && !entry.projects?.length) {
+            return [`data.trash[${i}].projects should hold at least one project`];
+        }
+        return [];
+    });
+}
+
+/**
+ * @param {Object} data Data matching the schema.
+ * @returns {Array<{todo: Object, path: string}>} Every todo in it (including those in the trash), with its path
+ *          for messages.
+ */
+function todosWithPaths(data) {
+    const inProjects = (projects, path) =>
+        projects.flatMap((project, i) => project.todos.map((todo, j) => ({ todo, path: `${path}[${i}].todos[${j}]` })));
+    return [
+        ...inProjects(data.projects, "data.projects"),
+        ...(data.trash ?? []).flatMap((entry, i) => [
+            ...(entry.todo ? [{ todo: entry.todo, path: `data.trash[${i}].todo` }] : []),
+            ...inProjects(entry.projects ?? [], `data.trash[${i}].projects`),
+        ]),
+    ];
+}
+
+/**
+ * @param {Object} data Data matching the schema.
+ * @returns {string[]} A message per reminder missing when it triggers: the time of an absolute reminder, or the
+ *          offset from the due date of a relative one.
+ */
+function findIncompleteReminders(data) {
+    return todosWithPaths(data).flatMap(({ todo, path }) =>
+        (todo.reminders ?? []).flatMap((reminder, i) => {
+            if (reminder.type === ReminderTypes.ABSOLUTE && !reminder.at) {
+                return [`${path}.reminders[${i}].at is missing`];
+            }
+            if (reminder.type === ReminderTypes.RELATIVE && reminder.offsetMinutes === undefined) {
+                return [`${path}.reminders[${i}].offsetMinutes is missing`];
+            }
+            return [];
+        })
+    );
+}
+
+/**
+ * @param {Date|string|number|null|undefined} value
+ * @returns {number} The moment as a timestamp; 0 if there is none.
+ */
+function timeOf(value) {
+    return (value && new Date(value).getTime()) || 0;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a date string or timestamp.
+ */
+function hasValidDate(value) {
+    return validateSchema(value, DATE).length === 0;
+}
+
+/**
+ * @param {Object} data The saved data, as produced by `ProjectManager._toData()`.
+ * @param {Date} [exportedAt]
+ * @returns {string} The JSON text of the export file.
+ */
+export function serializeExport(data, exportedAt = new Date()) {
+    return JSON.stringify({ format: EXPORT_FORMAT, schemaVersion: CURRENT_SCHEMA_VERSION, exportedAt, data }, null, 2);
+}
+
+/**
+ * @param {string} text The contents of an export file.
+ * @returns {{data: Object|null, exportedAt: Date|null, errors: string[]}} The data, upgraded to the current
+ *          schema version, when the file is valid; otherwise no data and every problem found.
+ */
+export function parseExport(text) {
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (error) {
+        return { data: null, exportedAt: null, errors: [`The file isn't valid JSON (${error.message}).`] };
+    }
+    if (payload?.format !== EXPORT_FORMAT) {
+        return { data: null, exportedAt: null, errors: ["The file isn't a data export of this app."] };
+    }
+
+    let data;
+    try {
+        data = migrate(payload.data, payload.schemaVersion);
+    } catch (error) {
+        return { data: null, exportedAt: null, errors: [error.message] };
+    }
+
+    const errors = validateSchema(data, DATA_SCHEMA, "data");
+    if (errors.length === 0) {
+        errors.push(
+            ...findIncompleteTrashEntries(data.trash ?? []),
+            ...findIncompleteReminders(data),
+            ...findDuplicateIds(allProjects(data), "project"),
+            ...findDuplicateIds(allTodos(data), "todo")
+        );
+    }
+    const exportedAt = hasValidDate(payload.exportedAt) ? new Date(payload.exportedAt) : null;
+    return { data: errors.length === 0 ? data : null, exportedAt, errors };
+}
+
+/**
+ * @param {Object} data Data matching the schema.
+ * @returns {{projects: number, todos: number, templates: number}} How much it holds (outside the trash).
+ */
+export function summarizeData(data) {
+    return {
+        projects: data.projects.length,
+        todos: data.projects.reduce((count, project) => count + project.todos.length, 0),
+        templates: (data.templates ?? []).length,
+    };
+}
+
+/**
+ * Merge imported data into the current data, by id. Neither argument is changed.
+ * @param {Object} current The current data.
+ * @param {Object} imported Validated imported data.
+ * @param {{mapPriority?: (priorityId: string) => string}} [options] `mapPriority` translates the priority of
+ *        every todo taken from the imported data, e.g. onto the current priority levels.
+ * @returns {{data: Object, summary: {newProjects: number, newTodos: number, updatedTodos: number,
+ *          keptTodos: number, skippedTodos: number, newTemplates: number}}} The merged data, and what the merge
+ *          changes: `updatedTodos` replace an older current version (trashed todos stay in the trash),
+ *          `keptTodos` exist on both sides but the current version is as new, and `skippedTodos` are new todos
+ *          left out because their project is in the current trash or their trash entry clashes with current data.
+ */
+export function mergeData(current, imported, { mapPriority = (id) => id } = {}) {
+    const summary = { newProjects: 0, newTodos: 0, updatedTodos: 0, keptTodos: 0, skippedTodos: 0, newTemplates: 0 };
+    const adoptTodo = (todo) => ({ ...todo, priority: mapPriority(todo.priority) });
+    const adoptProject = (project, todos = project.todos) => ({ ...project, todos: todos.map(adoptTodo) });
+
+    const importedTodos = new Map(allTodos(imported).map((todo) => [todo.id, todo]));
+    const currentTodoIds = new Set(allTodos(current).map((todo) => todo.id));
+    const currentProjectIds = new Set(allProjects(current).map((project) => project.id));
+
+    // Todos on both sides: the most recently updated version wins, in the current todo's place
+    const newerTodo = (todo) => {
+        const importedTodo = importedTodos.get(todo.id);
+        if (!importedTodo) return todo;
+        if (timeOf(importedTodo.updatedAt) > timeOf(todo.updatedAt)) {
+            summary.updatedTodos++;
+            return adoptTodo(importedTodo);
+        }
+        summary.keptTodos++;
+        return todo;
+    };
+    const withNewerTodos = (project) => ({ ...project, todos: project.todos.map(newerTodo) });
+    const projects = current.projects.map(withNewerTodos);
+    const currentTrash = (current.trash ?? []).map((entry) => ({
+        ...entry,
+        todo: entry.todo ? newerTodo(entry.todo) : null,
+        projects: (entry.projects ?? []).map(withNewerTodos),
+    }));
+
+    // New todos join their project, which is added if it is new too (a project in the current trash stays there)
+    imported.projects.forEach((importedProject) => {
+        const newTodos = importedProject.todos.filter((todo) => !currentTodoIds.has(todo.id));
+        const project = projects.find((p) => p.id === importedProject.id);
+        if (project) {
+            project.todos.push(...newTodos.map(adoptTodo));
+        } else if (!currentProjectIds.has(importedProject.id)) {
+            projects.push(adoptProject(importedProject, newTodos));
+            summary.newProjects++;
+        } else {
+            summary.skippedTodos += newTodos.length;
+            return;
+        }
+        summary.newTodos += newTodos.length;
+    });
+
+    const templateIds = new Set((current.templates ?? []).map((template) => template.id));
+    const newTemplates = (imported.templates ?? []).filter((template) => !templateIds.has(template.id));
+    summary.newTemplates = newTemplates.length;
+
+    // Trashed items are added only if nothing they hold exists already, so no id is used twice
+    const takenIds = new Set([...currentTodoIds, ...currentProjectIds]);
+    projects.forEach((project) => [project, ...project.todos].forEach(({ id }) => takenIds.add(id)));
+    const trashIds = new Set(currentTrash.map((entry) => entry.id));
+    const newTrash = (imported.trash ?? []).filter((entry) => {
+        const projectsHeld = entry.projects ?? [];
+        const todosHeld = [...(entry.todo ? [entry.todo] : []), ...projectsHeld.flatMap((p) => p.todos)];
+        if (!trashIds.has(entry.id) && [...projectsHeld, ...todosHeld].every(({ id }) => !takenIds.has(id))) {
+            return true;
+        }
+        summary.skippedTodos += todosHeld.filter((todo) => !currentTodoIds.has(todo.id)).length;
+        return false;
+    });
+
+    const tagNames = new Set((current.tags ?? []).map((tag) => tag.name));
+    const newTags = (imported.tags ?? []).filter((tag) => !tagNames.has(tag.name));
+
+    return {
+        data: {
+            ...current,
+            projects,
+            tags: [...(current.tags ?? []), ...newTags],
+            templates: [...(current.templates ?? []), ...newTemplates],
+            trash: [
+                ...currentTrash,
+                ...newTrash.map((entry) => ({
+                    ...entry,
+                    todo: entry.todo ? adoptTodo(entry.todo) : null,
+                    projects: (entry.projects ?? []).map((project) => adoptProject(project)),
+                })),
+            ],
+        },
+        summary,
+    };
+}
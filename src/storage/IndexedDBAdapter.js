@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Storage adapter keeping the saved payload in IndexedDB, one record per project. This is the
+ * app's default storage: it isn't limited to LocalStorage's ~5 MB, and a save only writes what changed.
+ *
+ * Responsibilities:
+ *  - Implement the StorageAdapter interface (see Storage.js) on top of IndexedDB.
+ *  - Split the payload into records: one per project (with its todos) in the "projects" store, and one for
+ *    everything else (schema version, settings, tags, templates, trash and the order of the projects) in the
+ *    "meta" store. Loading puts the payload back together.
+ *  - Per-record writes: remember each record as last written, and on save only put the records that changed and
+ *    delete those of removed projects, all in one transaction so a save is applied completely or not at all.
+ *  - Back up every stored record to the "backups" store.
+ *
+ * Records are stored as they would come back from JSON (Dates as strings), exactly like the LocalStorage
+ * adapter's payload, so the data loads the same whichever adapter saved it.
+ *
+ * Exports:
+ *  - IndexedDBAdapter — Class storing the payload in an IndexedDB database.
+ *
+ * Dependencies:
+ *  - promisify, openDatabase from '../utils/IndexedDBUtils.js'
+ *
+ * Example:
+ *  const adapter = new IndexedDBAdapter();
+ *  await adapter.save({ schemaVersion: 1, data }); // writes only the changed projects
+ *  const payload = await adapter.load();
+ *
+ * @module IndexedDBAdapter
+ */
+
+import { promisify, openDatabase } from "../utils/IndexedDBUtils.js";
+
+const DB_NAME = "todoAppData";
+const DB_VERSION = 1;
+const META_STORE = "meta";
+const PROJECT_STORE = "projects";
+const BACKUP_STORE = "backups";
+const META_KEY = "state";
+
+export class IndexedDBAdapter {
+    /**
+     * @param {string} [dbName]
+     */
+    constructor(dbName = DB_NAME) {
+        this._dbName = dbName;
+        /** @type {Promise<IDBDatabase>|null} Opened on first use */
+        this._dbPromise = null;
+
+        /**
+         * The records as last written or loaded, serialized to JSON; null when unknown, in which case the next
+         * save rewrites every record.
+         * @type {{meta: string, projects: Map<string, string>}|null}
+         */
+        this._written = null;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The stored payload, or null if nothing is stored.
+     */
+    async load() {
+        const db = await this._open();
+        const transaction = db.transaction([META_STORE, PROJECT_STORE], "readonly");
+        const [meta, projects] = await Promise.all([
+            promisify(transaction.objectStore(META_STORE).get(META_KEY)),
+            promisify(transaction.objectStore(PROJECT_STORE).getAll()),
+        ]);
+        if (!meta) return null;
+
+        this._written = {
+            meta: JSON.stringify(meta),
+            projects: new Map(projects.map((project) => [project.id, JSON.stringify(project)])),
+        };
+        const projectsById = new Map(projects.map((project) => [project.id, project]));
+        return {
+            schemaVersion: meta.schemaVersion,
+            data: { ...meta.data, projects: meta.projectIds.map((id) => projectsById.get(id)).filter(Boolean) },
+        };
+    }
+
+    /**
+     * Write the records that changed since the last save.
+     * @param {{schemaVersion: number, data: Object}} payload
+     * @returns {Promise<void>} Settles once the transaction has committed.
+     */
+    async save({ schemaVersion, data }) {
+        const { projects = [], ...rest } = data;
+        const meta = JSON.stringify({ schemaVersion, projectIds: projects.map((project) => project.id), data: rest });
+        const records = new Map(projects.map((project) => [project.id, JSON.stringify(project)]));
+
+        const db = await this._open();
+        const transaction = db.transaction([META_STORE, PROJECT_STORE], "readwrite");
+        const projectStore = transaction.objectStore(PROJECT_STORE);
+        const written = this._written;
+
+        if (!written) projectStore.clear();
+        if (meta !== written?.meta) transaction.objectStore(META_STORE).put(JSON.parse(meta), META_KEY);
+        records.forEach((json, id) => {
+            if (json !== written?.projects.get(id)) projectStore.put(JSON.parse(json), id);
+        });
+        written?.projects.forEach((json, id) => {
+            if (!records.has(id)) projectStore.delete(id);
+        });
+
+        // Later saves compare against this one; they are queued behind it, and if it fails everything is rewritten
+        this._written = { meta, projects: records };
+        try {
+            await promisify(transaction);
+        } catch (error) {
+            this._written = null;
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async exists() {
+        const db = await this._open();
+        const count = await promisify(db.transaction(META_STORE).objectStore(META_STORE).count(META_KEY));
+        return count > 0;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this._open();
+        const transaction = db.transaction([META_STORE, PROJECT_STORE], "readwrite");
+        transaction.objectStore(META_STORE).clear();
+        transaction.objectStore(PROJECT_STORE).clear();
+        this._written = null;
+        await promisify(transaction);
+    }
+
+    /**
+     * Copy every stored record, as stored, to a new entry of the backups store.
+     * @returns {Promise<string|null>} The backup's name, or null if nothing is stored.
+     */
+    async backUp() {
+        const db = await this._open();
+        const transaction = db.transaction([META_STORE, PROJECT_STORE], "readonly");
+        const [meta, projects] = await Promise.all([
+            promisify(transaction.objectStore(META_STORE).get(META_KEY)),
+            promisify(transaction.objectStore(PROJECT_STORE).getAll()),
+        ]);
+        if (!meta && projects.length === 0) return null;
+
+        const backup = { backedUpAt: new Date().toISOString(), meta: meta ?? null, projects };
+        const key = await promisify(db.transaction(BACKUP_STORE, "readwrite").objectStore(BACKUP_STORE).add(backup));
+        return `${this._dbName}/${BACKUP_STORE}/${key}`;
+    }
+
+    _open() {
+        if (!this._dbPromise) {
+            this._dbPromise = openDatabase(this._dbName, DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+                if (!db.objectStoreNames.contains(PROJECT_STORE)) db.createObjectStore(PROJECT_STORE);
+                if (!db.objectStoreNames.contains(BACKUP_STORE)) {
+                    db.createObjectStore(BACKUP_STORE, { autoIncrement: true });
+                }
+            }).catch((error) => {
+                this._dbPromise = null; // let the next call try again
+                throw error;
+            });
+        }
+        return this._dbPromise;
+    }
+}
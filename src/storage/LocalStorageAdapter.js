@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Storage adapter keeping the saved payload in LocalStorage, as one JSON string under one key.
+ *
+ * Responsibilities:
+ *  - Implement the StorageAdapter interface (see Storage.js) on top of the synchronous LocalStorage API.
+ *  - Back up the stored string under its own timestamped key.
+ *
+ * LocalStorage holds about 5 MB per site and every save rewrites the whole payload. The app uses this adapter
+ * where IndexedDB isn't available, and reads the data saved by earlier versions of the app through it.
+ *
+ * Exports:
+ *  - LocalStorageAdapter — Class storing the payload under a LocalStorage key.
+ *  - LEGACY_STORAGE_KEY — The key the app has always saved its data under.
+ *
+ * Example:
+ *  const adapter = new LocalStorageAdapter();
+ *  await adapter.save({ schemaVersion: 1, data });
+ *  const payload = await adapter.load(); // null if nothing is stored
+ *
+ * @module LocalStorageAdapter
+ */
+
+export const LEGACY_STORAGE_KEY = "todoAppData";
+
+export class LocalStorageAdapter {
+    /**
+     * @param {string} [key]
+     */
+    constructor(key = LEGACY_STORAGE_KEY) {
+        this._key = key;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The stored payload, or null if nothing is stored.
+     */
+    async load() {
+        const raw = localStorage.getItem(this._key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * @param {Object} payload
+     * @returns {Promise<void>}
+     */
+    async save(payload) {
+        localStorage.setItem(this._key, JSON.stringify(payload));
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async exists() {
+        return localStorage.getItem(this._key) !== null;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        localStorage.removeItem(this._key);
+    }
+
+    /**
+     * Copy the stored string, exactly as stored, to a key of its own, e.g.
+     * "todoAppData.backup.2025-11-03T09:15:00.000Z".
+     * @returns {Promise<string|null>} The backup's key, or null if nothing is stored.
+     */
+    async backUp() {
+        const raw = localStorage.getItem(this._key);
+        if (raw === null) return null;
+
+        const timestamp = new Date().toISOString();
+        let key = `${this._key}.backup.${timestamp}`;
+        for (let n = 2; localStorage.getItem(key) !== null; n++) key = `${this._key}.backup.${timestamp}-${n}`;
+        localStorage.setItem(key, raw);
+        return key;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Storage adapter keeping the saved payload in memory only; nothing survives a page reload.
+ *
+ * Responsibilities:
+ *  - Implement the StorageAdapter interface (see Storage.js) without touching any browser storage, e.g. for
+ *    trying the app out, for tests, or where no persistent storage is available.
+ *  - Hand out copies, as they would come back from real storage (JSON round trip), so later changes to the
+ *    saved objects don't leak into the "stored" payload.
+ *
+ * Exports:
+ *  - MemoryAdapter — Class storing the payload in a property.
+ *
+ * Example:
+ *  Storage.use(new MemoryAdapter());
+ *
+ * @module MemoryAdapter
+ */
+
+/**
+ * @param {Object} payload
+ * @returns {Object} A copy, with Dates turned into strings like any persistent storage would.
+ */
+function copyOf(payload) {
+    return JSON.parse(JSON.stringify(payload));
+}
+
+export class MemoryAdapter {
+    /**
+     * @param {Object|null} [payload] Payload to start with.
+     */
+    constructor(payload = null) {
+        this._payload = payload ? copyOf(payload) : null;
+        /** @type {Object[]} Copies made by `backUp()`, oldest first */
+        this.backups = [];
+    }
+
+    async load() {
+        return this._payload ? copyOf(this._payload) : null;
+    }
+
+    async save(payload) {
+        this._payload = copyOf(payload);
+    }
+
+    async exists() {
+        return this._payload !== null;
+    }
+
+    async clear() {
+        this._payload = null;
+    }
+
+    /**
+     * @returns {Promise<string|null>} The backup's name, or null if nothing is stored.
+     */
+    async backUp() {
+        if (!this._payload) return null;
+        this.backups.push(copyOf(this._payload));
+        return `memory backup ${this.backups.length}`;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Upgrades saved data written by older versions of the app to the current schema.
+ *
+ * Responsibilities:
+ *  - Number the versions of the saved data's schema; the current one is written with every save.
+ *  - Hold the ordered chain of migrations, each upgrading data from the version before it to its own version.
+ *  - Run the migrations a saved payload still needs, in order, without changing the payload passed in.
+ *
+ * Data saved before the schema was versioned counts as version 0. A migration may throw when the data can't be
+ * upgraded; the Storage then backs up the saved data before anything overwrites it.
+ *
+ * To change the saved shape, append a migration with the next version number (never edit or reorder existing
+ * ones: they have already run on users' data) and update `_toData()`/`_applyData()` in the ProjectManager.
+ *
+ * Exports:
+ *  - CURRENT_SCHEMA_VERSION — The version of the data the app saves.
+ *  - MIGRATIONS — The ordered chain of migrations.
+ *  - migrate — Function upgrading saved data to the current version.
+ *
+ * Example:
+ *  const data = migrate(savedData, savedVersion); // throws if it can't be upgraded
+ *
+ * @module Migrations
+ */
+
+const TODO_RECORD_LISTS = ["reminders", "checklist", "comments", "attachments", "activity", "timeLog"];
+const TODO_STRING_LISTS = ["tags", "blockedBy"];
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a plain object (not null or an array).
+ */
+function isRecord(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {Object[]} The objects in the value, or an empty list if it isn't an array.
+ */
+function recordsIn(value) {
+    return Array.isArray(value) ? value.filter(isRecord) : [];
+}
+
+/**
+ * @param {Object} todo A saved todo; its lists are repaired in place.
+ * @returns {Object}
+ */
+function repairTodo(todo) {
+    if (typeof todo.id !== "string") todo.id = crypto.randomUUID();
+    TODO_RECORD_LISTS.forEach((field) => {
+        if (todo[field] !== undefined) todo[field] = recordsIn(todo[field]);
+    });
+    TODO_STRING_LISTS.forEach((field) => {
+        if (todo[field] !== undefined) {
+            todo[field] = Array.isArray(todo[field]) ? todo[field].filter((v) => typeof v === "string") : [];
+        }
+    });
+    return todo;
+}
+
+/**
+ * @param {Object} project A saved project; its fields are repaired in place.
+ * @returns {Object}
+ */
+function repairProject(project) {
+    if (typeof project.id !== "string") project.id = crypto.randomUUID();
+    if (typeof project.name !== "string") project.name = "Untitled Project";
+    project.todos = recordsIn(project.todos).map(repairTodo);
+    return project;
+}
+
+export const MIGRATIONS = Object.freeze([
+    {
+        version: 1,
+        description: "Version the saved data, repairing missing or malformed lists in unversioned data",
+        /**
+         * @param {Object} data Unversioned data, as saved before schema versions existed.
+         * @returns {Object}
+         */
+        migrate(data) {
+            data.projects = recordsIn(data.projects).map(repairProject);
+            data.trash = recordsIn(data.trash).map((entry) => ({
+                ...entry,
+                todo: isRecord(entry.todo) ? repairTodo(entry.todo) : null,
+                projects: recordsIn(entry.projects).map(repairProject),
+                reparentedChildIds: Array.isArray(entry.reparentedChildIds) ? entry.reparentedChildIds : [],
+            }));
+            data.templates = recordsIn(data.templates).map((template) => ({
+                ...template,
+                todos: recordsIn(template.todos).map((todo) => ({
+                    ...todo,
+                    checklist: Array.isArray(todo.checklist) ? todo.checklist : [],
+                    tags: Array.isArray(todo.tags) ? todo.tags : [],
+                })),
+            }));
+            data.tags = recordsIn(data.tags);
+            if (recordsIn(data.priorities).length === 0) delete data.priorities; // fall back to the defaults
+            return data;
+        },
+    },
+]);
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade saved data to the current schema version.
+ * @param {Object} data The saved data.
+ * @param {number} version The schema version it was saved with (0 if unversioned).
+ * @returns {Object} An upgraded copy of the data.
+ * @throws {Error} If the data isn't an object or comes from a newer version of the app, or a migration fails.
+ */
+export function migrate(data, version) {
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Unknown schema version: ${version}`);
+    }
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new Error(`The data was saved by a newer version of the app (schema ${version})`);
+    }
+    if (!isRecord(data)) throw new Error("The saved data is not an object");
+
+    return MIGRATIONS.filter((migration) => migration.version > version).reduce((upgraded, migration) => {
+        try {
+            return migration.migrate(upgraded);
+        } catch (error) {
+            throw new Error(`Migration to schema ${migration.version} failed: ${error.message}`, { cause: error });
+        }
+    }, structuredClone(data));
+}
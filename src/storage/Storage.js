@@ -1,66 +1,192 @@
 /**
  * @fileoverview A small wrapper module for saving and loading
- * application state (projects, todos, settings, etc.) from LocalStorage.
+ * application state (projects, todos, settings, etc.) through a pluggable storage adapter.
  *
  * Handles:
- *  - Serialization (object → JSON string)
- *  - Deserialization (JSON string → object)
- *  - Error handling for corrupt or missing data
- *  - Consistent key management
+ *  - Choosing where data is kept: IndexedDB by default (IndexedDBAdapter), LocalStorage where IndexedDB can't be
+ *    used (LocalStorageAdapter), or any other adapter passed to `use()`, e.g. a MemoryAdapter
+ *  - A one-time move of the data saved in LocalStorage by earlier versions of the app into IndexedDB
+ *  - Tagging saved data with the schema version it was written with
+ *  - Upgrading older data through the migrations in Migrations.js
+ *  - Error handling for corrupt or missing data: saved data that can't be read or upgraded is backed up (by the
+ *    adapter, separately from the data) before the app can overwrite it
+ *
+ * Every method is async. Saved payload: `{ schemaVersion: number, data: Object }`; data saved before versioning
+ * is the bare data object.
+ *
+ * StorageAdapter interface — every method returns a Promise:
+ *  - load() — The stored payload, or null if nothing is stored. Rejects if it can't be read.
+ *  - save(payload) — Store the payload, replacing what was stored.
+ *  - exists() — Whether a payload is stored.
+ *  - clear() — Remove the stored payload.
+ *  - backUp() — Copy what is stored, as stored, somewhere the next save doesn't overwrite. Resolves with a name
+ *    for the backup, or null if nothing is stored.
+ *
+ * Example:
+ *  await Storage.save(data);
+ *  const data = await Storage.load(); // null if nothing is stored
+ *  Storage.use(new MemoryAdapter()); // keep data in memory only
  */
 
-const STORAGE_KEY = "todoAppData";
+import { CURRENT_SCHEMA_VERSION, migrate } from "./Migrations.js";
+import { LocalStorageAdapter } from "./LocalStorageAdapter.js";
+import { IndexedDBAdapter } from "./IndexedDBAdapter.js";
 
 export const Storage = {
+    /** @type {Object|null} The StorageAdapter data is saved with; chosen on first use unless set with `use()` */
+    _adapter: null,
+
+    /** @type {Object|null} The StorageAdapter holding data to move into `_adapter` (once), if any */
+    _previousAdapter: null,
+
+    /** @type {boolean} Whether the last `load()` found saved data it couldn't read or upgrade (and backed it up) */
+    loadFailed: false,
+
     /**
-     * Save arbitrary data to LocalStorage.
-     * Automatically serializes the data into a JSON string.
+     * Save and load data with the given adapter from now on.
+     *
+     * @param {Object} adapter - A StorageAdapter.
+     * @param {{previous?: Object|null}} [options] - `previous` is the adapter used until now: its data is moved
+     *        over the first time nothing is stored yet in `adapter`, and it is used instead if `adapter` fails to
+     *        open.
+     */
+    use(adapter, { previous = null } = {}) {
+        this._adapter = adapter;
+        this._previousAdapter = previous;
+    },
+
+    /**
+     * Save the application state, tagged with the current schema version.
      *
      * @param {Object} data - The full application state to persist.
+     * @returns {Promise<void>} Resolves once saved; failures are logged, not thrown.
      */
-    save(data) {
+    async save(data) {
         try {
-            const serialized = JSON.stringify(data);   // serialize
-            localStorage.setItem(STORAGE_KEY, serialized);
+            await this._getAdapter().save({ schemaVersion: CURRENT_SCHEMA_VERSION, data });
         } catch (error) {
             console.error("Storage.save() failed:", error);
         }
     },
 
     /**
-     * Load and deserialize stored app data.
-     * If nothing is stored or JSON is corrupted, returns null.
+     * Load the stored app data, upgraded to the current schema version.
+     * If nothing is stored, resolves with null. If the data is corrupted or can't be upgraded, it is backed up (see
+     * `backUp()`), `loadFailed` is set and null is returned.
      *
-     * @returns {Object|null} The deserialized app state.
+     * @returns {Promise<Object|null>} The app state.
      */
-    load() {
+    async load() {
+        this.loadFailed = false;
+        const adapter = this._getAdapter();
+        const previous = this._previousAdapter;
+        if (!previous) return this._loadFrom(adapter);
+
+        let hasData;
         try {
-            const raw = localStorage.getItem(STORAGE_KEY);
-            if (!raw) return null; // nothing stored yet
+            hasData = await adapter.exists();
+        } catch (error) {
+            console.error("Storage: the storage can't be opened; using the previous storage instead.", error);
+            this.use(previous);
+            return this._loadFrom(previous);
+        }
+
+        if (hasData || !(await previous.exists().catch(() => false))) return this._loadFrom(adapter);
+        return this._moveFrom(previous);
+    },
 
-            return JSON.parse(raw); // deserialize
+    /**
+     * Keep a copy of saved data that couldn't be loaded, so it isn't lost when the app saves over it.
+     *
+     * @param {Object} [adapter] - The StorageAdapter whose data to back up; defaults to the current one.
+     * @returns {Promise<string|null>} The backup's name, or null if there was nothing to back up or it failed.
+     */
+    async backUp(adapter = this._getAdapter()) {
+        try {
+            return await adapter.backUp();
         } catch (error) {
-            console.error("Storage.load() failed — corrupted data?", error);
+            console.error("Storage.backUp() failed:", error);
             return null;
         }
     },
 
     /**
      * Remove all stored data (used for debugging or resetting the app).
+     * @returns {Promise<void>}
      */
-    clear() {
+    async clear() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            await this._getAdapter().clear();
         } catch (error) {
             console.error("Storage.clear() failed:", error);
         }
     },
 
     /**
-     * Check whether valid data exists in LocalStorage.
-     * @returns {boolean}
+     * Check whether data is stored.
+     * @returns {Promise<boolean>}
      */
-    exists() {
-        return localStorage.getItem(STORAGE_KEY) !== null;
-    }
+    async exists() {
+        try {
+            return await this._getAdapter().exists();
+        } catch (error) {
+            console.error("Storage.exists() failed:", error);
+            return false;
+        }
+    },
+
+    /**
+     * @returns {Object} The current StorageAdapter, choosing the default one on first use.
+     */
+    _getAdapter() {
+        if (!this._adapter) {
+            if (typeof indexedDB !== "undefined") {
+                this.use(new IndexedDBAdapter(), { previous: new LocalStorageAdapter() });
+            } else {
+                this.use(new LocalStorageAdapter());
+            }
+        }
+        return this._adapter;
+    },
+
+    /**
+     * @param {Object} adapter - A StorageAdapter.
+     * @returns {Promise<Object|null>} Its data, upgraded; null if there is none or it can't be read or upgraded
+     *          (in which case it is backed up).
+     */
+    async _loadFrom(adapter) {
+        try {
+            const payload = await adapter.load();
+            if (!payload) return null; // nothing stored yet
+
+            const isVersioned = Number.isInteger(payload.schemaVersion) && "data" in payload;
+            return isVersioned ? migrate(payload.data, payload.schemaVersion) : migrate(payload, 0);
+        } catch (error) {
+            this.loadFailed = true;
+            const backupName = await this.backUp(adapter);
+            const backup = backupName ? ` It was backed up to "${backupName}".` : "";
+            console.error(`Storage.load() failed — corrupted data?${backup}`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Move the data of the previous adapter into the current one. The previous adapter's copy is only removed
+     * once the current adapter has saved it.
+     *
+     * @param {Object} previous - A StorageAdapter.
+     * @returns {Promise<Object|null>} The moved data.
+     */
+    async _moveFrom(previous) {
+        const data = await this._loadFrom(previous);
+        if (!data) return null;
+
+        try {
+            await this._adapter.save({ schemaVersion: CURRENT_SCHEMA_VERSION, data });
+            await previous.clear();
+        } catch (error) {
+            console.error("Storage: moving the saved data failed; it stays in the previous storage.", error);
+        }
+        return data;
+    },
 };
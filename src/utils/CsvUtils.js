@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Reads and writes CSV text (RFC 4180), as exported and opened by spreadsheet apps.
+ *
+ * Responsibilities:
+ * - Split CSV text into rows of cells: quoted cells may hold the delimiter, line breaks and doubled quotes ("");
+ *   lines may end in CRLF or LF, and a leading byte order mark is ignored.
+ * - Detect the delimiter: a comma, or the semicolon or tab some spreadsheet apps use instead.
+ * - Join rows of cells into CSV text, quoting only the cells that need it.
+ * - Keep cells that a spreadsheet would run as a formula (starting with =, +, -, @) as text by prefixing them
+ *   with an apostrophe on export, and remove that prefix again on import.
+ *
+ * Example:
+ *   toCsv([["Title", "Notes"], ["Buy milk", "2L, semi-skimmed"]]); // 'Title,Notes\r\nBuy milk,"2L, semi-skimmed"'
+ *   parseCsv('Title;Notes\nBuy milk;"2L; semi-skimmed"'); // [["Title", "Notes"], ["Buy milk", "2L; semi-skimmed"]]
+ *
+ * @module CsvUtils
+ */
+
+const DELIMITERS = [",", ";", "\t"];
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PREFIX = /^'[=+\-@\t\r]/;
+
+/**
+ * @param {string} text
+ * @returns {string} The delimiter used most often in the first line, outside quotes; a comma if there is none.
+ */
+function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map((delimiter) => [delimiter, 0]));
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === "\n" || char === "\r")) break;
+        else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+/**
+ * @param {string} cell
+ * @returns {string} The cell, without the apostrophe `toCsv()` adds in front of formula-like text.
+ */
+function unescapeFormula(cell) {
+    return ESCAPED_FORMULA_PREFIX.test(cell) ? cell.slice(1) : cell;
+}
+
+/**
+ * @param {string} text CSV text.
+ * @param {{delimiter?: string}} [options] `delimiter` defaults to the one detected in the first line.
+ * @returns {string[][]} The rows of cells; rows may have different lengths. Trailing line breaks add no row.
+ */
+export function parseCsv(text, { delimiter = detectDelimiter(text) } = {}) {
+    const input = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(unescapeFormula(cell));
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(unescapeFormula(cell));
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== "" || row.length > 0) {
+        row.push(unescapeFormula(cell));
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * @param {Array<Array<string|number|boolean|null|undefined>>} rows
+ * @returns {string} CSV text with CRLF line endings; null and undefined cells are empty.
+ */
+export function toCsv(rows) {
+    return rows
+        .map((row) =>
+            row
+                .map((value) => {
+                    let cell = String(value ?? "");
+                    if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+                    return /[",;\t\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell;
+                })
+                .join(",")
+        )
+        .join("\r\n");
+}
@@ -5,6 +5,8 @@
  * - Wrap and simplify common `date-fns` operations for consistency across the app.
  * - Handle date formatting, parsing, and comparisons in one place.
  * - Provide human-readable date and time helpers for UI display.
+ * - Treat date-only due dates as local calendar days (never midnight UTC), and timed ones as exact moments, so
+ *   due checks are right in every time zone and across DST changes.
  * - Serve as the single entry point for all date/time logic (easy to maintain or replace later).
  *
  * Example:
@@ -17,7 +19,167 @@
  * @module DateUtils
  */
 
-import { format, parseISO, differenceInDays, isBefore, isToday } from "date-fns";
+import {
+    format,
+    parse,
+    parseISO,
+    differenceInCalendarDays,
+    differenceInCalendarWeeks,
+    isAfter,
+    isSameDay,
+    addDays,
+    addWeeks,
+    addMonths,
+    addYears,
+    setDate,
+    setMonth,
+    getDaysInMonth,
+    startOfDay,
+    startOfMinute,
+    setHours,
+    setMinutes,
+} from "date-fns";
+import { Frequencies, MonthlyModes } from "../model/Recurrence.js";
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINAL_LABELS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", [-1]: "last" };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ZONED_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+const TIME_SUFFIX_PATTERN = /^(.*?)(?:[ T]+(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap])?\.?m?\.?)?$/i;
+const YEAR_FIRST_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/;
+const YEAR_LAST_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/;
+const NAMED_MONTH_FORMATS = ["d MMM yyyy", "d MMMM yyyy", "MMM d yyyy", "MMMM d yyyy", "d-MMM-yyyy", "d-MMM-yy"];
+
+/**
+ * Reads a date as a local calendar day. Date-only strings ("2025-11-03", as produced by `<input type="date">`)
+ * are read as local dates rather than midnight UTC, which would fall on the previous day west of UTC.
+ *
+ * @param {Date|string} value - A Date, a "yyyy-MM-dd" string or an ISO date-time string.
+ * @returns {Date|null} Local midnight at the start of that day, or null if the value isn't a date.
+ */
+export function parseLocalDate(value) {
+    if (!value) return null;
+    const d = typeof value === "string" && DATE_ONLY_PATTERN.test(value) ? parseISO(value) : new Date(value);
+    return isNaN(d) ? null : startOfDay(d);
+}
+
+/**
+ * Formats a Date as the local "yyyy-MM-dd" value used by `<input type="date">` and saved date-only due dates.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The local calendar day.
+ */
+export function formatLocalDate(date) {
+    return format(date, "yyyy-MM-dd");
+}
+
+/**
+ * Sets the time of day of a local calendar day.
+ *
+ * @param {Date|string} day - The day (see `parseLocalDate`).
+ * @param {string|null} time - "HH:mm" (24-hour), or empty for none.
+ * @returns {Date|null} The moment on that day, or the start of the day if there is no valid time.
+ */
+export function combineDateAndTime(day, time) {
+    const date = parseLocalDate(day);
+    const match = TIME_PATTERN.exec(time ?? "");
+    if (!date || !match) return date;
+    return setMinutes(setHours(date, Number(match[1])), Number(match[2]));
+}
+
+/**
+ * Checks if a value is a time of day as produced by `<input type="time">`.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for "HH:mm" (24-hour) strings.
+ */
+export function isTimeOfDay(value) {
+    return typeof value === "string" && TIME_PATTERN.test(value);
+}
+
+/**
+ * Formats the local time of day of a Date (e.g. "14:30"), as used by `<input type="time">`.
+ *
+ * @param {Date} date - The date to format.
+ * @returns {string} The time of day.
+ */
+export function formatTime(date) {
+    return format(date, "HH:mm");
+}
+
+/**
+ * Reads a due date saved before date-only due dates were kept as local days. Those were parsed from the date
+ * input at midnight UTC (recurring ones could drift an hour across DST changes), so the nearest UTC midnight
+ * names the calendar day the user picked.
+ *
+ * @param {Date|string} value - The saved due date.
+ * @returns {Date} Local midnight at the start of the intended day.
+ */
+export function parseLegacyDueDate(value) {
+    const utcDay = new Date(Math.round(new Date(value).getTime() / DAY_MS) * DAY_MS);
+    return new Date(utcDay.getUTCFullYear(), utcDay.getUTCMonth(), utcDay.getUTCDate());
+}
+
+/**
+ * Reads a date typed by hand or exported by a spreadsheet, in any of the common formats: "2025-11-03",
+ * "2025/11/3", "03/11/2025", "3.11.25", "3 Nov 2025", "Nov 3, 2025"..., optionally followed by a time of day
+ * ("14:30", "2:30 pm", "14:30:00"), or an ISO date-time with a time zone ("2025-11-03T13:30:00.000Z").
+ * A time of exactly midnight counts as no time, as spreadsheets add it to plain dates.
+ *
+ * @param {string} text - The text to read.
+ * @param {{dayFirst?: boolean}} [options] - Whether numeric dates with the year last put the day before the month
+ *        ("03/11/2025" is 3 November) or after it (March 11). Defaults to true.
+ * @returns {{day: Date, time: string|null}|null} Local midnight at the start of the day and the time of day
+ *          ("HH:mm", or null if none was given), or null if the text isn't a valid date.
+ */
+export function parseDateText(text, { dayFirst = true } = {}) {
+    const value = String(text ?? "").trim();
+    if (ZONED_DATE_TIME_PATTERN.test(value)) {
+        const moment = new Date(value);
+        return isNaN(moment) ? null : { day: startOfDay(moment), time: formatTime(moment) };
+    }
+
+    const [, dateText, hours, minutes, meridiem] = TIME_SUFFIX_PATTERN.exec(value);
+    const day = parseDayText(dateText.replaceAll(",", " ").replace(/\s+/g, " ").trim(), dayFirst);
+    if (!day) return null;
+    if (hours === undefined) return { day, time: null };
+
+    let hour = Number(hours);
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem.toLowerCase() === "p" ? 12 : 0);
+    }
+    const time = `${String(hour).padStart(2, "0")}:${minutes}`;
+    if (!TIME_PATTERN.test(time)) return null;
+    return { day, time: time === "00:00" ? null : time };
+}
+
+/**
+ * @param {string} text - A date without a time of day.
+ * @param {boolean} dayFirst - See `parseDateText`.
+ * @returns {Date|null} Local midnight at the start of that day, or null if the text isn't a valid date.
+ */
+function parseDayText(text, dayFirst) {
+    let year, month, day;
+    const yearFirst = YEAR_FIRST_PATTERN.exec(text);
+    const yearLast = YEAR_LAST_PATTERN.exec(text);
+    if (yearFirst) {
+        [year, month, day] = yearFirst.slice(1).map(Number);
+    } else if (yearLast) {
+        const [first, second] = yearLast.slice(1, 3).map(Number);
+        [day, month] = dayFirst ? [first, second] : [second, first];
+        year = Number(yearLast[3]) + (yearLast[3].length === 2 ? 2000 : 0);
+    } else {
+        const named = NAMED_MONTH_FORMATS.map((pattern) => parse(text, pattern, new Date())).find((d) => !isNaN(d));
+        return named ? startOfDay(named) : null;
+    }
+
+    // Reject days that don't exist, e.g. 31/02, rather than rolling them over into the next month
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
 
 /**
  * Formats a Date object into a human-readable string (e.g., "Nov 1, 2025").
@@ -34,49 +196,288 @@ export function formatDueDate(date, pattern = "MMM d, yyyy") {
 }
 
 /**
- * Calculates how many days remain until a given due date.
+ * Formats a due date, with its time of day when it has one (e.g. "03/11/2025 17:00").
+ *
+ * @param {Date|string} date - The due date.
+ * @param {boolean} [hasTime=false] - Whether the deadline is a time of day rather than the whole day.
+ * @returns {string} The formatted deadline.
+ */
+export function formatDeadline(date, hasTime = false) {
+    if (!date) return "";
+    return hasTime ? formatDateTime(date) : formatDueDate(date);
+}
+
+/**
+ * Calculates how many calendar days remain until a given due date, counted in local days so a DST change in
+ * between doesn't make a day go missing.
  *
  * @param {Date|string} dueDate - The target date.
- * @returns {number} Number of days until the due date (negative if overdue).
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {number} Number of days until the due date (negative if it has passed, 0 if it is today).
  */
-export function daysUntilDue(dueDate) {
-    const parsed = typeof dueDate === "string" ? parseISO(dueDate) : dueDate;
-    return differenceInDays(parsed, new Date());
+export function daysUntilDue(dueDate, now = new Date()) {
+    return differenceInCalendarDays(parseLocalDate(dueDate), now);
 }
 
 /**
- * Checks if a given date is in the past.
+ * Checks if a deadline has passed. A date-only deadline lasts until the end of its local day; a timed one is
+ * overdue once its minute is over.
  *
- * @param {Date|string} date - The date to check.
- * @returns {boolean} True if the date is before today, false otherwise.
+ * @param {Date|string} date - The due date.
+ * @param {boolean} [hasTime=false] - Whether the deadline is a time of day rather than the whole day.
+ * @param {Date} [now=new Date()] - The current moment.
+ * @returns {boolean} True if the deadline has passed, false otherwise.
  */
-export function isOverdue(date) {
-    const parsed = typeof date === "string" ? parseISO(date) : date;
-    return isBefore(parsed, new Date());
+export function isOverdue(date, hasTime = false, now = new Date()) {
+    if (hasTime) return isAfter(startOfMinute(now), new Date(date));
+    return daysUntilDue(date, now) < 0;
 }
 
 /**
- * Checks if the given date is today.
+ * Checks if the given date falls on the current local day.
  *
  * @param {Date|string} date - The date to check.
+ * @param {Date} [now=new Date()] - The current moment.
  * @returns {boolean} True if today, false otherwise.
  */
-export function isDueToday(date) {
-    const parsed = typeof date === "string" ? parseISO(date) : date;
-    return isToday(parsed);
+export function isDueToday(date, now = new Date()) {
+    return isSameDay(parseLocalDate(date), now);
 }
 
 /**
  * Returns a human-readable description for task deadlines.
  *
  * @param {Date|string} dueDate - The task’s due date.
+ * @param {boolean} [hasTime=false] - Whether the deadline is a time of day rather than the whole day.
+ * @param {Date} [now=new Date()] - The current moment.
  * @returns {string} A user-friendly label like "Due today", "Overdue", or "In 3 days".
  */
-export function getDueStatus(dueDate) {
-    const daysLeft = daysUntilDue(dueDate);
+export function getDueStatus(dueDate, hasTime = false, now = new Date()) {
+    if (isOverdue(dueDate, hasTime, now)) return "Overdue";
 
-    if (daysLeft < 0) return "Overdue";
-    if (daysLeft === 0) return "Due today";
-    if (daysLeft === 1) return "Due tomorrow";
+    const daysLeft = daysUntilDue(dueDate, now);
+    const at = hasTime ? ` at ${formatTime(new Date(dueDate))}` : "";
+    if (daysLeft === 0) return `Due today${at}`;
+    if (daysLeft === 1) return `Due tomorrow${at}`;
     return `Due in ${daysLeft} days`;
 }
+
+/**
+ * Returns which occurrence of its weekday a date is within its month (1–4, or -1 for the last one).
+ *
+ * @param {Date} date - The date to inspect.
+ * @returns {number} The ordinal, e.g. 2 for "the 2nd Tuesday".
+ */
+function getWeekdayOrdinal(date) {
+    const nth = Math.ceil(date.getDate() / 7);
+    return nth >= 5 ? -1 : nth;
+}
+
+/**
+ * Returns the date of the nth given weekday in the month of `monthDate`, keeping its time of day.
+ *
+ * @param {Date} monthDate - Any date within the target month.
+ * @param {number} nth - 1–4, or -1 for the last occurrence.
+ * @param {number} weekday - 0 (Sun) – 6 (Sat).
+ * @returns {Date}
+ */
+function getNthWeekdayOfMonth(monthDate, nth, weekday) {
+    const daysInMonth = getDaysInMonth(monthDate);
+
+    if (nth === -1) {
+        const last = setDate(monthDate, daysInMonth);
+        return setDate(monthDate, daysInMonth - ((last.getDay() - weekday + 7) % 7));
+    }
+
+    const first = setDate(monthDate, 1);
+    const day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+    return setDate(monthDate, Math.min(day, daysInMonth));
+}
+
+/**
+ * Fills in the anchors of a monthly or yearly recurrence rule (day of month, nth weekday, or month and day) from a
+ * date, so that later occurrences don't drift when a month is too short (e.g. the 31st becoming the 30th, or
+ * Feb 29 becoming Feb 28).
+ *
+ * @param {Object} rule - The recurrence rule (see the Recurrence module).
+ * @param {Date} date - The date the rule is anchored to, usually the todo's due date.
+ * @returns {Object} A new rule with its anchors filled in.
+ */
+export function anchorRecurrence(rule, date) {
+    if (!date) return { ...rule };
+    if (rule.frequency === Frequencies.YEARLY) {
+        return { ...rule, month: rule.month ?? date.getMonth(), dayOfMonth: rule.dayOfMonth ?? date.getDate() };
+    }
+    if (rule.frequency !== Frequencies.MONTHLY) return { ...rule };
+
+    if (rule.monthlyMode === MonthlyModes.NTH_WEEKDAY) {
+        return { ...rule, nth: rule.nth ?? getWeekdayOrdinal(date), weekday: rule.weekday ?? date.getDay() };
+    }
+    return { ...rule, dayOfMonth: rule.dayOfMonth ?? date.getDate() };
+}
+
+/**
+ * Calculates the next occurrence of a recurring task after the given date.
+ *
+ * @param {Date|string} date - The current occurrence's date.
+ * @param {Object} rule - The recurrence rule (see the Recurrence module).
+ * @returns {Date} The date of the next occurrence.
+ */
+export function getNextOccurrence(date, rule) {
+    const current = typeof date === "string" ? parseISO(date) : date;
+    const interval = Math.max(1, Number(rule.interval) || 1);
+
+    switch (rule.frequency) {
+        case Frequencies.DAILY:
+            return addDays(current, interval);
+
+        case Frequencies.WEEKLY: {
+            const weekdays = rule.weekdays?.length ? rule.weekdays : [current.getDay()];
+            // Walk forward day by day, only accepting days in every `interval`-th week
+            for (let i = 1; i <= 7 * (interval + 1); i++) {
+                const candidate = addDays(current, i);
+                const weeksApart = differenceInCalendarWeeks(candidate, current);
+                if (weeksApart % interval === 0 && weekdays.includes(candidate.getDay())) return candidate;
+            }
+            return addWeeks(current, interval);
+        }
+
+        case Frequencies.MONTHLY: {
+            const anchored = anchorRecurrence(rule, current);
+            const targetMonth = addMonths(setDate(current, 1), interval);
+
+            if (anchored.monthlyMode === MonthlyModes.NTH_WEEKDAY) {
+                return getNthWeekdayOfMonth(targetMonth, anchored.nth, anchored.weekday);
+            }
+            return setDate(targetMonth, Math.min(anchored.dayOfMonth, getDaysInMonth(targetMonth)));
+        }
+
+        case Frequencies.YEARLY: {
+            const anchored = anchorRecurrence(rule, current);
+            const targetMonth = setMonth(addYears(setDate(current, 1), interval), anchored.month);
+            return setDate(targetMonth, Math.min(anchored.dayOfMonth, getDaysInMonth(targetMonth)));
+        }
+
+        default:
+            return addDays(current, interval);
+    }
+}
+
+/**
+ * Returns a human-readable description of a recurrence rule.
+ *
+ * @param {Object} rule - The recurrence rule (see the Recurrence module).
+ * @returns {string} A label like "Every 2 weeks on Mon, Wed" or "Every month on the last Fri".
+ */
+export function formatRecurrence(rule) {
+    if (!rule) return "";
+
+    const interval = Math.max(1, Number(rule.interval) || 1);
+    const units = {
+        [Frequencies.DAILY]: "day",
+        [Frequencies.WEEKLY]: "week",
+        [Frequencies.MONTHLY]: "month",
+        [Frequencies.YEARLY]: "year",
+    };
+    const unit = units[rule.frequency] ?? "day";
+    let label = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+    if (rule.frequency === Frequencies.WEEKLY && rule.weekdays?.length) {
+        const days = [...rule.weekdays].sort((a, b) => a - b).map((d) => WEEKDAY_LABELS[d]);
+        label += ` on ${days.join(", ")}`;
+    }
+
+    if (rule.frequency === Frequencies.MONTHLY) {
+        if (rule.monthlyMode === MonthlyModes.NTH_WEEKDAY && rule.nth !== undefined) {
+            label += ` on the ${ORDINAL_LABELS[rule.nth]} ${WEEKDAY_LABELS[rule.weekday]}`;
+        } else if (rule.dayOfMonth !== undefined) {
+            label += ` on day ${rule.dayOfMonth}`;
+        }
+    }
+
+    return label;
+}
+
+/**
+ * Formats a duration as hours and minutes (e.g. "1h 05m", "12m").
+ *
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(ms) {
+    const totalMinutes = Math.floor(Math.max(0, ms) / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) return `${minutes}m`;
+    return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+}
+
+/**
+ * Splits a time interval at every local midnight, so time can be attributed to the day it was spent on.
+ *
+ * @param {Date} start - Start of the interval.
+ * @param {Date} end - End of the interval.
+ * @returns {Array<{day: Date, ms: number}>} One entry per calendar day touched, `day` being its midnight.
+ */
+export function splitIntervalByDay(start, end) {
+    const parts = [];
+    let cursor = start;
+
+    while (cursor < end) {
+        const nextMidnight = startOfDay(addDays(cursor, 1));
+        const partEnd = nextMidnight < end ? nextMidnight : end;
+        parts.push({ day: startOfDay(cursor), ms: partEnd - cursor });
+        cursor = partEnd;
+    }
+    return parts;
+}
+
+/**
+ * Formats a Date with its time of day (e.g. "01/11/2025 14:30"), matching `formatDueDate`.
+ *
+ * @param {Date|string} date - The date to format (Date object or ISO string).
+ * @returns {string} The formatted date and time.
+ */
+export function formatDateTime(date) {
+    if (!date) return "";
+    const d = date instanceof Date ? date : new Date(date);
+    if (isNaN(d)) return "";
+    return format(d, "dd/MM/yyyy HH:mm");
+}
+
+/**
+ * Describes when a todo was created, last updated and completed (e.g. "Created 01/11/2025 14:30 · Completed
+ * 03/11/2025 09:10"). The update is left out while it is the same as the creation.
+ *
+ * @param {{createdAt: Date, updatedAt: Date, completedAt: Date|null}} todo - The todo's timestamps.
+ * @returns {string} The formatted timestamps.
+ */
+export function formatTodoTimestamps({ createdAt, updatedAt, completedAt }) {
+    const parts = [`Created ${formatDateTime(createdAt)}`];
+    if (updatedAt && updatedAt.getTime() !== createdAt?.getTime()) parts.push(`Updated ${formatDateTime(updatedAt)}`);
+    if (completedAt) parts.push(`Completed ${formatDateTime(completedAt)}`);
+    return parts.join(" · ");
+}
+
+/**
+ * Counts the calendar days from a start date to another date, ignoring the time of day.
+ *
+ * @param {Date|string} start - The reference date.
+ * @param {Date|string} date - The date to measure.
+ * @returns {number} Days from `start` to `date` (negative if `date` comes first).
+ */
+export function getDayOffset(start, date) {
+    return differenceInCalendarDays(parseLocalDate(date), parseLocalDate(start));
+}
+
+/**
+ * Returns the date a number of calendar days after a start date (the inverse of `getDayOffset`).
+ *
+ * @param {Date|string} start - The reference date.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {Date} The resulting date.
+ */
+export function applyDayOffset(start, days) {
+    return addDays(parseLocalDate(start), days);
+}
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Promise helpers for the callback-based IndexedDB API.
+ *
+ * Responsibilities:
+ * - Turn IndexedDB requests and transactions into Promises.
+ * - Open a database, creating or upgrading its object stores on first use.
+ *
+ * Example:
+ *   const db = await openDatabase("todoAppAttachments", 1, (db) => db.createObjectStore("files"));
+ *   const blob = await promisify(db.transaction("files").objectStore("files").get(id));
+ *
+ * @module IndexedDBUtils
+ */
+
+/**
+ * @param {IDBRequest|IDBTransaction} request
+ * @returns {Promise<*>} Settles when the request succeeds (with its result) or fails, or when the transaction
+ *          commits or is aborted.
+ */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        if (request instanceof IDBTransaction) {
+            request.oncomplete = () => resolve();
+            request.onabort = request.onerror = () => reject(request.error);
+        } else {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }
+    });
+}
+
+/**
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade Creates the object stores missing from an older (or new) database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => upgrade(request.result);
+    return promisify(request);
+}
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Renders todo descriptions written in Markdown as safe HTML.
+ *
+ * Responsibilities:
+ * - Convert a useful subset of Markdown to HTML:
+ *   - blocks: paragraphs, headings, bulleted and numbered lists (nested by indenting), task-list items
+ *     ("- [ ] step", "- [x] done"), fenced code blocks, block quotes and horizontal rules;
+ *   - inline: **bold**, *italic*, ~~strikethrough~~, `code`, [links](https://example.com) and bare URLs.
+ *   Raw HTML in the text is escaped, and single line breaks are kept.
+ * - Sanitize HTML before it reaches the page: only an allowlist of elements and attributes is kept, so scripts,
+ *   styles, embedded content, event handler attributes and `javascript:` (or any non-http/mailto) links are
+ *   stripped. The rendered Markdown always goes through it, as a second line of defence behind the escaping.
+ *
+ * Example:
+ *   import { renderMarkdown } from './MarkdownUtils.js';
+ *   descriptionEl.replaceChildren(renderMarkdown("- [x] Book the venue\n- [ ] Send **invites**"));
+ *
+ * @module MarkdownUtils
+ */
+
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+// Elements kept by the sanitizer, with the attributes each may keep
+const ALLOWED_ELEMENTS = {
+    p: [],
+    br: [],
+    strong: [],
+    em: [],
+    del: [],
+    code: [],
+    pre: [],
+    blockquote: [],
+    hr: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    ul: ["class"],
+    ol: ["start"],
+    li: ["class"],
+    a: ["href"],
+    input: ["type", "checked", "disabled"],
+};
+
+// Elements removed together with their contents; any other element that isn't allowed is replaced by its contents
+const DROPPED_ELEMENTS = new Set(["script", "style", "iframe", "frame", "object", "embed", "template", "noscript"]);
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+const FENCE_PATTERN = /^ {0,3}(```|~~~)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^ {0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^ ?([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\]\s+([\s\S]*)$/;
+const INDENTED_PATTERN = /^( {2,}|\t)/;
+const CODE_SPAN_PATTERN = /(`+)(.+?)\1(?!`)/g;
+// The URL may hold balanced parentheses, e.g. https://en.wikipedia.org/wiki/Mercury_(planet)
+const LINK_PATTERN = /\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)/g;
+// Runs on escaped text, so it stops at escaped quotes and angle brackets
+const BARE_URL_PATTERN = /\bhttps?:\/\/(?:(?!&quot;|&#39;|&lt;|&gt;)[^\s\u0000])+/g;
+
+/**
+ * @param {string} text
+ * @returns {string} The text with HTML special characters escaped.
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * @param {string} text Already escaped text.
+ * @returns {string} The text with bold, italic and strikethrough markers turned into HTML.
+ */
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+        .replace(/(^|\W)__(?=\S)(.+?)__(?=\W|$)/g, "$1<strong>$2</strong>")
+        .replace(/\*(?=\S)(.+?)\*/g, "<em>$1</em>")
+        .replace(/(^|\W)_(?=\S)(.+?)_(?=\W|$)/g, "$1<em>$2</em>")
+        .replace(/~~(?=\S)(.+?)~~/g, "<del>$1</del>");
+}
+
+/**
+ * @param {string} href Escaped URL.
+ * @param {string} label Rendered link text.
+ * @returns {string}
+ */
+function renderLink(href, label) {
+    return `<a href="${href}">${label}</a>`;
+}
+
+/**
+ * Render the inline Markdown of one block (a paragraph, heading or list item).
+ * @param {string} text
+ * @returns {string} HTML.
+ */
+function renderInline(text) {
+    // Code spans and links are set aside first, so nothing inside them is formatted (or linked twice)
+    const tokens = [];
+    const setAside = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let html = text.replace(CODE_SPAN_PATTERN, (match, ticks, code) =>
+        setAside(`<code>${escapeHtml(code.trim())}</code>`)
+    );
+    html = escapeHtml(html);
+    // A link to an unsafe URL is dropped, leaving only its text
+    html = html.replace(LINK_PATTERN, (match, label, href) =>
+        SAFE_URL_PATTERN.test(href) ? setAside(renderLink(href, renderEmphasis(label))) : label
+    );
+    html = html.replace(BARE_URL_PATTERN, (match) => {
+        // Punctuation right after a URL usually ends the sentence rather than belonging to the URL, except for
+        // closing parentheses matching one in the URL
+        let [, url, trailing] = /^(.*?)([.,:;!?)\]]*)$/.exec(match);
+        while (trailing.startsWith(")") && url.split("(").length > url.split(")").length) {
+            url += ")";
+            trailing = trailing.slice(1);
+        }
+        return setAside(renderLink(url, url)) + trailing;
+    });
+    html = renderEmphasis(html).replace(/\n/g, "<br>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean} Whether the line starts a block other than a paragraph (and so ends a paragraph).
+ */
+function startsBlock(line) {
+    return (
+        FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        RULE_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line)
+    );
+}
+
+/**
+ * @param {string} marker A list item's marker, e.g. "-" or "3.".
+ * @returns {boolean}
+ */
+function isOrderedMarker(marker) {
+    return /\d/.test(marker);
+}
+
+/**
+ * Render a list starting at `lines[start]`, including nested lists (indented lines belong to the item above them).
+ * @param {string[]} lines
+ * @param {number} start
+ * @returns {{html: string, next: number}} The list's HTML and the index of the first line after it.
+ */
+function renderList(lines, start) {
+    const [, firstMarker] = LIST_ITEM_PATTERN.exec(lines[start]);
+    const ordered = isOrderedMarker(firstMarker);
+    const items = []; // { text: string[], nested: string[] }
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const item = LIST_ITEM_PATTERN.exec(line);
+        const current = items[items.length - 1];
+
+        const continuesText = current && current.nested.length === 0 && line.trim() !== "" && !startsBlock(line.trim());
+
+        if (item && isOrderedMarker(item[1]) === ordered) {
+            items.push({ text: [item[2]], nested: [] });
+        } else if (continuesText) {
+            current.text.push(line.trim()); // a wrapped line of the item's text
+        } else if (current && INDENTED_PATTERN.test(line)) {
+            current.nested.push(line.replace(INDENTED_PATTERN, ""));
+        } else if (line.trim() === "" && INDENTED_PATTERN.test(lines[i + 1] ?? "")) {
+            current.nested.push("");
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    const hasTasks = items.some((item) => TASK_PATTERN.test(item.text[0]));
+    const listItems = items.map(({ text, nested }) => {
+        let content = text.join("\n");
+        let checkbox = "";
+        const task = TASK_PATTERN.exec(content);
+        if (task) {
+            checkbox = `<input type="checkbox" disabled${task[1] === " " ? "" : " checked"}> `;
+            content = task[2];
+        }
+        const className = task ? ' class="task-list-item"' : "";
+        return `<li${className}>${checkbox}${renderInline(content)}${renderBlocks(nested)}</li>`;
+    });
+
+    const tag = ordered ? "ol" : "ul";
+    const firstNumber = parseInt(firstMarker, 10);
+    const startAttribute = ordered && firstNumber !== 1 ? ` start="${firstNumber}"` : "";
+    const className = hasTasks ? ' class="task-list"' : "";
+    return { html: `<${tag}${className}${startAttribute}>${listItems.join("")}</${tag}>`, next: i };
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {string} The HTML of the blocks the lines make up.
+ */
+function renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === "") {
+            i++;
+        } else if (FENCE_PATTERN.test(line)) {
+            const fence = FENCE_PATTERN.exec(line)[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++; // the closing fence (if any)
+            html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+        } else if (HEADING_PATTERN.test(line)) {
+            const [, hashes, text] = HEADING_PATTERN.exec(line);
+            html.push(`<h${hashes.length}>${renderInline(text)}</h${hashes.length}>`);
+            i++;
+        } else if (RULE_PATTERN.test(line)) {
+            html.push("<hr>");
+            i++;
+        } else if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+                quoted.push(lines[i++].replace(QUOTE_PATTERN, ""));
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, i);
+            html.push(list.html);
+            i = list.next;
+        } else {
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== "" && !startsBlock(lines[i])) {
+                paragraph.push(lines[i++].trim());
+            }
+            html.push(`<p>${renderInline(paragraph.join("\n"))}</p>`);
+        }
+    }
+
+    return html.join("");
+}
+
+/**
+ * Convert Markdown to HTML. The result isn't sanitized yet; use `renderMarkdown()` to put Markdown on the page.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+    return renderBlocks((markdown ?? "").replace(/\r\n?/g, "\n").split("\n"));
+}
+
+/**
+ * Strip everything that isn't on the allowlist from a node's descendants, in place.
+ * @param {Node} node
+ */
+function sanitizeChildren(node) {
+    [...node.childNodes].forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+
+        const name = child.localName;
+        const isHtmlElement = child.nodeType === Node.ELEMENT_NODE && child.namespaceURI === HTML_NAMESPACE;
+        if (!isHtmlElement || DROPPED_ELEMENTS.has(name)) {
+            child.remove(); // comments, SVG/MathML and dangerous elements go entirely
+            return;
+        }
+
+        sanitizeChildren(child);
+        const allowedAttributes = ALLOWED_ELEMENTS[name];
+        if (!allowedAttributes) {
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+
+        [...child.attributes]
+            .filter((attribute) => !allowedAttributes.includes(attribute.name))
+            .forEach((attribute) => child.removeAttribute(attribute.name));
+
+        if (name === "a") {
+            if (!SAFE_URL_PATTERN.test(child.getAttribute("href") ?? "")) child.removeAttribute("href");
+            child.target = "_blank";
+            child.rel = "noopener noreferrer";
+        }
+        if (name === "input") {
+            if (child.type !== "checkbox") child.remove();
+            else child.disabled = true;
+        }
+    });
+}
+
+/**
+ * @param {string} html Untrusted HTML.
+ * @returns {DocumentFragment} The HTML's allowed elements and attributes, ready to be inserted into the page.
+ */
+export function sanitizeHtml(html) {
+    // Nothing in a template's content runs or loads while it is being cleaned up
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.content;
+}
+
+/**
+ * @param {string} markdown
+ * @returns {DocumentFragment} The rendered, sanitized Markdown.
+ */
+export function renderMarkdown(markdown) {
+    return sanitizeHtml(markdownToHtml(markdown));
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Thin wrapper around the browser Notification API.
+ *
+ * Responsibilities:
+ * - Report whether system notifications can be shown.
+ * - Request permission (only when it hasn't been decided yet).
+ * - Show a notification, returning null when that isn't possible so callers can fall back to in-app UI.
+ *
+ * Example:
+ *   if (!NotificationUtils.notify("Reminder", { body: "Pay invoice" })) showBanner();
+ *
+ * @module NotificationUtils
+ */
+export const NotificationUtils = {
+    isSupported() {
+        return typeof window !== "undefined" && "Notification" in window;
+    },
+
+    canNotify() {
+        return this.isSupported() && Notification.permission === "granted";
+    },
+
+    /**
+     * Ask for permission if the user hasn't granted or denied it yet.
+     * Should be called from a user gesture (e.g. a click), as browsers ignore prompts otherwise.
+     * @returns {Promise<string>} The resulting permission ("granted", "denied", "default" or "unsupported").
+     */
+    async requestPermission() {
+        if (!this.isSupported()) return "unsupported";
+        if (Notification.permission !== "default") return Notification.permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            console.error("NotificationUtils.requestPermission() failed:", error);
+            return Notification.permission;
+        }
+    },
+
+    /**
+     * Show a system notification.
+     * @param {string} title
+     * @param {NotificationOptions} [options]
+     * @returns {Notification|null} The notification, or null if permission is missing or it failed.
+     */
+    notify(title, options = {}) {
+        if (!this.canNotify()) return null;
+
+        try {
+            return new Notification(title, options);
+        } catch (error) {
+            console.error("NotificationUtils.notify() failed:", error);
+            return null;
+        }
+    },
+};
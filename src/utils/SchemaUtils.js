@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Checks plain data (e.g. parsed JSON from a file) against a small declarative schema.
+ *
+ * Responsibilities:
+ * - Describe the expected shape of data with nested schema objects:
+ *   - `{ type: "object", properties: { name: schema, ... }, required: ["name", ...] }` — other properties are
+ *     allowed and ignored;
+ *   - `{ type: "array", items: schema }`;
+ *   - `{ type: "string" | "number" | "integer" | "boolean" }`, optionally with `enum: [allowed values]`, and
+ *     numbers with `minimum: n`;
+ *   - `{ type: "date" }` — a date string or timestamp that parses to a valid date;
+ *   - `nullable: true` on any of them to also accept null.
+ * - Report every mismatch as a readable message with the path to the offending value, e.g.
+ *   "data.projects[2].todos[0].title should be a string".
+ *
+ * Example:
+ *   const schema = { type: "object", required: ["title"], properties: { title: { type: "string" } } };
+ *   validateSchema({ title: 3 }, schema, "todo"); // ["todo.title should be a string"]
+ *
+ * @module SchemaUtils
+ */
+
+const TYPE_NAMES = {
+    object: "an object",
+    array: "a list",
+    string: "a string",
+    number: "a number",
+    integer: "a whole number",
+    boolean: "true or false",
+    date: "a date",
+};
+
+/**
+ * @param {*} value
+ * @param {string} type A schema type.
+ * @returns {boolean} Whether the value is of that type.
+ */
+function hasType(value, type) {
+    switch (type) {
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "array":
+            return Array.isArray(value);
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "date":
+            return (typeof value === "string" || typeof value === "number") && !Number.isNaN(new Date(value).getTime());
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path
+ * @param {string[]} errors Collects the mismatches.
+ */
+function check(value, schema, path, errors) {
+    if (value === null && schema.nullable) return;
+
+    if (!hasType(value, schema.type)) {
+        errors.push(`${path} should be ${TYPE_NAMES[schema.type] ?? schema.type}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of: ${schema.enum.join(", ")}`);
+        return;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+        return;
+    }
+
+    if (schema.type === "array" && schema.items) {
+        value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+    }
+    if (schema.type === "object") {
+        (schema.required ?? []).forEach((name) => {
+            if (value[name] === undefined) errors.push(`${path}.${name} is missing`);
+        });
+        Object.entries(schema.properties ?? {}).forEach(([name, propertySchema]) => {
+            if (value[name] !== undefined) check(value[name], propertySchema, `${path}.${name}`, errors);
+        });
+    }
+}
+
+/**
+ * @param {*} value The data to check.
+ * @param {Object} schema
+ * @param {string} [path] Name of the value in the messages.
+ * @returns {string[]} A message per mismatch; empty if the value matches the schema.
+ */
+export function validateSchema(value, schema, path = "value") {
+    const errors = [];
+    check(value, schema, path, errors);
+    return errors;
+}
@@ -15,7 +15,9 @@
  * @module TableUtils
  */
 
-import { createElement, clearChildren } from './UIUtils.js';
+import { UIUtils } from './UIUtils.js';
+
+const { createElement, clearChildren } = UIUtils;
 
 // =================
 // Constants
@@ -5,6 +5,7 @@
  * - Show/hide/toggle elements
  * - Generic event binding helpers
  * - Element creation helpers
+ * - Saving a Blob as a file download
  * - Can be extended with more DOM utility methods
  *
  * Example:
@@ -71,4 +72,20 @@ export const UIUtils = {
 
         return svg;
     },
+    /**
+     * Have the browser download a Blob as a file.
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
 };
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Manages the CSV import dialog, where users map the columns of a spreadsheet onto todo fields.
+ *
+ * Responsibilities:
+ *  - Render one row per todo field with a choice of the spreadsheet's columns (or none), starting from the
+ *    mapping guessed from the header row, and show what the first row holds in the chosen column.
+ *  - Let users choose the project for rows that name none, and whether numeric dates put the day or the month
+ *    first.
+ *  - Pass the chosen options to the controller whenever they change, and show the preview it computes: how many
+ *    todos will be imported, which projects will be created, and every row that can't be imported with why.
+ *  - Enable importing only when the title column is mapped and at least one row can be imported.
+ *
+ * Exports:
+ *  - CsvImportDialogView — Class representing the CSV import dialog.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - CsvFields, CSV_FIELD_LABELS from '../storage/CsvExchange.js'
+ *
+ * Example usage:
+ *  const csvImportDialog = new CsvImportDialogView(document.querySelector("#csv-import-dialog"));
+ *  csvImportDialog.setOnOptionsChanged((options) => csvImportDialog.showPreview(...));
+ *  csvImportDialog.setOnSubmit((options) => importTodos(options));
+ *  csvImportDialog.open({ fileName, rowCount, headers, firstRow, mapping, projects, defaultProjectId });
+ *
+ * @module CsvImportDialogView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import { CsvFields, CSV_FIELD_LABELS } from "../storage/CsvExchange.js";
+
+const MAX_LISTED_ROWS = 10;
+
+/**
+ * @param {number} n
+ * @param {string} noun Singular noun.
+ * @returns {string} e.g. "1 row", "3 rows".
+ */
+function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? "" : "s"}`;
+}
+
+export class CsvImportDialogView {
+    /**
+     * @param {HTMLDialogElement} dialogElement The CSV import <dialog>.
+     */
+    constructor(dialogElement) {
+        this.dialogElement = dialogElement;
+        this.fileEl = dialogElement.querySelector(".csv-import-file");
+        this.mappingListEl = dialogElement.querySelector(".csv-mapping-list");
+        this.defaultProjectSelect = dialogElement.querySelector(".csv-default-project-select");
+        this.dateOrderSelect = dialogElement.querySelector(".csv-date-order-select");
+        this.summaryEl = dialogElement.querySelector(".csv-import-summary");
+        this.invalidRowListEl = dialogElement.querySelector(".csv-invalid-row-list");
+        this.submitButton = dialogElement.querySelector(".submit-button");
+        this.cancelButton = dialogElement.querySelector(".cancel-button");
+
+        /** @type {string[]} The cells of the first row below the header, shown as examples of each column */
+        this._firstRow = [];
+
+        /**
+         * Callback when the mapping or another option changes; the controller answers with `showPreview()`.
+         * Options: see `_collectOptions()`.
+         * @type {(options: Object) => void}
+         */
+        this._onOptionsChanged = null;
+
+        /**
+         * Callback when the user confirms the import, with the chosen options (see `_collectOptions()`).
+         * @type {(options: Object) => void}
+         */
+        this._onSubmit = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Open the dialog for a parsed spreadsheet, and ask the controller for the first preview.
+     * @param {{fileName: string, rowCount: number, headers: string[], firstRow: string[],
+     *        mapping: Object<string, number|null>, projects: Array<{value: string, label: string}>,
+     *        defaultProjectId: string}} spreadsheet The header row and first row of the file, how many rows are below
+     *        the header, the guessed column for each of CsvFields, and the projects rows without one can go to.
+     */
+    open({ fileName, rowCount, headers, firstRow, mapping, projects, defaultProjectId }) {
+        this._firstRow = firstRow;
+        this.fileEl.textContent = `"${fileName}": ${count(rowCount, "row")} below the header row.`;
+
+        this.mappingListEl.innerHTML = "";
+        Object.values(CsvFields).forEach((field) => {
+            this.mappingListEl.appendChild(this._createMappingRow(field, headers, mapping[field]));
+        });
+
+        this.defaultProjectSelect.innerHTML = "";
+        projects.forEach(({ value, label }) => {
+            const option = UIUtils.createElement("option", [], label);
+            option.value = value;
+            option.selected = value === defaultProjectId;
+            this.defaultProjectSelect.appendChild(option);
+        });
+        this.dateOrderSelect.value = "day-first";
+
+        this._optionsChanged();
+        this.dialogElement.showModal();
+    }
+
+    close() {
+        this.dialogElement.close();
+        this.mappingListEl.innerHTML = "";
+        this.invalidRowListEl.innerHTML = "";
+        this.summaryEl.textContent = "";
+    }
+
+    /**
+     * Show what importing with the current options would do.
+     * @param {{todoCount: number, newProjectNames: string[],
+     *        invalidRows: Array<{rowNumber: number, errors: string[]}>}} preview
+     */
+    showPreview({ todoCount, newProjectNames, invalidRows }) {
+        const titleMapped = this._collectOptions().mapping[CsvFields.TITLE] !== null;
+        const created = newProjectNames.length > 0 ? `, creating ${newProjectNames.join(", ")}` : "";
+        const skipped = invalidRows.length > 0 ? ` ${count(invalidRows.length, "row")} can't be imported:` : "";
+        this.summaryEl.textContent = titleMapped
+            ? `${count(todoCount, "todo")} will be imported${created}.${skipped}`
+            : "Choose the column holding the titles.";
+
+        this.invalidRowListEl.innerHTML = "";
+        if (titleMapped) {
+            invalidRows.slice(0, MAX_LISTED_ROWS).forEach(({ rowNumber, errors }) => {
+                const text = `Row ${rowNumber}: ${errors.join("; ")}`;
+                this.invalidRowListEl.appendChild(UIUtils.createElement("li", "import-error", text));
+            });
+            if (invalidRows.length > MAX_LISTED_ROWS) {
+                const more = count(invalidRows.length - MAX_LISTED_ROWS, "more row");
+                this.invalidRowListEl.appendChild(UIUtils.createElement("li", "import-error", `…and ${more}`));
+            }
+        }
+
+        this.submitButton.disabled = !titleMapped || todoCount === 0;
+    }
+
+    setOnOptionsChanged(callback) {
+        this._onOptionsChanged = callback;
+    }
+
+    setOnSubmit(callback) {
+        this._onSubmit = callback;
+    }
+
+    _setupEventListeners() {
+        this.mappingListEl.addEventListener("change", (event) => {
+            const select = event.target.closest(".csv-column-select");
+            if (!select) return;
+            this._showExample(select);
+            this._optionsChanged();
+        });
+
+        [this.defaultProjectSelect, this.dateOrderSelect].forEach((select) => {
+            select.addEventListener("change", () => this._optionsChanged());
+        });
+
+        this.submitButton.addEventListener("click", () => {
+            this._onSubmit?.(this._collectOptions());
+            this.close();
+        });
+
+        this.cancelButton.addEventListener("click", () => {
+            this.close();
+        });
+    }
+
+    _optionsChanged() {
+        this._onOptionsChanged?.(this._collectOptions());
+    }
+
+    /**
+     * Build the row choosing the column a todo field is read from.
+     * @param {string} field One of CsvFields.
+     * @param {string[]} headers The cells of the header row.
+     * @param {number|null} columnIndex The column chosen at first, or null for none.
+     * @returns {HTMLElement}
+     */
+    _createMappingRow(field, headers, columnIndex) {
+        const row = UIUtils.createElement("tr", "csv-mapping-row");
+        const required = field === CsvFields.TITLE;
+        const label = UIUtils.createElement("th", [], CSV_FIELD_LABELS[field] + (required ? " (required)" : ""));
+        label.scope = "row";
+
+        const select = UIUtils.createElement("select", "csv-column-select");
+        select.dataset.field = field;
+        select.setAttribute("aria-label", `Column for ${CSV_FIELD_LABELS[field]}`);
+        const none = UIUtils.createElement("option", [], required ? "Choose a column" : "Don't import");
+        none.value = "";
+        select.appendChild(none);
+        headers.forEach((header, index) => {
+            const option = UIUtils.createElement("option", [], header.trim() || `Column ${index + 1}`);
+            option.value = String(index);
+            option.selected = index === columnIndex;
+            select.appendChild(option);
+        });
+
+        const selectCell = UIUtils.createElement("td");
+        selectCell.appendChild(select);
+        const example = UIUtils.createElement("td", "csv-column-example");
+        row.append(label, selectCell, example);
+        this._showExample(select, example);
+        return row;
+    }
+
+    /**
+     * @param {HTMLSelectElement} select A column choice.
+     * @param {HTMLElement} [exampleEl] The cell showing the first row's value; found from the select by default.
+     */
+    _showExample(select, exampleEl = select.closest(".csv-mapping-row").querySelector(".csv-column-example")) {
+        exampleEl.textContent = select.value === "" ? "" : (this._firstRow[Number(select.value)] ?? "");
+    }
+
+    /**
+     * @returns {{mapping: Object<string, number|null>, defaultProjectId: string, dayFirst: boolean}} The column
+     *          chosen for each of CsvFields (null for none), the project for rows that name none, and whether
+     *          numeric dates put the day first.
+     */
+    _collectOptions() {
+        const mapping = Object.fromEntries(
+            [...this.mappingListEl.querySelectorAll(".csv-column-select")].map((select) => [
+                select.dataset.field,
+                select.value === "" ? null : Number(select.value),
+            ])
+        );
+        return {
+            mapping,
+            defaultProjectId: this.defaultProjectSelect.value,
+            dayFirst: this.dateOrderSelect.value === "day-first",
+        };
+    }
+}
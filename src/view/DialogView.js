@@ -6,6 +6,10 @@
  *  - Collect form data from inputs within the dialog.
  *  - Store and pass contextual data (e.g., projectId) to callbacks.
  *  - Allow external code to register submit and cancel handlers.
+ *  - Show or hide dependent form rows based on the value of another field.
+ *  - Collect files from file inputs, which can also be dropped onto the input's drop zone.
+ *  - Switch Markdown textareas between writing and a rendered preview.
+ *  - Render groups of radio buttons shown as colour swatches or icons (e.g. a project's colour and icon).
  *
  * Example usage:
  *  const newTodoDialog = new DialogView(document.querySelector("#new-todo-dialog"));
@@ -22,17 +26,36 @@
  *  - close() — Closes the dialog and clears any stored context.
  *  - onSubmit(callback) — Registers a callback for when the submit button is clicked.
  *  - onCancel(callback) — Registers a callback for when the cancel button is clicked.
+ *  - setSelectOptions(name, options, defaultValue) — Replaces the options of a <select> generated from data.
+ *  - setRadioOptions(name, options, defaultValue) — Replaces the radio buttons of a `.radio-options` group
+ *                                                   generated from data.
  *
  * Internal methods/properties (not meant to be used externally):
  *  - _setupEventListeners() — Sets up internal event listeners.
  *  - _collectFormData() — Collects values from input, textarea, and select elements.
+ *                         Checkboxes sharing a name and multi-selects are collected as arrays of values;
+ *                         radio buttons sharing a name as the checked one's value.
+ *  - _populateContextText() — Fills elements with `data-context-text="<key>"` with the matching context value.
+ *  - _addFiles(input, files) — Adds picked or dropped files to those chosen for a file input; picking more files
+ *                               adds to the choice instead of replacing it, and each file can be removed again.
+ *                               Chosen files are listed in the `.file-drop-list` of the input's
+ *                               `.file-drop-zone` and collected as an array of Files.
+ *  - _showMarkdownMode(editor, mode) — Shows the textarea of a `.markdown-editor` ("write") or its rendered,
+ *                                      sanitized `.markdown-preview` ("preview"). Editors open in "write" mode.
+ *  - _updateDependentFields() — Shows rows with `data-depends-on="<field>"` only when that field's value is one
+ *                               of the space-separated values in their `data-depends-value` ("*" matching any
+ *                               non-empty value).
  *  - _onSubmit — Internal storage for the submit callback.
  *  - _onCancel — Internal storage for the cancel callback.
  *  - _context — Internal storage for contextual data passed in via open().
+ *  - _files — Internal storage for the files chosen for each file input, by input name.
  *
  * @module DialogView
  */
 
+import { renderMarkdown } from "../utils/MarkdownUtils.js";
+import { UIUtils } from "../utils/UIUtils.js";
+
 export class DialogView {
     constructor(dialogElement) {
         this.dialogElement = dialogElement;
@@ -41,12 +64,20 @@ export class DialogView {
         this._onSubmit = null;
         this._onCancel = null;
         this._context = {}; // <-- store extra data like projectId
+        this._files = {}; // files chosen for each file input, by input name
         this._setupEventListeners();
+        this._setupFileDropZones();
+        this._setupMarkdownEditors();
     }
 
     open(context = {}) {
         this._context = context; // store context when opening
         this._populateFormFields(context); // populate inputs with context values
+        this._populateContextText(context);
+        this._updateDependentFields();
+        this.dialogElement
+            .querySelectorAll(".markdown-editor")
+            .forEach((editor) => this._showMarkdownMode(editor, "write"));
         this.dialogElement.showModal();
     }
 
@@ -57,6 +88,8 @@ export class DialogView {
         // Reset all inputs in the dialog
         const form = this.dialogElement.querySelector("form");
         if (form) form.reset();
+        this._files = {};
+        this._renderFileLists();
     }
 
     setOnSubmit(callback) {
@@ -67,6 +100,63 @@ export class DialogView {
         this._onCancel = callback;
     }
 
+    /**
+     * Replace the options of the <select> with the given name.
+     * @param {string} name The select's `name` attribute.
+     * @param {Array<{value: string, label: string}>} options The options to render, in order.
+     * @param {string} [defaultValue] The option selected when the form is reset.
+     */
+    setSelectOptions(name, options, defaultValue) {
+        const select = this.dialogElement.querySelector(`select[name="${name}"]`);
+        if (!select) return;
+
+        select.innerHTML = "";
+        options.forEach(({ value, label }) => {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = label;
+            option.defaultSelected = value === defaultValue;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Replace the radio buttons of the `.radio-options` group with the given `data-radio-name`. Each option is
+     * shown as a colour swatch (`color`, or an empty one for the default colour) or an icon (`iconHref`), with its
+     * label as a tooltip.
+     * @param {string} name The radio buttons' `name` attribute.
+     * @param {Array<{value: string, label: string, color?: string, iconHref?: string}>} options In order.
+     * @param {string} [defaultValue] The option checked when the form is reset.
+     */
+    setRadioOptions(name, options, defaultValue) {
+        const group = this.dialogElement.querySelector(`.radio-options[data-radio-name="${name}"]`);
+        if (!group) return;
+
+        group.querySelectorAll(".radio-option").forEach((option) => option.remove());
+        options.forEach(({ value, label, color, iconHref }) => {
+            const optionEl = UIUtils.createElement("label", "radio-option");
+            optionEl.title = label;
+
+            const input = UIUtils.createElement("input", "radio-option-input");
+            input.type = "radio";
+            input.name = name;
+            input.value = value;
+            input.defaultChecked = value === defaultValue;
+            input.setAttribute("aria-label", label);
+            optionEl.appendChild(input);
+
+            if (iconHref) {
+                optionEl.appendChild(UIUtils.createSVGFromSpriteSheet("icon", iconHref));
+            } else {
+                const swatch = UIUtils.createElement("span", "radio-option-swatch");
+                if (color) swatch.style.backgroundColor = color;
+                else swatch.classList.add("radio-option-swatch--default");
+                optionEl.appendChild(swatch);
+            }
+            group.appendChild(optionEl);
+        });
+    }
+
     _setupEventListeners() {
         this.submitButton.addEventListener("click", () => {
             const formData = this._collectFormData();
@@ -79,19 +169,128 @@ export class DialogView {
             this._onCancel?.();
             this.close();
         });
+
+        this.dialogElement.addEventListener("change", () => this._updateDependentFields());
     }
 
     _collectFormData() {
         const formElements = this.dialogElement.querySelectorAll("input, textarea, select");
         const data = {};
         formElements.forEach((el) => {
-            if (el.name) {
+            if (!el.name) return;
+
+            if (el.type === "file") {
+                data[el.name] = [...(this._files[el.name] ?? [])];
+            } else if (el.type === "checkbox") {
+                data[el.name] ??= [];
+                if (el.checked) data[el.name].push(el.value);
+            } else if (el.type === "radio") {
+                data[el.name] ??= "";
+                if (el.checked) data[el.name] = el.value;
+            } else if (el.multiple) {
+                data[el.name] = [...el.selectedOptions].map((option) => option.value);
+            } else {
                 data[el.name] = el.value;
             }
         });
         return data;
     }
 
+    /**
+     * Internal: let files be picked with, or dropped onto the drop zone of, each file input
+     */
+    _setupFileDropZones() {
+        this.dialogElement.querySelectorAll(".file-drop-zone").forEach((zone) => {
+            const input = zone.querySelector("input[type='file']");
+
+            input.addEventListener("change", () => {
+                this._addFiles(input, input.files);
+                input.value = ""; // so picking the same file again still fires "change"
+            });
+
+            zone.addEventListener("dragover", (event) => {
+                if (!event.dataTransfer.types.includes("Files")) return;
+                event.preventDefault();
+                zone.classList.add("file-drop-zone--active");
+            });
+            zone.addEventListener("dragleave", (event) => {
+                if (!zone.contains(event.relatedTarget)) zone.classList.remove("file-drop-zone--active");
+            });
+            zone.addEventListener("drop", (event) => {
+                event.preventDefault();
+                zone.classList.remove("file-drop-zone--active");
+                this._addFiles(input, event.dataTransfer.files);
+            });
+
+            zone.querySelector(".file-drop-list").addEventListener("click", (event) => {
+                const removeBtn = event.target.closest(".file-drop-remove-btn");
+                if (!removeBtn) return;
+                this._files[input.name].splice(Number(removeBtn.dataset.index), 1);
+                this._renderFileLists();
+            });
+        });
+    }
+
+    /**
+     * Internal: switch Markdown editors between writing and previewing with their tabs
+     */
+    _setupMarkdownEditors() {
+        this.dialogElement.querySelectorAll(".markdown-editor").forEach((editor) => {
+            editor.querySelectorAll(".markdown-tab").forEach((tab) => {
+                tab.addEventListener("click", () => this._showMarkdownMode(editor, tab.dataset.mode));
+            });
+        });
+    }
+
+    /**
+     * Internal: show a Markdown editor's textarea ("write") or its rendered preview ("preview")
+     */
+    _showMarkdownMode(editor, mode) {
+        const textarea = editor.querySelector("textarea");
+        const preview = editor.querySelector(".markdown-preview");
+        const previewing = mode === "preview";
+
+        if (previewing) {
+            const isEmpty = textarea.value.trim() === "";
+            preview.replaceChildren(isEmpty ? "Nothing to preview." : renderMarkdown(textarea.value));
+        }
+        textarea.hidden = previewing;
+        preview.hidden = !previewing;
+        editor.querySelectorAll(".markdown-tab").forEach((tab) => {
+            tab.setAttribute("aria-pressed", String(tab.dataset.mode === mode));
+        });
+    }
+
+    /**
+     * Internal: add files to those chosen for a file input
+     */
+    _addFiles(input, files) {
+        this._files[input.name] = [...(this._files[input.name] ?? []), ...files];
+        this._renderFileLists();
+    }
+
+    /**
+     * Internal: list the files chosen for each file input, each with a button removing it again
+     */
+    _renderFileLists() {
+        this.dialogElement.querySelectorAll(".file-drop-zone").forEach((zone) => {
+            const { name } = zone.querySelector("input[type='file']");
+            const list = zone.querySelector(".file-drop-list");
+            list.innerHTML = "";
+            (this._files[name] ?? []).forEach((file, index) => {
+                const item = document.createElement("li");
+                const removeBtn = document.createElement("button");
+                removeBtn.type = "button";
+                removeBtn.className = "file-drop-remove-btn";
+                removeBtn.dataset.index = index;
+                removeBtn.textContent = "×";
+                removeBtn.setAttribute("aria-label", `Remove ${file.name}`);
+                item.append(file.name, removeBtn);
+                list.appendChild(item);
+            });
+        });
+    }
+
     /**
      * Internal: populate form fields from the given context
      * Only sets values for inputs/textarea/select elements whose `name` matches a context key
@@ -100,16 +299,61 @@ export class DialogView {
         const formElements = this.dialogElement.querySelectorAll("input, textarea, select");
         formElements.forEach((el) => {
             if (el.name && context[el.name] !== undefined) {
+                // Checkbox groups are populated from an array of checked values
+                if (el.type === "checkbox") {
+                    el.checked = [].concat(context[el.name]).map(String).includes(el.value);
+                    return;
+                }
+
+                if (el.type === "radio") {
+                    el.checked = String(context[el.name] ?? "") === el.value;
+                    return;
+                }
+
+                // Multi-selects are populated from an array of selected values
+                if (el.multiple) {
+                    const selected = [].concat(context[el.name]).map(String);
+                    [...el.options].forEach((option) => (option.selected = selected.includes(option.value)));
+                    return;
+                }
+
                 // Special handling for date inputs
                 if (el.type === "date" && context[el.name] instanceof Date) {
                     const year = context[el.name].getFullYear();
                     const month = String(context[el.name].getMonth() + 1).padStart(2, "0");
                     const day = String(context[el.name].getDate()).padStart(2, "0");
                     el.value = `${year}-${month}-${day}`;
+                } else if (el.type === "datetime-local" && context[el.name] instanceof Date) {
+                    const date = context[el.name];
+                    const pad = (n) => String(n).padStart(2, "0");
+                    el.value =
+                        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+                        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
                 } else {
                     el.value = context[el.name];
                 }
             }
         });
     }
+
+    /**
+     * Internal: show or hide rows that depend on another field's current value
+     */
+    _updateDependentFields() {
+        this.dialogElement.querySelectorAll("[data-depends-on]").forEach((row) => {
+            const field = this.dialogElement.querySelector(`[name="${row.dataset.dependsOn}"]`);
+            const allowed = row.dataset.dependsValue.split(" ");
+            const matches = allowed.includes(field?.value) || (allowed.includes("*") && !!field?.value);
+            row.hidden = !field || !matches;
+        });
+    }
+
+    /**
+     * Internal: fill read-only text (e.g. confirmation messages) from the given context
+     */
+    _populateContextText(context) {
+        this.dialogElement.querySelectorAll("[data-context-text]").forEach((el) => {
+            el.textContent = context[el.dataset.contextText] ?? "";
+        });
+    }
 }
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Manages the import dialog, where users pick an exported data file and choose how to import it.
+ *
+ * Responsibilities:
+ *  - Pass the picked file to the controller, which reads and validates it.
+ *  - Show why a file can't be imported (listing the first problems found), or a preview of what each way of
+ *    importing it would change: merging it with the current data, or replacing all current data with it.
+ *  - Enable importing only once a valid file has been read, and pass the chosen mode to the controller on submit.
+ *
+ * Exports:
+ *  - ImportDialogView — Class representing the import dialog.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - formatDateTime from '../utils/DateUtils.js'
+ *
+ * Example usage:
+ *  const importDialog = new ImportDialogView(document.querySelector("#import-dialog"));
+ *  importDialog.setOnFileChosen(async (file) => importDialog.showPreview(...));
+ *  importDialog.setOnSubmit((mode) => projectManager.importData(data, mode));
+ *  importDialog.open();
+ *
+ * @module ImportDialogView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import { formatDateTime } from "../utils/DateUtils.js";
+
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * @param {number} n
+ * @param {string} noun Singular noun.
+ * @returns {string} e.g. "1 todo", "3 todos".
+ */
+function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? "" : "s"}`;
+}
+
+/**
+ * @param {{projects: number, todos: number, templates: number}} summary
+ * @returns {string} e.g. "2 projects, 14 todos and 1 template".
+ */
+function describeData({ projects, todos, templates }) {
+    return `${count(projects, "project")}, ${count(todos, "todo")} and ${count(templates, "template")}`;
+}
+
+export class ImportDialogView {
+    /**
+     * @param {HTMLDialogElement} dialogElement The import <dialog>.
+     */
+    constructor(dialogElement) {
+        this.dialogElement = dialogElement;
+        this.fileInput = dialogElement.querySelector(".import-file-input");
+        this.statusEl = dialogElement.querySelector(".import-status");
+        this.errorListEl = dialogElement.querySelector(".import-error-list");
+        this.modesEl = dialogElement.querySelector(".import-modes");
+        this.submitButton = dialogElement.querySelector(".submit-button");
+        this.cancelButton = dialogElement.querySelector(".cancel-button");
+
+        /**
+         * Callback when a file is picked; the controller reads it and calls `showPreview()` or `showErrors()`.
+         * @type {(file: File) => void}
+         */
+        this._onFileChosen = null;
+
+        /**
+         * Callback when the user confirms the import.
+         * @type {(mode: string) => void} The chosen ImportModes value.
+         */
+        this._onSubmit = null;
+
+        this._setupEventListeners();
+    }
+
+    open() {
+        this._reset();
+        this.dialogElement.showModal();
+    }
+
+    close() {
+        this.dialogElement.close();
+        this._reset();
+    }
+
+    /**
+     * Show what importing the picked file would change, and allow importing it.
+     * @param {{current: Object, imported: Object, merge: Object, exportedAt: Date|null}} preview What
+     *        `projectManager.previewImport()` returns, plus when the file was exported.
+     */
+    showPreview({ current, imported, merge, exportedAt }) {
+        this.errorListEl.innerHTML = "";
+        const exported = exportedAt ? `, exported ${formatDateTime(exportedAt)}` : "";
+        this.statusEl.textContent = `The file holds ${describeData(imported)}${exported}.`;
+
+        const changes = [
+            merge.newProjects && count(merge.newProjects, "new project"),
+            merge.newTodos && count(merge.newTodos, "new todo"),
+            merge.updatedTodos && `${count(merge.updatedTodos, "newer todo")} replacing yours`,
+            merge.newTemplates && count(merge.newTemplates, "new template"),
+        ].filter(Boolean);
+        const added = changes.length > 0 ? `Adds ${changes.join(", ")}.` : "Nothing new to add.";
+        const kept = merge.keptTodos ? ` Keeps ${count(merge.keptTodos, "todo")} of yours that are as recent.` : "";
+        const skipped = merge.skippedTodos
+            ? ` Leaves out ${count(merge.skippedTodos, "new todo")} whose project or trash item exists already.`
+            : "";
+        this._setModeSummary("merge", added + kept + skipped);
+        this._setModeSummary(
+            "replace",
+            `Your ${describeData(current)} are replaced with the file's ${describeData(imported)}.`
+        );
+
+        this.modesEl.hidden = false;
+        this.submitButton.disabled = false;
+    }
+
+    /**
+     * Show why the picked file can't be imported.
+     * @param {string[]} errors
+     */
+    showErrors(errors) {
+        this.statusEl.textContent = "This file can't be imported:";
+        this.errorListEl.innerHTML = "";
+        errors.slice(0, MAX_LISTED_ERRORS).forEach((error) => {
+            this.errorListEl.appendChild(UIUtils.createElement("li", "import-error", error));
+        });
+        if (errors.length > MAX_LISTED_ERRORS) {
+            const more = count(errors.length - MAX_LISTED_ERRORS, "more problem");
+            this.errorListEl.appendChild(UIUtils.createElement("li", "import-error", `…and ${more}`));
+        }
+        this.modesEl.hidden = true;
+        this.submitButton.disabled = true;
+    }
+
+    setOnFileChosen(callback) {
+        this._onFileChosen = callback;
+    }
+
+    setOnSubmit(callback) {
+        this._onSubmit = callback;
+    }
+
+    _setupEventListeners() {
+        this.fileInput.addEventListener("change", () => {
+            const file = this.fileInput.files[0];
+            this._reset({ keepFile: true });
+            if (!file) return;
+            this.statusEl.textContent = `Reading "${file.name}"…`;
+            this._onFileChosen?.(file);
+        });
+
+        this.submitButton.addEventListener("click", () => {
+            const mode = this.modesEl.querySelector("input[name='import-mode']:checked").value;
+            this._onSubmit?.(mode);
+            this.close();
+        });
+
+        this.cancelButton.addEventListener("click", () => {
+            this.close();
+        });
+    }
+
+    /**
+     * @param {string} mode An ImportModes value.
+     * @param {string} text
+     */
+    _setModeSummary(mode, text) {
+        this.modesEl.querySelector(`.import-mode-summary[data-import-mode='${mode}']`).textContent = text;
+    }
+
+    /**
+     * Clear the previous file's preview or errors, and disable importing until a valid file is read.
+     * @param {{keepFile?: boolean}} [options] `keepFile` keeps the picked file in the file input.
+     */
+    _reset({ keepFile = false } = {}) {
+        if (!keepFile) this.fileInput.value = "";
+        this.statusEl.textContent = "";
+        this.errorListEl.innerHTML = "";
+        this.modesEl.hidden = true;
+        this.modesEl.querySelector("input[value='merge']").checked = true;
+        this.submitButton.disabled = true;
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Manages the priority settings dialog, where users edit their list of priority levels.
+ *
+ * Responsibilities:
+ *  - Render one editable row (name, colour, sort weight) per priority level.
+ *  - Add and remove rows, always keeping at least one level.
+ *  - Collect the edited levels and pass them to the controller on submit.
+ *
+ * Exports:
+ *  - PrioritySettingsView — Class representing the priority settings dialog.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *
+ * Example usage:
+ *  const settings = new PrioritySettingsView(document.querySelector("#priority-settings-dialog"));
+ *  settings.setOnSubmit((levels) => projectManager.setPriorities(levels));
+ *  settings.open(projectManager.getPriorities());
+ *
+ * @module PrioritySettingsView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+
+export class PrioritySettingsView {
+    /**
+     * @param {HTMLDialogElement} dialogElement The priority settings <dialog>.
+     */
+    constructor(dialogElement) {
+        this.dialogElement = dialogElement;
+        this.levelListEl = dialogElement.querySelector(".priority-level-list");
+        this.addLevelBtn = dialogElement.querySelector(".add-priority-btn");
+        this.submitButton = dialogElement.querySelector(".submit-button");
+        this.cancelButton = dialogElement.querySelector(".cancel-button");
+
+        /**
+         * Callback when the edited levels are saved.
+         * @type {(levels: Array<{id: string|null, name: string, color: string, weight: number}>) => void}
+         */
+        this._onSubmit = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Open the dialog with one row per level.
+     * @param {Array<{id: string, name: string, color: string, weight: number}>} levels The current levels.
+     */
+    open(levels) {
+        this.levelListEl.innerHTML = "";
+        levels.forEach((level) => this.levelListEl.appendChild(this._createLevelRow(level)));
+        this._updateRemoveButtons();
+        this.dialogElement.showModal();
+    }
+
+    close() {
+        this.dialogElement.close();
+        this.levelListEl.innerHTML = "";
+    }
+
+    setOnSubmit(callback) {
+        this._onSubmit = callback;
+    }
+
+    _setupEventListeners() {
+        this.addLevelBtn.addEventListener("click", () => {
+            const lowestWeight = Math.min(0, ...this._collectLevels().map((level) => level.weight));
+            this.levelListEl.appendChild(
+                this._createLevelRow({ id: null, name: "", color: "#94a3b8", weight: lowestWeight - 1 })
+            );
+            this._updateRemoveButtons();
+        });
+
+        this.levelListEl.addEventListener("click", (event) => {
+            const removeBtn = event.target.closest(".remove-priority-btn");
+            if (!removeBtn) return;
+            removeBtn.closest(".priority-level-row").remove();
+            this._updateRemoveButtons();
+        });
+
+        this.submitButton.addEventListener("click", () => {
+            this._onSubmit?.(this._collectLevels());
+            this.close();
+        });
+
+        this.cancelButton.addEventListener("click", () => {
+            this.close();
+        });
+    }
+
+    /**
+     * Build an editable row for a level. New levels have no id until the model assigns one.
+     * @param {{id: string|null, name: string, color: string, weight: number}} level
+     * @returns {HTMLElement}
+     */
+    _createLevelRow(level) {
+        const row = UIUtils.createElement("li", "priority-level-row");
+        if (level.id) row.dataset.levelId = level.id;
+
+        const nameInput = UIUtils.createElement("input", "priority-name-input");
+        nameInput.type = "text";
+        nameInput.maxLength = 16;
+        nameInput.placeholder = "Name";
+        nameInput.value = level.name;
+
+        const colorInput = UIUtils.createElement("input", "priority-color-input");
+        colorInput.type = "color";
+        colorInput.value = level.color;
+
+        const weightInput = UIUtils.createElement("input", "priority-weight-input");
+        weightInput.type = "number";
+        weightInput.title = "Sort weight";
+        weightInput.value = level.weight;
+
+        const removeBtn = UIUtils.createElement("button", "remove-priority-btn");
+        removeBtn.type = "button";
+        removeBtn.title = "Remove level";
+        removeBtn.appendChild(UIUtils.createSVGFromSpriteSheet("icon", "#icon-delete"));
+
+        row.append(colorInput, nameInput, weightInput, removeBtn);
+        return row;
+    }
+
+    /**
+     * Disable the remove buttons when only one level is left.
+     */
+    _updateRemoveButtons() {
+        const removeBtns = this.levelListEl.querySelectorAll(".remove-priority-btn");
+        removeBtns.forEach((btn) => (btn.disabled = removeBtns.length <= 1));
+    }
+
+    _collectLevels() {
+        return [...this.levelListEl.querySelectorAll(".priority-level-row")].map((row) => ({
+            id: row.dataset.levelId ?? null,
+            name: row.querySelector(".priority-name-input").value.trim(),
+            color: row.querySelector(".priority-color-input").value,
+            weight: Number(row.querySelector(".priority-weight-input").value) || 0,
+        }));
+    }
+}
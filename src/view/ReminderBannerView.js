@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Manages the in-app reminder banners shown when system notifications aren't available
+ * (or when a system notification is clicked).
+ *
+ * Responsibilities:
+ *  - Render one banner per fired reminder with the todo title and due date.
+ *  - Offer snooze actions, forwarding them to the controller, and a dismiss button.
+ *
+ * Exports:
+ *  - ReminderBannerView — Class representing the reminder banner stack.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *
+ * @module ReminderBannerView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+
+// Snooze choices offered on each banner, in minutes
+const SNOOZE_OPTIONS = [
+    { minutes: 10, label: "10 min" },
+    { minutes: 60, label: "1 hour" },
+    { minutes: 24 * 60, label: "Tomorrow" },
+];
+
+export class ReminderBannerView {
+    /**
+     * @param {HTMLElement} container The element banners are stacked in.
+     */
+    constructor(container) {
+        this.container = container;
+
+        /**
+         * Callback when a snooze button is clicked.
+         * @type {(projectId: string, todoId: string, reminderId: string, minutes: number) => void}
+         */
+        this._onSnooze = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Show a banner for a fired reminder (replacing any banner already shown for it).
+     * @param {{projectId: string, todoId: string, reminderId: string, title: string, detail: string}} reminder
+     */
+    show({ projectId, todoId, reminderId, title, detail }) {
+        this.hide(reminderId);
+
+        const banner = UIUtils.createElement("div", "reminder-banner");
+        banner.setAttribute("role", "alert");
+        banner.dataset.projectId = projectId;
+        banner.dataset.todoId = todoId;
+        banner.dataset.reminderId = reminderId;
+
+        const textEl = UIUtils.createElement("div", "reminder-banner-text");
+        textEl.append(
+            UIUtils.createElement("strong", "reminder-banner-title", title),
+            UIUtils.createElement("span", "reminder-banner-detail", detail)
+        );
+
+        const actionsEl = UIUtils.createElement("div", "reminder-banner-actions");
+        SNOOZE_OPTIONS.forEach(({ minutes, label }) => {
+            const snoozeBtn = UIUtils.createElement("button", "snooze-btn", `Snooze ${label}`);
+            snoozeBtn.dataset.minutes = minutes;
+            actionsEl.appendChild(snoozeBtn);
+        });
+        actionsEl.appendChild(UIUtils.createElement("button", "dismiss-btn", "Dismiss"));
+
+        banner.append(textEl, actionsEl);
+        this.container.appendChild(banner);
+    }
+
+    hide(reminderId) {
+        this.container.querySelector(`.reminder-banner[data-reminder-id="${reminderId}"]`)?.remove();
+    }
+
+    setOnSnooze(callback) {
+        this._onSnooze = callback;
+    }
+
+    _setupEventListeners() {
+        this.container.addEventListener("click", (event) => {
+            const banner = event.target.closest(".reminder-banner");
+            if (!banner) return;
+
+            const { projectId, todoId, reminderId } = banner.dataset;
+            const snoozeBtn = event.target.closest(".snooze-btn");
+            const dismissBtn = event.target.closest(".dismiss-btn");
+
+            if (snoozeBtn) this._onSnooze?.(projectId, todoId, reminderId, Number(snoozeBtn.dataset.minutes));
+            if (snoozeBtn || dismissBtn) banner.remove();
+        });
+    }
+}
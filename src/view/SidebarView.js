@@ -2,8 +2,14 @@
  * @fileoverview Manages rendering and interactions for the sidebar project list.
  *
  * Responsibilities:
- *  - Render a list of projects and highlight the active project.
- *  - Emit events when a project is selected (click).
+ *  - Render the project hierarchy as a collapsible tree, each project with its own icon and colour, and
+ *    highlight the active project.
+ *  - Emit events when a project is selected (click) or a project's sub-projects are collapsed/expanded.
+ *  - Let projects be reordered among their siblings by dragging their handle (or with Alt+ArrowUp/Down).
+ *  - Emit an event when the settings button is clicked.
+ *  - Render the "Tags" section listing every registered tag, and emit events when a tag is selected.
+ *  - Show how many items are in the trash, and emit an event when the trash button is clicked.
+ *  - Emit events when the export or import button is clicked.
  *  - Remain decoupled from the underlying data model; receives data via arguments.
  *
  * Exports:
@@ -11,11 +17,15 @@
  *
  * Dependencies:
  *  - UIUtils
+ *  - SortableList
+ *  - getProjectIconHref from '../model/ProjectAppearance.js'
  *
  * @module SidebarView
  */
 
 import { UIUtils } from "../utils/UIUtils.js";
+import { SortableList } from "./SortableList.js";
+import { getProjectIconHref } from "../model/ProjectAppearance.js";
 
 export class SidebarView {
     /**
@@ -25,28 +35,94 @@ export class SidebarView {
         this.container = container;
         this.projectListEl = container.querySelector(".sidebar-project-list");
         this.createProjectBtn = container.querySelector(".create-project-btn");
+        this.tagListEl = container.querySelector(".sidebar-tag-list");
+        this.settingsBtn = container.querySelector(".settings-btn");
+        this.trashBtn = container.querySelector(".trash-btn");
+        this.trashCountEl = container.querySelector(".trash-count");
+        this.exportBtn = container.querySelector(".export-btn");
+        this.importBtn = container.querySelector(".import-btn");
         /**
          * Callback set by the controller to respond to project selection.
          * @type {(projectId: string) => void}
          */
         this._onProjectSelected = null;
 
+        /**
+         * Callback set by the controller to respond to a project's collapse/expand button.
+         * @type {(projectId: string) => void}
+         */
+        this._onProjectCollapseToggled = null;
+
         /**
          * Callback set by the controller to respond to project creation.
          * @type {() => void}
          */
         this._onCreateProjectClicked = null;
 
+        /**
+         * Callback set by the controller to respond to tag selection.
+         * @type {(tagName: string) => void}
+         */
+        this._onTagSelected = null;
+
+        /**
+         * Callback set by the controller to open the settings dialog.
+         * @type {() => void}
+         */
+        this._onSettingsClicked = null;
+
+        /**
+         * Callback set by the controller to open the trash.
+         * @type {() => void}
+         */
+        this._onTrashClicked = null;
+
+        /**
+         * Callback set by the controller to export all data.
+         * @type {() => void}
+         */
+        this._onExportClicked = null;
+
+        /**
+         * Callback set by the controller to open the import dialog.
+         * @type {() => void}
+         */
+        this._onImportClicked = null;
+
+        /**
+         * Callback set by the controller to respond to a project being dropped next to one of its siblings.
+         * @type {(projectId: string, targetProjectId: string, placement: "before"|"after") => void}
+         */
+        this._onProjectReordered = null;
+
+        this._sortable = new SortableList(this.projectListEl, {
+            itemSelector: ".project-node",
+            handleSelector: ".drag-handle",
+            getItemId: (nodeEl) => nodeEl.dataset.projectId,
+            onReorder: (projectId, targetProjectId, placement) =>
+                this._onProjectReordered?.(projectId, targetProjectId, placement),
+        });
+
         this._setupEventListeners();
     }
 
     /**
-     * Render the sidebar project list.
-     * @param {Array<{id: string, name: string}>} projects List of projects to render.
+     * Render the sidebar project tree.
+     * @param {Array<{id: string, name: string, color: string|null, icon: string, collapsed: boolean,
+     *          children: Array}>} projects Top-level projects to render, each with its sub-projects nested in
+     *        `children`.
      * @param {string} activeProjectId The id of the currently active project.
+     * @param {{tags?: Array<{name: string, color: string, count: number}>, activeTagName?: string,
+     *          trashCount?: number, trashOpen?: boolean}} [meta]
+     *        Tags to list in the "Tags" section and the currently selected tag, if any, plus the number of items
+     *        in the trash and whether the trash is being shown.
      */
-    update(projects, activeProjectId) {
+    update(projects, activeProjectId, meta = {}) {
         this.clear();
+        this._renderTags(meta.tags ?? [], meta.activeTagName);
+
+        this.trashCountEl.textContent = String(meta.trashCount ?? 0);
+        this.trashBtn.classList.toggle("project--selected", !!meta.trashOpen);
 
         if (projects.length === 0) {
             const emptyMsg = UIUtils.createElement("p", "sidebar-empty-msg", "No projects available. Create one!");
@@ -54,51 +130,176 @@ export class SidebarView {
             return;
         }
 
-        projects.forEach((project) => {
-            const li = document.createElement("li");
-            const projectBtn = UIUtils.createElement("button", "project-btn", project.name);
-            projectBtn.dataset.projectId = project.id;
-            projectBtn.classList.toggle("project--selected", project.id === activeProjectId);
+        const selectedId = meta.activeTagName || meta.trashOpen ? null : activeProjectId;
+        projects.forEach((project) => this.projectListEl.appendChild(this._createProjectNode(project, selectedId)));
+        this._sortable.restoreFocus();
+    }
+
+    /**
+     * Build the list item for a project, with its sub-projects nested below it.
+     * @param {{id: string, name: string, color: string|null, icon: string, collapsed: boolean, children: Array}}
+     *        project
+     * @param {string|null} selectedId The id of the project to highlight.
+     * @returns {HTMLElement}
+     */
+    _createProjectNode(project, selectedId) {
+        const li = UIUtils.createElement("li", "project-node");
+        li.dataset.projectId = project.id;
+        const rowEl = UIUtils.createElement("div", "project-row");
+
+        // Collapse/expand toggle, or an empty spacer so names stay aligned
+        if (project.children.length > 0) {
+            const collapseBtn = UIUtils.createElement("button", "project-collapse-btn");
+            collapseBtn.dataset.projectId = project.id;
+            collapseBtn.title = project.collapsed ? "Show sub-projects" : "Hide sub-projects";
+            collapseBtn.setAttribute("aria-expanded", String(!project.collapsed));
+            const chevronId = project.collapsed ? "#icon-chevron-right" : "#icon-chevron-down";
+            collapseBtn.appendChild(UIUtils.createSVGFromSpriteSheet("icon", chevronId));
+            rowEl.appendChild(collapseBtn);
+        } else {
+            rowEl.appendChild(UIUtils.createElement("span", "project-collapse-spacer"));
+        }
+
+        const projectBtn = UIUtils.createElement("button", "project-btn", project.name);
+        projectBtn.dataset.projectId = project.id;
+        projectBtn.classList.toggle("project--selected", project.id === selectedId);
+
+        const svg = UIUtils.createSVGFromSpriteSheet(["icon", "project-icon"], getProjectIconHref(project.icon));
+        if (project.color) svg.style.color = project.color;
+        projectBtn.prepend(svg);
 
-            const svg = UIUtils.createSVGFromSpriteSheet("icon", "#icon-project");
+        const dragHandle = UIUtils.createElement("button", "drag-handle");
+        dragHandle.title = `Drag to reorder ${project.name} (Alt+↑/↓)`;
+        dragHandle.appendChild(UIUtils.createSVGFromSpriteSheet("icon", "#icon-drag"));
 
-            projectBtn.prepend(svg);
+        rowEl.append(projectBtn, dragHandle);
+        li.appendChild(rowEl);
 
-            li.appendChild(projectBtn);
+        if (project.children.length > 0) {
+            const childListEl = UIUtils.createElement("ul", "project-children");
+            childListEl.hidden = project.collapsed;
+            project.children.forEach((child) => childListEl.appendChild(this._createProjectNode(child, selectedId)));
+            li.appendChild(childListEl);
+        }
+
+        return li;
+    }
+
+    /**
+     * Render the "Tags" section.
+     * @param {Array<{name: string, color: string, count: number}>} tags Tags to list.
+     * @param {string} [activeTagName] Name of the currently selected tag.
+     */
+    _renderTags(tags, activeTagName) {
+        if (tags.length === 0) {
+            const emptyMsg = UIUtils.createElement("p", "sidebar-empty-msg", "No tags yet. Add some to a todo!");
+            this.tagListEl.appendChild(emptyMsg);
+            return;
+        }
+
+        tags.forEach((tag) => {
+            const li = document.createElement("li");
+            const tagBtn = UIUtils.createElement("button", "tag-btn");
+            tagBtn.dataset.tagName = tag.name;
+            tagBtn.classList.toggle("tag--selected", tag.name === activeTagName);
 
-            this.projectListEl.appendChild(li);
+            const swatch = UIUtils.createElement("span", "tag-swatch");
+            swatch.style.backgroundColor = tag.color;
+            const nameEl = UIUtils.createElement("span", "tag-name", `#${tag.name}`);
+            const countEl = UIUtils.createElement("span", "tag-count", String(tag.count));
+
+            tagBtn.append(swatch, nameEl, countEl);
+            li.appendChild(tagBtn);
+            this.tagListEl.appendChild(li);
         });
     }
 
     /**
-     * Set up event listeners for project selection.
+     * Set up event listeners for project and tag selection.
      */
     _setupEventListeners() {
         this.projectListEl.addEventListener("click", (event) => {
-            const button = event.target.closest("button");
+            const collapseBtn = event.target.closest(".project-collapse-btn");
+            if (collapseBtn) {
+                this._onProjectCollapseToggled?.(collapseBtn.dataset.projectId);
+                return;
+            }
+
+            const button = event.target.closest(".project-btn");
             if (!button) return;
             if (this._onProjectSelected) {
                 this._onProjectSelected(button.dataset.projectId);
             }
         });
 
+        this.tagListEl.addEventListener("click", (event) => {
+            const button = event.target.closest(".tag-btn");
+            if (!button) return;
+            this._onTagSelected?.(button.dataset.tagName);
+        });
+
         this.createProjectBtn.addEventListener("click", () => {
             this._onCreateProjectClicked();
         });
+
+        this.settingsBtn.addEventListener("click", () => {
+            this._onSettingsClicked?.();
+        });
+
+        this.trashBtn.addEventListener("click", () => {
+            this._onTrashClicked?.();
+        });
+
+        this.exportBtn.addEventListener("click", () => {
+            this._onExportClicked?.();
+        });
+
+        this.importBtn.addEventListener("click", () => {
+            this._onImportClicked?.();
+        });
     }
 
     setOnProjectSelected(callback) {
         this._onProjectSelected = callback;
     }
 
+    setOnProjectCollapseToggled(callback) {
+        this._onProjectCollapseToggled = callback;
+    }
+
     setOnCreateProjectClicked(callback) {
         this._onCreateProjectClicked = callback;
     }
 
+    setOnTagSelected(callback) {
+        this._onTagSelected = callback;
+    }
+
+    setOnSettingsClicked(callback) {
+        this._onSettingsClicked = callback;
+    }
+
+    setOnTrashClicked(callback) {
+        this._onTrashClicked = callback;
+    }
+
+    setOnExportClicked(callback) {
+        this._onExportClicked = callback;
+    }
+
+    setOnImportClicked(callback) {
+        this._onImportClicked = callback;
+    }
+
+    setOnProjectReordered(callback) {
+        this._onProjectReordered = callback;
+    }
+
     /**
      * Helper to clear the sidebar.
      */
     clear() {
         this.projectListEl.innerHTML = "";
+        this.tagListEl.innerHTML = "";
     }
 }
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Adds drag-and-drop reordering to a list rendered by a view, with the pointer or the keyboard.
+ *
+ * Responsibilities:
+ *  - Start a drag when a handle is pressed and moved a few pixels (so plain clicks on the handle still work),
+ *    marking where the item would land with `sortable-drop--before` / `sortable-drop--after` on the target item.
+ *  - Only offer targets that are siblings of the dragged item (nested lists are reordered within their own level)
+ *    and that the view accepts via `canDrop`.
+ *  - Optionally accept drops on elements outside the list (e.g. sidebar projects), marked with
+ *    `sortable-drop--target`.
+ *  - Move the focused item up or down with Alt+ArrowUp / Alt+ArrowDown, and put the focus back on its handle after
+ *    the view re-renders (`restoreFocus()`).
+ *  - Cancel a drag with Escape.
+ *  - Stay decoupled from the data model: the view is told which item moved where through callbacks.
+ *
+ * Exports:
+ *  - SortableList — Class that makes the items of one list element sortable.
+ *
+ * Example usage:
+ *  const sortable = new SortableList(listEl, {
+ *      itemSelector: ".todo-item",
+ *      handleSelector: ".drag-handle",
+ *      getItemId: (itemEl) => itemEl.dataset.todoId,
+ *      onReorder: (todoId, targetTodoId, placement) => console.log(todoId, placement, targetTodoId),
+ *  });
+ *  // after every render of the list:
+ *  sortable.restoreFocus();
+ *
+ * @module SortableList
+ */
+
+// How far the pointer must move before a press on a handle becomes a drag
+const DRAG_THRESHOLD_PX = 5;
+
+export class SortableList {
+    /**
+     * @param {HTMLElement} listEl The element the items are rendered into.
+     * @param {{itemSelector: string, handleSelector: string, getItemId: (itemEl: HTMLElement) => string,
+     *          canDrop?: (itemEl: HTMLElement, targetEl: HTMLElement) => boolean,
+     *          onReorder: (itemId: string, targetId: string, placement: "before"|"after") => void,
+     *          dropTargetSelector?: string,
+     *          onDropOnTarget?: (itemId: string, dropTargetEl: HTMLElement) => void}} options
+     *        `dropTargetSelector` / `onDropOnTarget` handle drops on elements outside the list.
+     */
+    constructor(listEl, options) {
+        this.listEl = listEl;
+        this._itemSelector = options.itemSelector;
+        this._handleSelector = options.handleSelector;
+        this._getItemId = options.getItemId;
+        this._canDrop = options.canDrop ?? (() => true);
+        this._onReorder = options.onReorder;
+        this._dropTargetSelector = options.dropTargetSelector ?? null;
+        this._onDropOnTarget = options.onDropOnTarget ?? null;
+
+        this._drag = null; // { itemEl, pointerId, startX, startY, active, target }
+        this._focusItemId = null; // item moved with the keyboard, whose handle gets the focus back after rendering
+
+        this._handlePointerMove = (event) => this._onPointerMove(event);
+        this._handlePointerUp = (event) => this._onPointerUp(event);
+        this._handlePointerCancel = () => this._endDrag();
+        this._handleDragKeydown = (event) => {
+            if (event.key === "Escape") this._endDrag();
+        };
+
+        this.listEl.addEventListener("pointerdown", (event) => this._onPointerDown(event));
+        this.listEl.addEventListener("keydown", (event) => this._onKeydown(event));
+    }
+
+    /**
+     * Focus the handle of the item last moved with the keyboard, if it is still in the list.
+     */
+    restoreFocus() {
+        if (!this._focusItemId) return;
+
+        const itemEl = this._getItems().find((el) => this._getItemId(el) === this._focusItemId);
+        this._focusItemId = null;
+        itemEl?.querySelector(this._handleSelector)?.focus();
+    }
+
+    _getItems() {
+        return [...this.listEl.querySelectorAll(this._itemSelector)];
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0 || this._drag) return;
+
+        const handle = event.target.closest(this._handleSelector);
+        const itemEl = handle?.closest(this._itemSelector);
+        if (!itemEl || !this.listEl.contains(itemEl)) return;
+
+        this._drag = {
+            itemEl,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            active: false,
+            target: null,
+        };
+        document.addEventListener("pointermove", this._handlePointerMove);
+        document.addEventListener("pointerup", this._handlePointerUp);
+        document.addEventListener("pointercancel", this._handlePointerCancel);
+        document.addEventListener("keydown", this._handleDragKeydown);
+    }
+
+    _onPointerMove(event) {
+        const drag = this._drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        if (!drag.active) {
+            const distance = Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY);
+            if (distance < DRAG_THRESHOLD_PX) return;
+            drag.active = true;
+            drag.itemEl.classList.add("sortable-item--dragging");
+            document.body.classList.add("sortable-dragging");
+        }
+
+        event.preventDefault();
+        this._clearDropMarkers();
+        drag.target = this._findDropTarget(document.elementFromPoint(event.clientX, event.clientY), event.clientY);
+        if (!drag.target) return;
+
+        if (drag.target.placement) {
+            drag.target.el.classList.add(`sortable-drop--${drag.target.placement}`);
+        } else {
+            drag.target.el.classList.add("sortable-drop--target");
+        }
+    }
+
+    _onPointerUp(event) {
+        const drag = this._drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        this._endDrag();
+        if (!drag.active) return;
+
+        // A drag that ends over a button must not also count as a click on it
+        const suppressClick = (clickEvent) => clickEvent.stopPropagation();
+        window.addEventListener("click", suppressClick, { capture: true, once: true });
+        setTimeout(() => window.removeEventListener("click", suppressClick, { capture: true }));
+
+        const itemId = this._getItemId(drag.itemEl);
+        const target = drag.target;
+        if (!target) return;
+
+        if (target.placement) {
+            this._onReorder(itemId, this._getItemId(target.el), target.placement);
+        } else {
+            this._onDropOnTarget?.(itemId, target.el);
+        }
+    }
+
+    /**
+     * Stop dragging, leaving everything where it was.
+     */
+    _endDrag() {
+        if (!this._drag) return;
+
+        this._drag.itemEl.classList.remove("sortable-item--dragging");
+        document.body.classList.remove("sortable-dragging");
+        this._clearDropMarkers();
+        this._drag = null;
+
+        document.removeEventListener("pointermove", this._handlePointerMove);
+        document.removeEventListener("pointerup", this._handlePointerUp);
+        document.removeEventListener("pointercancel", this._handlePointerCancel);
+        document.removeEventListener("keydown", this._handleDragKeydown);
+    }
+
+    /**
+     * Work out what the dragged item would be dropped on.
+     * @param {Element|null} el The element under the pointer.
+     * @param {number} clientY The pointer's vertical position.
+     * @returns {{el: HTMLElement, placement?: "before"|"after"}|null} A sibling item with the side to drop on
+     *          (judged against the item's first row, so expanded items aren't harder to drop after), an outside
+     *          drop target (no placement), or null.
+     */
+    _findDropTarget(el, clientY) {
+        if (!el) return null;
+        const { itemEl } = this._drag;
+
+        if (this._dropTargetSelector && this._onDropOnTarget) {
+            const dropTargetEl = el.closest(this._dropTargetSelector);
+            if (dropTargetEl && !this.listEl.contains(dropTargetEl)) return { el: dropTargetEl };
+        }
+
+        // Climb out of nested lists until we reach an item on the same level as the dragged one
+        let targetEl = el.closest(this._itemSelector);
+        while (targetEl && targetEl.parentElement !== itemEl.parentElement) {
+            targetEl = targetEl.parentElement?.closest(this._itemSelector) ?? null;
+        }
+        if (!targetEl || targetEl === itemEl || !this._canDrop(itemEl, targetEl)) return null;
+
+        const rect = (targetEl.firstElementChild ?? targetEl).getBoundingClientRect();
+        return { el: targetEl, placement: clientY < rect.top + rect.height / 2 ? "before" : "after" };
+    }
+
+    _clearDropMarkers() {
+        const markers = ["sortable-drop--before", "sortable-drop--after", "sortable-drop--target"];
+        document
+            .querySelectorAll(markers.map((marker) => `.${marker}`).join(", "))
+            .forEach((el) => el.classList.remove(...markers));
+    }
+
+    /**
+     * Alt+ArrowUp / Alt+ArrowDown on a handle swaps its item with the previous / next droppable sibling.
+     * @param {KeyboardEvent} event
+     */
+    _onKeydown(event) {
+        if (!event.altKey || (event.key !== "ArrowUp" && event.key !== "ArrowDown")) return;
+
+        const handle = event.target.closest(this._handleSelector);
+        const itemEl = handle?.closest(this._itemSelector);
+        if (!itemEl || !this.listEl.contains(itemEl)) return;
+        event.preventDefault();
+
+        const up = event.key === "ArrowUp";
+        let siblingEl = up ? itemEl.previousElementSibling : itemEl.nextElementSibling;
+        while (siblingEl && (!siblingEl.matches(this._itemSelector) || !this._canDrop(itemEl, siblingEl))) {
+            siblingEl = up ? siblingEl.previousElementSibling : siblingEl.nextElementSibling;
+        }
+        if (!siblingEl) return;
+
+        this._focusItemId = this._getItemId(itemEl);
+        this._onReorder(this._focusItemId, this._getItemId(siblingEl), up ? "before" : "after");
+    }
+}
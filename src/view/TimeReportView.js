@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Manages the time report dialog, which shows the time logged in a project per day.
+ *
+ * Responsibilities:
+ *  - Render one table row per day with the day's total and a breakdown by todo.
+ *  - Show a message instead of the table when no time has been logged.
+ *  - Open and close the report <dialog>.
+ *
+ * Exports:
+ *  - TimeReportView — Class representing the time report dialog.
+ *
+ * Dependencies:
+ *  - TableUtils
+ *  - DateUtils
+ *
+ * Example usage:
+ *  const report = new TimeReportView(document.querySelector("#time-report-dialog"));
+ *  report.open(project.getName(), project.getTimeReport());
+ *
+ * @module TimeReportView
+ */
+
+import { initTable, clearTableBody } from "../utils/TableUtils.js";
+import { formatDueDate, formatDuration } from "../utils/DateUtils.js";
+
+export class TimeReportView {
+    /**
+     * @param {HTMLDialogElement} dialogElement The time report <dialog>.
+     */
+    constructor(dialogElement) {
+        this.dialogElement = dialogElement;
+        this.headingEl = dialogElement.querySelector(".time-report-heading");
+        this.tableEl = dialogElement.querySelector("table");
+        this.emptyMsgEl = dialogElement.querySelector(".time-report-empty-msg");
+        this.closeButtons = dialogElement.querySelectorAll(".cancel-button, .submit-button");
+
+        this.closeButtons.forEach((btn) => btn.addEventListener("click", () => this.close()));
+    }
+
+    /**
+     * Render and open the report.
+     * @param {string} projectName Name of the project being reported on.
+     * @param {Array<{day: Date, totalMs: number, todos: Array<{id: string, title: string, ms: number}>}>} report
+     *        The per-day summary from `Project.getTimeReport()`.
+     */
+    open(projectName, report) {
+        this.headingEl.textContent = `Time Report: ${projectName}`;
+
+        const rows = report.map(({ day, totalMs, todos }) => ({
+            Date: formatDueDate(day),
+            Total: formatDuration(totalMs),
+            Todos: todos.map(({ title, ms }) => `${title} (${formatDuration(ms)})`).join(", "),
+        }));
+
+        if (rows.length === 0) {
+            if (this.tableEl.querySelector("tbody")) clearTableBody(this.tableEl);
+            this.tableEl.hidden = true;
+            this.emptyMsgEl.hidden = false;
+        } else {
+            this.tableEl.hidden = false;
+            this.emptyMsgEl.hidden = true;
+            initTable(this.tableEl.id, rows);
+        }
+
+        this.dialogElement.showModal();
+    }
+
+    close() {
+        this.dialogElement.close();
+    }
+}
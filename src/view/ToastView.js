@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Manages the transient toast shown after an action, e.g. "Todo deleted · Undo".
+ *
+ * Responsibilities:
+ *  - Show a short message with an optional action button, replacing any toast already shown.
+ *  - Hide the toast automatically after a few seconds.
+ *  - Emit an event when the action button is clicked.
+ *
+ * Exports:
+ *  - ToastView — Class representing the toast.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *
+ * Example usage:
+ *  const toast = new ToastView(document.querySelector(".toast-container"));
+ *  toast.setOnAction(() => undo());
+ *  toast.show("Todo deleted", "Undo");
+ *
+ * @module ToastView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+
+const TOAST_DURATION_MS = 6000;
+
+export class ToastView {
+    /**
+     * @param {HTMLElement} container The element the toast is rendered in.
+     */
+    constructor(container) {
+        this.container = container;
+        this._hideTimeoutId = null;
+
+        /**
+         * Callback when the toast's action button is clicked.
+         * @type {() => void}
+         */
+        this._onAction = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * @param {string} message
+     * @param {string} [actionLabel] Label of the action button; no button is shown without one.
+     */
+    show(message, actionLabel) {
+        this.hide();
+
+        const toastEl = UIUtils.createElement("div", "toast");
+        toastEl.setAttribute("role", "status");
+        toastEl.appendChild(UIUtils.createElement("span", "toast-message", message));
+        if (actionLabel) toastEl.appendChild(UIUtils.createElement("button", "toast-action-btn", actionLabel));
+
+        this.container.appendChild(toastEl);
+        this._hideTimeoutId = setTimeout(() => this.hide(), TOAST_DURATION_MS);
+    }
+
+    hide() {
+        clearTimeout(this._hideTimeoutId);
+        this.container.innerHTML = "";
+    }
+
+    setOnAction(callback) {
+        this._onAction = callback;
+    }
+
+    _setupEventListeners() {
+        this.container.addEventListener("click", (event) => {
+            if (!event.target.closest(".toast-action-btn")) return;
+            this.hide();
+            this._onAction?.();
+        });
+    }
+}
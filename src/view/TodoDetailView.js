@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Manages the todo detail panel, which shows a todo's comment thread and activity log.
+ *
+ * Responsibilities:
+ *  - Show the todo's description, rendered from Markdown, and when it was created, last updated and completed.
+ *  - Render the todo's comments (oldest first) with their timestamps and a delete button each.
+ *  - Collect new comments from the comment form and pass them to the controller.
+ *  - Render the activity log (newest first) as readable sentences, e.g. "Due date moved from 01/11/2025 to
+ *    03/11/2025".
+ *  - Re-render in place while open, so changes made elsewhere (or undone) show up immediately.
+ *  - Open and close the panel <dialog>.
+ *
+ * Exports:
+ *  - TodoDetailView — Class representing the todo detail panel.
+ *
+ * Dependencies:
+ *  - UIUtils
+ *  - DateUtils
+ *  - MarkdownUtils
+ *  - ActivityTypes from '../model/ActivityEntry.js'
+ *
+ * Example usage:
+ *  const detail = new TodoDetailView(document.querySelector("#todo-detail-dialog"));
+ *  detail.setOnCommentAdded((todoId, text) => projectManager.findTodo(todoId)?.todo.addComment(text));
+ *  detail.open(todo, { priorities: projectManager.getPriorities() });
+ *
+ * @module TodoDetailView
+ */
+
+import { UIUtils } from "../utils/UIUtils.js";
+import { formatDeadline, formatDateTime, formatTodoTimestamps } from "../utils/DateUtils.js";
+import { ActivityTypes } from "../model/ActivityEntry.js";
+import { renderMarkdown } from "../utils/MarkdownUtils.js";
+
+/**
+ * The log only records the deadline's moment, so one falling exactly on midnight is shown as a whole day.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLoggedDeadline(date) {
+    const hasTime = date.getHours() !== 0 || date.getMinutes() !== 0;
+    return formatDeadline(date, hasTime);
+}
+
+export class TodoDetailView {
+    /**
+     * @param {HTMLDialogElement} dialogElement The todo detail <dialog>.
+     */
+    constructor(dialogElement) {
+        this.dialogElement = dialogElement;
+        this.titleEl = dialogElement.querySelector(".todo-detail-title");
+        this.descriptionEl = dialogElement.querySelector(".todo-detail-description");
+        this.timestampsEl = dialogElement.querySelector(".todo-detail-timestamps");
+        this.commentListEl = dialogElement.querySelector(".comment-list");
+        this.commentForm = dialogElement.querySelector(".comment-form");
+        this.commentInput = dialogElement.querySelector(".comment-input");
+        this.activityListEl = dialogElement.querySelector(".activity-list");
+        this.closeButtons = dialogElement.querySelectorAll(".cancel-button, .submit-button");
+
+        /** Id of the todo being shown */
+        this._todoId = null;
+
+        /**
+         * Callback when a comment is submitted.
+         * @type {(todoId: string, text: string) => void}
+         */
+        this._onCommentAdded = null;
+
+        /**
+         * Callback when a comment's delete button is clicked.
+         * @type {(todoId: string, commentId: string) => void}
+         */
+        this._onCommentDeleted = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Render and open the panel for a todo.
+     * @param {Todo} todo
+     * @param {{priorities: Array<{id: string, name: string}>}} meta Priority levels, to name priority changes.
+     */
+    open(todo, meta) {
+        this._todoId = todo.id;
+        this.commentInput.value = "";
+        this.update(todo, meta);
+        this.dialogElement.showModal();
+    }
+
+    /**
+     * Re-render the panel's contents.
+     * @param {Todo} todo
+     * @param {{priorities: Array<{id: string, name: string}>}} meta
+     */
+    update(todo, { priorities = [] } = {}) {
+        this.titleEl.textContent = todo.title;
+        this.descriptionEl.replaceChildren(renderMarkdown(todo.description));
+        this.descriptionEl.hidden = !todo.description;
+        this.timestampsEl.textContent = formatTodoTimestamps(todo);
+
+        this.commentListEl.innerHTML = "";
+        if (todo.comments.length === 0) {
+            this.commentListEl.appendChild(UIUtils.createElement("li", "comment-empty-msg", "No comments yet."));
+        }
+        todo.comments.forEach((comment) => this.commentListEl.appendChild(this._createCommentItem(comment)));
+
+        this.activityListEl.innerHTML = "";
+        [...todo.activity].reverse().forEach((entry) => {
+            const li = UIUtils.createElement("li", "activity-item");
+            li.append(
+                UIUtils.createElement("span", "activity-text", this._describeActivity(entry, priorities)),
+                UIUtils.createElement("span", "activity-time", formatDateTime(entry.at))
+            );
+            this.activityListEl.appendChild(li);
+        });
+    }
+
+    close() {
+        this.dialogElement.close();
+    }
+
+    isOpen() {
+        return this.dialogElement.open;
+    }
+
+    getTodoId() {
+        return this._todoId;
+    }
+
+    setOnCommentAdded(callback) {
+        this._onCommentAdded = callback;
+    }
+
+    setOnCommentDeleted(callback) {
+        this._onCommentDeleted = callback;
+    }
+
+    _setupEventListeners() {
+        this.closeButtons.forEach((btn) => btn.addEventListener("click", () => this.close()));
+
+        this.commentForm.addEventListener("submit", (event) => {
+            event.preventDefault();
+            const text = this.commentInput.value.trim();
+            if (text === "") return;
+
+            this.commentInput.value = "";
+            this._onCommentAdded?.(this._todoId, text);
+        });
+
+        this.commentListEl.addEventListener("click", (event) => {
+            const deleteBtn = event.target.closest(".comment-delete-btn");
+            if (!deleteBtn) return;
+            this._onCommentDeleted?.(this._todoId, deleteBtn.closest(".comment-item").dataset.commentId);
+        });
+    }
+
+    /**
+     * @param {{id: string, text: string, createdAt: Date}} comment
+     * @returns {HTMLElement}
+     */
+    _createCommentItem(comment) {
+        const li = UIUtils.createElement("li", "comment-item");
+        li.dataset.commentId = comment.id;
+
+        const headerEl = UIUtils.createElement("div", "comment-header");
+        const deleteBtn = UIUtils.createElement("button", "comment-delete-btn");
+        deleteBtn.type = "button";
+        deleteBtn.title = "Delete comment";
+        deleteBtn.appendChild(UIUtils.createSVGFromSpriteSheet("icon", "#icon-delete"));
+        headerEl.append(UIUtils.createElement("span", "comment-time", formatDateTime(comment.createdAt)), deleteBtn);
+
+        li.append(headerEl, UIUtils.createElement("p", "comment-text", comment.text));
+        return li;
+    }
+
+    /**
+     * @param {{type: string, from: *, to: *}} entry
+     * @param {Array<{id: string, name: string}>} priorities
+     * @returns {string} A sentence describing the change.
+     */
+    _describeActivity(entry, priorities) {
+        const priorityName = (id) => priorities.find((level) => level.id === id)?.name ?? id;
+
+        switch (entry.type) {
+            case ActivityTypes.CREATED:
+                return "Created";
+            case ActivityTypes.RENAMED:
+                return `Renamed from "${entry.from}" to "${entry.to}"`;
+            case ActivityTypes.PRIORITY_CHANGED:
+                return `Priority changed from ${priorityName(entry.from)} to ${priorityName(entry.to)}`;
+            case ActivityTypes.DUE_DATE_CHANGED:
+                if (!entry.from) return `Due date set to ${formatLoggedDeadline(entry.to)}`;
+                if (!entry.to) return `Due date removed (was ${formatLoggedDeadline(entry.from)})`;
+                return `Due date moved from ${formatLoggedDeadline(entry.from)} to ${formatLoggedDeadline(entry.to)}`;
+            case ActivityTypes.COMPLETED:
+                return "Marked as done";
+            case ActivityTypes.REOPENED:
+                return "Reopened";
+            default:
+                return entry.type;
+        }
+    }
+}
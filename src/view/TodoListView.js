@@ -2,10 +2,20 @@
  * @fileoverview Manages rendering and interactions for the Todo List section.
  *
  * Responsibilities:
- *  - Render the project title at the top of the page.
+ *  - Render the project title, with the project's icon in its colour, at the top of the page. Todos listed
+ *    outside their own project (rolled up or by tag) are labelled with their project's name and icon.
  *  - Render todos in the Todo List container.
  *  - Toggle the "completed" state via checkmark button (UI only; controller handles model).
  *  - Expand/collapse individual todos when requested.
+ *  - Render each todo's checklist and progress, forwarding checklist interactions to the controller.
+ *  - Render tag chips on each todo, and a cross-project view of every todo carrying a given tag.
+ *  - Mark todos that are blocked by unfinished todos.
+ *  - Show tracked vs estimated time with a start/stop timer button, ticking running timers in place.
+ *  - Let todos be reordered by dragging their handle (or with Alt+ArrowUp/Down), or dragged onto a sidebar project
+ *    to move them there.
+ *  - Render todo descriptions as (sanitized) Markdown.
+ *  - List a todo's attachments in its expanded area, with thumbnails for images (loaded through the attachment
+ *    loader set by the controller) and download/remove buttons.
  *
  * Exports:
  *  - TodoListView — Class representing the todo list UI component.
@@ -13,12 +23,38 @@
  * Dependencies:
  *  - UIUtils
  *  - DateUtils
+ *  - SortableList
+ *  - TodoSortOrders, TODO_SORT_LABELS from '../model/TodoSort.js'
+ *  - formatFileSize from '../model/Attachment.js'
+ *  - getProjectIconHref from '../model/ProjectAppearance.js'
+ *  - renderMarkdown from '../utils/MarkdownUtils.js'
  *
  * @module TodoListView
  */
 
 import { UIUtils } from "../utils/UIUtils.js";
-import { formatDueDate } from "../utils/DateUtils.js";
+import {
+    formatDueDate,
+    formatDateTime,
+    formatRecurrence,
+    formatDuration,
+    formatTodoTimestamps,
+    formatDeadline,
+    getDueStatus,
+    isOverdue,
+    isDueToday,
+} from "../utils/DateUtils.js";
+import { SortableList } from "./SortableList.js";
+import { TodoSortOrders, TODO_SORT_LABELS } from "../model/TodoSort.js";
+import { getProjectIconHref } from "../model/ProjectAppearance.js";
+import { formatFileSize } from "../model/Attachment.js";
+import { renderMarkdown } from "../utils/MarkdownUtils.js";
+
+// How often the tracked time of running timers (and whether todos are overdue) is refreshed on screen
+const TIMER_REFRESH_INTERVAL_MS = 15 * 1000;
+
+// Sidebar project buttons, onto which todos can be dropped to move them
+const PROJECT_DROP_TARGET_SELECTOR = ".sidebar .project-btn";
 
 export class TodoListView {
     /**
@@ -78,7 +114,170 @@ export class TodoListView {
          */
         this._onCreateTodoClicked = null;
 
+        /**
+         * Callback when a checklist item's checkbox is clicked.
+         * @type {(projectId: string, todoId: string, itemId: string) => void}
+         */
+        this._onChecklistItemToggled = null;
+
+        /**
+         * Callback when a new checklist item is submitted.
+         * @type {(projectId: string, todoId: string, text: string) => void}
+         */
+        this._onChecklistItemAdded = null;
+
+        /**
+         * Callback when a checklist item's remove button is clicked.
+         * @type {(projectId: string, todoId: string, itemId: string) => void}
+         */
+        this._onChecklistItemRemoved = null;
+
+        /**
+         * Callback when a checklist item's move up/down button is clicked.
+         * @type {(projectId: string, todoId: string, itemId: string, toIndex: number) => void}
+         */
+        this._onChecklistItemMoved = null;
+
+        /**
+         * Callback when a new colour is picked for the tag being browsed.
+         * @type {(tagName: string, color: string) => void}
+         */
+        this._onTagColorChanged = null;
+
+        /**
+         * Callback when the delete button of the tag being browsed is clicked.
+         * @type {(tagName: string) => void}
+         */
+        this._onDeleteTagClicked = null;
+
+        /**
+         * Callback when a todo's start/stop timer button is clicked.
+         * @type {(projectId: string, todoId: string) => void}
+         */
+        this._onTodoTimerToggled = null;
+
+        /**
+         * Callback when a todo's move/copy button is clicked.
+         * @type {(projectId: string, todoId: string) => void}
+         */
+        this._onMoveTodoClicked = null;
+
+        /**
+         * Callback when a todo's comments & activity button is clicked.
+         * @type {(projectId: string, todoId: string) => void}
+         */
+        this._onTodoDetailsClicked = null;
+
+        /**
+         * Callback when an attachment's download button is clicked.
+         * @type {(projectId: string, todoId: string, attachmentId: string) => void}
+         */
+        this._onAttachmentDownloadClicked = null;
+
+        /**
+         * Callback when an attachment's remove button is clicked.
+         * @type {(projectId: string, todoId: string, attachmentId: string) => void}
+         */
+        this._onAttachmentRemoveClicked = null;
+
+        /**
+         * Loads the contents of an attachment, to show image attachments as thumbnails.
+         * @type {(attachmentId: string) => Promise<Blob|null>}
+         */
+        this._loadAttachment = null;
+
+        // Object URLs of the image thumbnails shown by the current render (by attachment id), and of those shown by
+        // the previous one, which are reused or released when the list is rendered again
+        this._thumbnailUrls = new Map();
+        this._staleThumbnailUrls = new Map();
+
+        /**
+         * Callback when the project's "include sub-projects" button is clicked.
+         * @type {(projectId: string) => void}
+         */
+        this._onRollUpToggled = null;
+
+        /**
+         * Callback when the project's "show scheduled todos" button is clicked.
+         * @type {(projectId: string) => void}
+         */
+        this._onShowScheduledToggled = null;
+
+        /**
+         * Callback when a trashed item's restore button is clicked.
+         * @type {(entryId: string) => void}
+         */
+        this._onRestoreTrashItemClicked = null;
+
+        /**
+         * Callback when a trashed item's "delete forever" button is clicked.
+         * @type {(entryId: string) => void}
+         */
+        this._onDeleteTrashItemClicked = null;
+
+        /**
+         * Callback when the "Empty Trash" button is clicked.
+         * @type {() => void}
+         */
+        this._onEmptyTrashClicked = null;
+
+        /**
+         * Callback when the trash retention period is changed.
+         * @type {(days: number) => void}
+         */
+        this._onTrashRetentionChanged = null;
+
+        /**
+         * Callback when the project time report button is clicked.
+         * @type {(projectId: string) => void}
+         */
+        this._onTimeReportClicked = null;
+
+        /**
+         * Callback when the project "save as template" button is clicked.
+         * @type {(projectId: string) => void}
+         */
+        this._onSaveAsTemplateClicked = null;
+
+        /**
+         * Callback when a todo is dropped next to another todo of the same project.
+         * @type {(todoId: string, targetTodoId: string, placement: "before"|"after") => void}
+         */
+        this._onTodoReordered = null;
+
+        /**
+         * Callback when a todo is dropped onto a project in the sidebar.
+         * @type {(todoId: string, projectId: string) => void}
+         */
+        this._onTodoDroppedOnProject = null;
+
+        /**
+         * Callback when a different sort order is picked for the project's todos.
+         * @type {(projectId: string, sortOrder: string) => void}
+         */
+        this._onTodoSortChanged = null;
+
+        // Whether the list is shown in the user's own order; dragging can't reorder a sorted list
+        this._manualOrder = true;
+
+        // Todos can only be reordered within their own project (rolled-up and tag views mix projects)
+        this._sortable = new SortableList(this.todoListEl, {
+            itemSelector: ".todo-item",
+            handleSelector: ".drag-handle",
+            getItemId: (todoEl) => todoEl.dataset.todoId,
+            canDrop: (todoEl, targetEl) =>
+                this._manualOrder && todoEl.dataset.projectId === targetEl.dataset.projectId,
+            onReorder: (todoId, targetTodoId, placement) => this._onTodoReordered?.(todoId, targetTodoId, placement),
+            dropTargetSelector: PROJECT_DROP_TARGET_SELECTOR,
+            onDropOnTarget: (todoId, projectBtn) =>
+                this._onTodoDroppedOnProject?.(todoId, projectBtn.dataset.projectId),
+        });
+
         this._setupEventListeners();
+        setInterval(() => {
+            this._refreshRunningTimers();
+            this._refreshDueDates();
+        }, TIMER_REFRESH_INTERVAL_MS);
     }
 
     /**
@@ -86,23 +285,86 @@ export class TodoListView {
      * @param {title: string} title Project name.
      * @param {isDefault: boolean} isDefault Boolean indicating whether this current project is the user's default
      *                                       project or not
+     * @param {{hasSubProjects?: boolean, rollUp?: boolean, sortOrder?: string, scheduledLaterCount?: number,
+     *          showScheduled?: boolean}} [options] Whether to show the "include sub-projects" toggle, and its state;
+     *        the selected todo sort order; how many todos are scheduled for later (the "show scheduled" toggle is
+     *        only shown when there are some), and whether they are shown.
      */
-    _renderProjectHeading(title, isDefault) {
+    _renderProjectHeading(
+        title,
+        isDefault,
+        {
+            hasSubProjects = false,
+            rollUp = false,
+            sortOrder = TodoSortOrders.MANUAL,
+            scheduledLaterCount = 0,
+            showScheduled = false,
+            color = null,
+            icon,
+        } = {}
+    ) {
+        const projectIcon = this._createProjectIcon("main-project-icon", color, icon);
         const projectTitle = UIUtils.createElement("h2", "main-project-heading", title);
         const starBtn = this._createStarBtn(isDefault);
+        const reportBtn = this._createIconBtn("report-btn", "#icon-clock");
+        reportBtn.title = "Time report";
+        const templateBtn = this._createIconBtn("template-btn", "#icon-template");
+        templateBtn.title = "Save as template";
         const editBtn = this._createEditBtn();
         const deleteBtn = this._createDeleteBtn();
 
-        this.projectHeadingEl.append(projectTitle, starBtn, editBtn, deleteBtn);
+        this.projectHeadingEl.append(projectIcon, projectTitle, starBtn);
+        if (hasSubProjects) {
+            const rollUpBtn = this._createIconBtn("rollup-btn", "#icon-rollup");
+            rollUpBtn.title = rollUp ? "Hide sub-project todos" : "Include sub-project todos";
+            rollUpBtn.setAttribute("aria-pressed", String(rollUp));
+            this.projectHeadingEl.appendChild(rollUpBtn);
+        }
+        if (scheduledLaterCount > 0) {
+            const scheduledBtn = this._createIconBtn("scheduled-btn", "#icon-calendar");
+            scheduledBtn.title = showScheduled
+                ? "Hide todos scheduled for later"
+                : `Show ${scheduledLaterCount} todo(s) scheduled for later`;
+            scheduledBtn.setAttribute("aria-pressed", String(showScheduled));
+            scheduledBtn.appendChild(UIUtils.createElement("span", "scheduled-btn-count", String(scheduledLaterCount)));
+            this.projectHeadingEl.appendChild(scheduledBtn);
+        }
+        this.projectHeadingEl.append(this._createSortSelect(sortOrder), reportBtn, templateBtn, editBtn, deleteBtn);
         this.projectHeadingEl.dataset.projectId = this._currentProjectId;
+        delete this.projectHeadingEl.dataset.tagName;
+    }
+
+    /**
+     * @param {string} sortOrder The selected one of TodoSortOrders.
+     * @returns {HTMLSelectElement}
+     */
+    _createSortSelect(sortOrder) {
+        const select = UIUtils.createElement("select", "todo-sort-select");
+        select.title = "Sort todos";
+        Object.entries(TODO_SORT_LABELS).forEach(([value, label]) => {
+            const option = UIUtils.createElement("option", [], label);
+            option.value = value;
+            option.selected = value === sortOrder;
+            select.appendChild(option);
+        });
+        return select;
     }
 
     /**
      * Render the entire contents of the main container of the app (the todo list)
      * @param {{id: string, name: string,
      *          todos: Array<id: string, title: string, description: string, dueDate: Date,
-     *                       priority: string, completed: boolean>}} project Project instance.
-     * @param {meta: {isDefault: boolean}} meta Metadata to assist the view in rendering
+     *                       priority: string, completed: boolean, recurrence: Object|null,
+     *                       checklist: Array<{id: string, text: string, done: boolean}>>}} project Project instance.
+     * @param {meta: {isDefault: boolean, tags: Array<{name: string, color: string}>,
+     *               priorities: Array<{id: string, name: string, color: string, weight: number}>,
+     *               hasSubProjects: boolean, rollUp: boolean,
+     *               rolledUpTodos: Array<{project: Project, todo: Todo}>}} meta Metadata to assist the view in
+     *                                                                           rendering. `rolledUpTodos` are
+     *                                                                           listed after the project's own
+     *                                                                           todos, labelled with their project.
+     *        The project's todos are listed in its sort order; `rolledUpTodos` should be sorted the same way.
+     *        Todos scheduled for a later day are left out unless the project shows them.
      */
     update(project, meta = { isDefault }) {
         if (!project) {
@@ -127,72 +389,360 @@ export class TodoListView {
 
         this.createNewTodoBtn.style.display = "block";
         this.projectHeadingEl.innerHTML = "";
+        this._releaseThumbnails();
+        this._manualOrder = project.getSortOrder() === TodoSortOrders.MANUAL;
         // Render the project title + project buttons first
-        this._renderProjectHeading(project.getName(), meta.isDefault);
+        const todos = project.getSortedTodos(meta.priorities);
+        const rolledUpTodos = meta.rolledUpTodos ?? [];
+        const showScheduled = project.isShowingScheduled();
+        const scheduledLaterCount = [...todos, ...rolledUpTodos.map(({ todo }) => todo)].filter((todo) =>
+            todo.isScheduledForLater()
+        ).length;
+
+        this._renderProjectHeading(project.getName(), meta.isDefault, {
+            ...meta,
+            sortOrder: project.getSortOrder(),
+            scheduledLaterCount,
+            showScheduled,
+            color: project.getColor(),
+            icon: project.getIcon(),
+        });
 
         // Now render the todo items + their buttons
         this.todoListEl.innerHTML = "";
 
-        const todos = project.getTodos();
-
-        if (todos.length === 0) {
+        if (todos.length === 0 && rolledUpTodos.length === 0) {
             const emptyMsg = UIUtils.createElement("p", "todo-list-empty-msg", "No todos in this project. Create one!");
             this.todoListEl.appendChild(emptyMsg);
             return;
         }
+        if (!showScheduled && scheduledLaterCount === todos.length + rolledUpTodos.length) {
+            const emptyMsg = UIUtils.createElement("p", "todo-list-empty-msg", "Every todo is scheduled for later.");
+            this.todoListEl.appendChild(emptyMsg);
+            return;
+        }
 
-        todos.forEach((todo) => {
-            const todoEl = UIUtils.createElement("li", "todo-item");
-
-            const todoBtnContainer = document.createElement("div");
-            todoBtnContainer.classList.add("todo-btn-container");
-            todoEl.dataset.projectId = this._currentProjectId;
-            todoEl.dataset.todoId = todo.id;
+        // Todos scheduled for a later day are hidden, or dimmed when the project shows them
+        const isListed = (todo) => showScheduled || !todo.isScheduledForLater();
 
-            // Checkmark toggle button
-            const checkBtn = this._createCheckmarkBtn(todo.completed);
+        todos.filter(isListed).forEach((todo) => {
+            this.todoListEl.appendChild(this._createTodoItem(todo, this._currentProjectId, meta));
+        });
 
-            // Todo title / expand button
-            const expandBtn = this._createExpandBtn(
-                todo.title,
-                todo.expanded,
-                todo.description && todo.description.trim() !== ""
+        rolledUpTodos.filter(({ todo }) => isListed(todo)).forEach(({ project: subProject, todo }) => {
+            this.todoListEl.appendChild(
+                this._createTodoItem(todo, subProject.getId(), { ...meta, ...this._getProjectLabel(subProject) })
             );
+        });
+        this._sortable.restoreFocus();
+    }
 
-            // Edit button
-            const editBtn = this._createEditBtn();
+    /**
+     * Render every todo carrying a tag, across all projects. Each row is labelled with its project.
+     * @param {{name: string, color: string}|null} tag The tag being browsed.
+     * @param {Array<{project: Project, todo: Todo}>} entries The tagged todos and the projects they belong to.
+     * @param {{tags: Array<{name: string, color: string}>,
+     *          priorities: Array<{id: string, name: string, color: string}>}} meta Metadata to assist the view in
+     *                                                                             rendering
+     */
+    updateTagView(tag, entries, meta = {}) {
+        this._currentProjectId = null;
+        this._releaseThumbnails();
+        this._manualOrder = true;
+        this.createNewTodoBtn.style.display = "none";
+        this.projectHeadingEl.innerHTML = "";
+        delete this.projectHeadingEl.dataset.projectId;
+        this.todoListEl.innerHTML = "";
 
-            // Delete button
-            const deleteBtn = this._createDeleteBtn();
+        if (!tag) return;
 
-            todoBtnContainer.append(checkBtn, expandBtn, editBtn, deleteBtn);
+        this._renderTagHeading(tag);
 
-            todoEl.appendChild(todoBtnContainer);
+        if (entries.length === 0) {
+            const emptyMsg = UIUtils.createElement("p", "todo-list-empty-msg", "No todos carry this tag yet.");
+            this.todoListEl.appendChild(emptyMsg);
+            return;
+        }
 
-            // Todo information (priority, due date, description)
-            const todoInfoEl = UIUtils.createElement("div", "todo-info");
-            const todoPriorityEl = UIUtils.createElement(
-                "div",
-                ["todo-priority", `priority-${todo.priority.toLowerCase()}`],
-                todo.priority
+        entries.forEach(({ project, todo }) => {
+            this.todoListEl.appendChild(
+                this._createTodoItem(todo, project.getId(), { ...meta, ...this._getProjectLabel(project) })
             );
+        });
+        this._sortable.restoreFocus();
+    }
 
-            let todoDueDateEl;
-            if (todo.dueDate) {
-                todoDueDateEl = UIUtils.createElement("div", "todo-due-date", formatDueDate(todo.dueDate));
-            } else {
-                todoDueDateEl = UIUtils.createElement("div");
-            }
+    /**
+     * Render the trash: one row per deleted todo or project, with restore and "delete forever" buttons.
+     * @param {Array<{id: string, isProject: boolean, title: string, origin: string, deletedAt: Date,
+     *          expiresAt: Date, todoCount: number}>} entries The trashed items, most recent first. `origin`
+     *          describes where the item came from; `todoCount` is only used for projects.
+     * @param {{retentionDays: number}} meta The number of days items are kept before being purged.
+     */
+    updateTrashView(entries, meta) {
+        this._currentProjectId = null;
+        this._releaseThumbnails();
+        this.createNewTodoBtn.style.display = "none";
+        this.projectHeadingEl.innerHTML = "";
+        delete this.projectHeadingEl.dataset.projectId;
+        delete this.projectHeadingEl.dataset.tagName;
+        this.todoListEl.innerHTML = "";
+
+        this._renderTrashHeading(meta.retentionDays, entries.length > 0);
+
+        if (entries.length === 0) {
+            const emptyMsg = UIUtils.createElement("p", "todo-list-empty-msg", "The Trash is empty.");
+            this.todoListEl.appendChild(emptyMsg);
+            return;
+        }
+
+        entries.forEach((entry) => this.todoListEl.appendChild(this._createTrashItem(entry)));
+    }
+
+    /**
+     * Render the heading of the trash view: the title, the retention period input and the "Empty Trash" button.
+     * @param {number} retentionDays
+     * @param {boolean} hasItems Whether there is anything to empty.
+     */
+    _renderTrashHeading(retentionDays, hasItems) {
+        const trashTitle = UIUtils.createElement("h2", "main-project-heading", "Trash");
+
+        const retentionLabel = UIUtils.createElement("label", "trash-retention", "Delete items after");
+        const retentionInput = UIUtils.createElement("input", "trash-retention-input");
+        retentionInput.type = "number";
+        retentionInput.min = 1;
+        retentionInput.value = retentionDays;
+        retentionLabel.append(retentionInput, " days");
+
+        const emptyBtn = UIUtils.createElement("button", "empty-trash-btn", "Empty Trash");
+        emptyBtn.disabled = !hasItems;
+
+        this.projectHeadingEl.append(trashTitle, retentionLabel, emptyBtn);
+    }
+
+    /**
+     * Build the row for one trashed item.
+     * @param {{id: string, isProject: boolean, title: string, origin: string, deletedAt: Date, expiresAt: Date,
+     *          todoCount: number}} entry
+     * @returns {HTMLElement}
+     */
+    _createTrashItem(entry) {
+        const itemEl = UIUtils.createElement("li", "trash-item");
+        itemEl.dataset.entryId = entry.id;
+
+        const iconEl = UIUtils.createSVGFromSpriteSheet("icon", entry.isProject ? "#icon-project" : "#icon-todo");
+        const titleEl = UIUtils.createElement("span", "trash-item-title", entry.title);
+
+        const details = [
+            entry.origin,
+            `Deleted ${formatDueDate(entry.deletedAt)}`,
+            `Purged ${formatDueDate(entry.expiresAt)}`,
+        ];
+        if (entry.isProject) details.splice(1, 0, `${entry.todoCount} todo(s)`);
+        const detailsEl = UIUtils.createElement("span", "trash-item-details", details.join(" · "));
+
+        const restoreBtn = UIUtils.createElement("button", "restore-btn", "Restore");
+        const deleteForeverBtn = UIUtils.createElement("button", "delete-forever-btn", "Delete forever");
+
+        itemEl.append(iconEl, titleEl, detailsEl, restoreBtn, deleteForeverBtn);
+        return itemEl;
+    }
+
+    /**
+     * Render the heading of the tag view: the tag name, a colour picker and a delete button.
+     * @param {{name: string, color: string}} tag The tag being browsed.
+     */
+    _renderTagHeading(tag) {
+        const tagTitle = UIUtils.createElement("h2", "main-project-heading", `#${tag.name}`);
+
+        const colorInput = UIUtils.createElement("input", "tag-color-input");
+        colorInput.type = "color";
+        colorInput.value = tag.color;
+        colorInput.title = "Tag colour";
+
+        const deleteBtn = this._createDeleteBtn();
+
+        this.projectHeadingEl.append(tagTitle, colorInput, deleteBtn);
+        this.projectHeadingEl.dataset.tagName = tag.name;
+    }
+
+    /**
+     * @param {Project} project
+     * @returns {{projectName: string, projectColor: string|null, projectIcon: string}} The metadata labelling a
+     *          todo in a cross-project list with its project.
+     */
+    _getProjectLabel(project) {
+        return { projectName: project.getName(), projectColor: project.getColor(), projectIcon: project.getIcon() };
+    }
+
+    /**
+     * @param {string} className
+     * @param {string|null} color The project's colour; null keeps the theme's colour.
+     * @param {string} icon One of ProjectIcons.
+     * @returns {SVGElement} The project's icon in its colour.
+     */
+    _createProjectIcon(className, color, icon) {
+        const svg = UIUtils.createSVGFromSpriteSheet(["icon", className], getProjectIconHref(icon));
+        if (color) svg.style.color = color;
+        return svg;
+    }
+
+    /**
+     * Build a single todo row (buttons + info + expandable details).
+     * @param {Todo} todo The todo to render.
+     * @param {string} projectId Id of the project the todo belongs to, forwarded with every event.
+     * @param {{tags?: Array<{name: string, color: string}>, priorities?: Array<{id: string, name: string,
+     *          color: string}>, blockers?: Map<string, string[]>, projectName?: string, projectColor?: string|null,
+     *          projectIcon?: string}} meta Rendering metadata.
+     *        `blockers` maps the id of each blocked todo to the titles of its unfinished blockers.
+     *        When `projectName` is given the row is labelled with it, in the project's colour and with its icon
+     *        (used by cross-project lists).
+     * @returns {HTMLElement}
+     */
+    _createTodoItem(todo, projectId, meta = {}) {
+        const todoEl = UIUtils.createElement("li", "todo-item");
+
+        const todoBtnContainer = document.createElement("div");
+        todoBtnContainer.classList.add("todo-btn-container");
+        todoEl.dataset.projectId = projectId;
+        todoEl.dataset.todoId = todo.id;
+
+        const openBlockers = meta.blockers?.get(todo.id) ?? [];
+        todoEl.classList.toggle("todo-item--blocked", openBlockers.length > 0);
+        todoEl.classList.toggle("todo-item--scheduled", todo.isScheduledForLater());
+
+        // Drag handle for reordering
+        const dragHandle = this._createIconBtn("drag-handle", "#icon-drag");
+        dragHandle.title = "Drag to reorder or onto a project to move (Alt+↑/↓ to reorder)";
+
+        // Checkmark toggle button
+        const checkBtn = this._createCheckmarkBtn(todo.completed);
+
+        // Todo title / expand button
+        const expandBtn = this._createExpandBtn(todo.title, todo.expanded);
+
+        // Checklist progress indicator (only shown when the todo has checklist items)
+        const { done, total } = todo.getChecklistProgress();
+        const progressEl =
+            total > 0
+                ? UIUtils.createElement("span", "todo-checklist-progress", `${done}/${total} done`)
+                : UIUtils.createElement("span");
+
+        // Start/stop timer button
+        const isTimerRunning = todo.isTimerRunning();
+        const timerBtn = this._createIconBtn("timer-btn", isTimerRunning ? "#icon-stop" : "#icon-play");
+        timerBtn.title = isTimerRunning ? "Stop timer" : "Start timer";
+
+        // Move/copy to another project button
+        const moveBtn = this._createIconBtn("move-btn", "#icon-move");
+        moveBtn.title = "Move or copy to project";
+
+        // Comments & activity button, showing the number of comments
+        const detailsBtn = this._createIconBtn("details-btn", "#icon-comment");
+        detailsBtn.title = "Comments & activity";
+        if (todo.comments.length > 0) {
+            detailsBtn.appendChild(UIUtils.createElement("span", "details-btn-count", String(todo.comments.length)));
+        }
+
+        // Edit button
+        const editBtn = this._createEditBtn();
 
-            // Description
-            const todoDescEl = UIUtils.createElement("div", "todo-description", todo.description);
-            if (todo.expanded) todoDescEl.classList.add("expanded");
+        // Delete button
+        const deleteBtn = this._createDeleteBtn();
 
-            todoInfoEl.append(todoPriorityEl, todoDueDateEl, todoDescEl);
+        todoBtnContainer.append(
+            dragHandle,
+            checkBtn,
+            expandBtn,
+            progressEl,
+            timerBtn,
+            moveBtn,
+            detailsBtn,
+            editBtn,
+            deleteBtn
+        );
+
+        todoEl.appendChild(todoBtnContainer);
+
+        // Todo information (project, priority, due date, tags, description)
+        const todoInfoEl = UIUtils.createElement("div", "todo-info");
+
+        if (meta.projectName) {
+            const projectLabelEl = UIUtils.createElement("div", "todo-project-label", meta.projectName);
+            projectLabelEl.prepend(this._createProjectIcon("todo-project-icon", meta.projectColor, meta.projectIcon));
+            todoInfoEl.appendChild(projectLabelEl);
+        }
 
-            todoEl.appendChild(todoInfoEl);
-            this.todoListEl.appendChild(todoEl);
+        const todoPriorityEl = this._createPriorityBadge(todo.priority, meta.priorities);
+
+        const todoDueDateEl = this._createDueDateEl(todo);
+
+        // The day the todo is planned for, if any
+        const todoScheduledEl = todo.scheduledDate
+            ? UIUtils.createElement("div", "todo-scheduled", `📅 ${formatDueDate(todo.scheduledDate)}`)
+            : UIUtils.createElement("div");
+        todoScheduledEl.title = "Scheduled for";
+
+        // Recurrence rule (e.g. "Every 2 weeks on Mon, Wed")
+        const todoRecurrenceEl = todo.recurrence
+            ? UIUtils.createElement("div", "todo-recurrence", `↻ ${formatRecurrence(todo.recurrence)}`)
+            : UIUtils.createElement("div");
+
+        // Tracked vs estimated time
+        const todoTimeEl = this._createTimeEl(todo);
+
+        // Next pending reminder
+        const nextReminder = todo.completed ? null : todo.getNextReminderTime();
+        const todoReminderEl = nextReminder
+            ? UIUtils.createElement("div", "todo-reminder", `🔔 ${formatDateTime(nextReminder)}`)
+            : UIUtils.createElement("div");
+
+        // Blocked indicator listing the unfinished blockers
+        const todoBlockedEl =
+            openBlockers.length > 0
+                ? UIUtils.createElement("div", "todo-blocked", `Blocked by: ${openBlockers.join(", ")}`)
+                : UIUtils.createElement("div");
+
+        // Number of attached files
+        const todoAttachmentCountEl =
+            todo.attachments.length > 0
+                ? UIUtils.createElement("div", "todo-attachment-count", `📎 ${todo.attachments.length}`)
+                : UIUtils.createElement("div");
+        todoAttachmentCountEl.title = "Attachments";
+
+        // Tag chips
+        const todoTagsEl = UIUtils.createElement("div", "todo-tags");
+        todo.tags.forEach((name) => {
+            todoTagsEl.appendChild(this._createTagChip(name, meta.tags));
         });
+
+        // Expandable details (description, checklist and attachments)
+        const todoDetailsEl = UIUtils.createElement("div", "todo-details");
+        if (todo.expanded) todoDetailsEl.classList.add("expanded");
+
+        const todoDescEl = UIUtils.createElement("div", ["todo-description", "markdown-body"]);
+        todoDescEl.appendChild(renderMarkdown(todo.description));
+        const todoTimestampsEl = UIUtils.createElement("div", "todo-timestamps", formatTodoTimestamps(todo));
+        todoDetailsEl.append(todoDescEl, todoTimestampsEl, this._createChecklist(todo.checklist));
+        if (todo.attachments.length > 0) {
+            todoDetailsEl.appendChild(this._createAttachmentList(todo.attachments, todo.expanded));
+        }
+
+        todoInfoEl.append(
+            todoPriorityEl,
+            todoScheduledEl,
+            todoDueDateEl,
+            todoRecurrenceEl,
+            todoTimeEl,
+            todoReminderEl,
+            todoBlockedEl,
+            todoAttachmentCountEl,
+            todoTagsEl,
+            todoDetailsEl
+        );
+
+        todoEl.appendChild(todoInfoEl);
+        return todoEl;
     }
 
     /**
@@ -209,6 +759,17 @@ export class TodoListView {
             const editBtn = event.target.closest(".edit-btn");
             const deleteBtn = event.target.closest(".delete-btn");
             const starBtn = event.target.closest(".star-btn");
+            const reportBtn = event.target.closest(".report-btn");
+            const templateBtn = event.target.closest(".template-btn");
+            const rollUpBtn = event.target.closest(".rollup-btn");
+            const scheduledBtn = event.target.closest(".scheduled-btn");
+
+            // The tag view reuses the heading container for its own delete button
+            const tagName = projectHeadingContainer.dataset.tagName;
+            if (tagName) {
+                if (deleteBtn) this._onDeleteTagClicked?.(tagName);
+                return;
+            }
 
             const projectId = projectHeadingContainer.dataset.projectId;
             if (!projectId) return; // extra safety
@@ -216,6 +777,40 @@ export class TodoListView {
             if (editBtn) this._onEditProjectClicked?.(projectId);
             if (deleteBtn) this._onDeleteProjectClicked?.(projectId);
             if (starBtn) this._onStarProjectClicked?.(projectId);
+            if (reportBtn) this._onTimeReportClicked?.(projectId);
+            if (templateBtn) this._onSaveAsTemplateClicked?.(projectId);
+            if (rollUpBtn) this._onRollUpToggled?.(projectId);
+            if (scheduledBtn) this._onShowScheduledToggled?.(projectId);
+        });
+
+        this.projectHeadingEl.addEventListener("change", (event) => {
+            const colorInput = event.target.closest(".tag-color-input");
+            const tagName = this.projectHeadingEl.dataset.tagName;
+            if (colorInput && tagName) this._onTagColorChanged?.(tagName, colorInput.value);
+
+            const sortSelect = event.target.closest(".todo-sort-select");
+            const projectId = this.projectHeadingEl.dataset.projectId;
+            if (sortSelect && projectId) this._onTodoSortChanged?.(projectId, sortSelect.value);
+
+            const retentionInput = event.target.closest(".trash-retention-input");
+            if (retentionInput && Number(retentionInput.value) >= 1) {
+                this._onTrashRetentionChanged?.(Number(retentionInput.value));
+            }
+        });
+
+        // The trash view's "Empty Trash" button lives in the heading but has no project or tag
+        this.projectHeadingEl.addEventListener("click", (event) => {
+            if (event.target.closest(".empty-trash-btn")) this._onEmptyTrashClicked?.();
+        });
+
+        // Setup event listeners for the trash item buttons
+        this.todoListEl.addEventListener("click", (event) => {
+            const trashItemEl = event.target.closest(".trash-item");
+            if (!trashItemEl) return;
+
+            const entryId = trashItemEl.dataset.entryId;
+            if (event.target.closest(".restore-btn")) this._onRestoreTrashItemClicked?.(entryId);
+            if (event.target.closest(".delete-forever-btn")) this._onDeleteTrashItemClicked?.(entryId);
         });
 
         // Setup event listeners for the todo item buttons
@@ -223,42 +818,77 @@ export class TodoListView {
             const todoEl = event.target.closest(".todo-item");
             if (!todoEl) return; // nothing clicked inside a todo, so ignore
 
+            const projectId = todoEl.dataset.projectId;
+            const todoId = todoEl.dataset.todoId;
+
+            // Clicks inside a checklist item are handled separately from the todo's own buttons
+            const checklistItemEl = event.target.closest(".checklist-item");
+            if (checklistItemEl) {
+                const itemId = checklistItemEl.dataset.itemId;
+                const index = Number(checklistItemEl.dataset.index);
+
+                if (event.target.closest(".checklist-toggle-btn")) {
+                    this._onChecklistItemToggled?.(projectId, todoId, itemId);
+                }
+                if (event.target.closest(".checklist-move-up-btn")) {
+                    this._onChecklistItemMoved?.(projectId, todoId, itemId, index - 1);
+                }
+                if (event.target.closest(".checklist-move-down-btn")) {
+                    this._onChecklistItemMoved?.(projectId, todoId, itemId, index + 1);
+                }
+                if (event.target.closest(".checklist-remove-btn")) {
+                    this._onChecklistItemRemoved?.(projectId, todoId, itemId);
+                }
+                return;
+            }
+
+            // Likewise for the buttons of an attachment
+            const attachmentItemEl = event.target.closest(".attachment-item");
+            if (attachmentItemEl) {
+                const attachmentId = attachmentItemEl.dataset.attachmentId;
+                if (event.target.closest(".attachment-download-btn")) {
+                    this._onAttachmentDownloadClicked?.(projectId, todoId, attachmentId);
+                }
+                if (event.target.closest(".attachment-remove-btn")) {
+                    this._onAttachmentRemoveClicked?.(projectId, todoId, attachmentId);
+                }
+                return;
+            }
+
             const checkmarkBtn = event.target.closest(".checkmark-btn");
+            const timerBtn = event.target.closest(".timer-btn");
             const expandBtn = event.target.closest(".todo-btn");
+            const moveBtn = event.target.closest(".move-btn");
+            const detailsBtn = event.target.closest(".details-btn");
             const editBtn = event.target.closest(".edit-btn");
             const deleteBtn = event.target.closest(".delete-btn");
 
-            const projectId = todoEl.dataset.projectId;
-            const todoId = todoEl.dataset.todoId;
-
             if (checkmarkBtn) this._onTodoToggled?.(projectId, todoId);
+            if (timerBtn) this._onTodoTimerToggled?.(projectId, todoId);
+            if (moveBtn) this._onMoveTodoClicked?.(projectId, todoId);
+            if (detailsBtn) this._onTodoDetailsClicked?.(projectId, todoId);
             if (expandBtn) this._onTodoExpandToggled?.(projectId, todoId);
             if (editBtn) this._onEditTodoClicked?.(projectId, todoId);
             if (deleteBtn) this._onDeleteTodoClicked?.(projectId, todoId);
         });
 
-        this.createNewTodoBtn.addEventListener("click", () => {
-            this._onCreateTodoClicked?.(this._currentProjectId);
-        });
-    }
-    expandTodo(todoId) {
-        const todoDescEl = document.querySelector(`.todo-item[data-todo-id="${todoId}"] .todo-description`);
-        if (!todoDescEl || todoDescEl.textContent.trim() === "") return; // no description → skip
+        // Setup submit listener for the checklist "add item" forms
+        this.todoListEl.addEventListener("submit", (event) => {
+            const addForm = event.target.closest(".checklist-add-form");
+            if (!addForm) return;
+            event.preventDefault();
 
-        // toggle expansion
-        todoDescEl.classList.toggle("expanded");
+            const todoEl = addForm.closest(".todo-item");
+            const input = addForm.querySelector(".checklist-add-input");
+            const text = input.value.trim();
+            if (!todoEl || text === "") return;
 
-        // update button icon
-        const expandBtn = document.querySelector(`.todo-item[data-todo-id="${todoId}"] .todo-btn`);
-        if (!expandBtn) return;
-
-        const isExpanded = todoDescEl.classList.contains("expanded");
+            this._onChecklistItemAdded?.(todoEl.dataset.projectId, todoEl.dataset.todoId, text);
+        });
 
-        // Find the <use> element inside the SVG and update its href
-        const useElement = expandBtn.querySelector("use");
-        if (useElement) {
-            useElement.setAttribute("href", isExpanded ? "#icon-minimize" : "#icon-expand");
-        }
+        this.createNewTodoBtn.addEventListener("click", () => {
+            this._onCreateTodoClicked?.(this._currentProjectId);
+        });
     }
 
     setOnEditProjectClicked(callback) {
@@ -293,6 +923,101 @@ export class TodoListView {
         this._onCreateTodoClicked = callback;
     }
 
+    setOnChecklistItemToggled(callback) {
+        this._onChecklistItemToggled = callback;
+    }
+
+    setOnChecklistItemAdded(callback) {
+        this._onChecklistItemAdded = callback;
+    }
+
+    setOnChecklistItemRemoved(callback) {
+        this._onChecklistItemRemoved = callback;
+    }
+
+    setOnChecklistItemMoved(callback) {
+        this._onChecklistItemMoved = callback;
+    }
+
+    setOnTodoTimerToggled(callback) {
+        this._onTodoTimerToggled = callback;
+    }
+
+    setOnMoveTodoClicked(callback) {
+        this._onMoveTodoClicked = callback;
+    }
+
+    setOnTodoDetailsClicked(callback) {
+        this._onTodoDetailsClicked = callback;
+    }
+
+    setOnAttachmentDownloadClicked(callback) {
+        this._onAttachmentDownloadClicked = callback;
+    }
+
+    setOnAttachmentRemoveClicked(callback) {
+        this._onAttachmentRemoveClicked = callback;
+    }
+
+    /**
+     * @param {(attachmentId: string) => Promise<Blob|null>} loader Loads an attachment's contents.
+     */
+    setAttachmentLoader(loader) {
+        this._loadAttachment = loader;
+    }
+
+    setOnRollUpToggled(callback) {
+        this._onRollUpToggled = callback;
+    }
+
+    setOnShowScheduledToggled(callback) {
+        this._onShowScheduledToggled = callback;
+    }
+
+    setOnRestoreTrashItemClicked(callback) {
+        this._onRestoreTrashItemClicked = callback;
+    }
+
+    setOnDeleteTrashItemClicked(callback) {
+        this._onDeleteTrashItemClicked = callback;
+    }
+
+    setOnEmptyTrashClicked(callback) {
+        this._onEmptyTrashClicked = callback;
+    }
+
+    setOnTrashRetentionChanged(callback) {
+        this._onTrashRetentionChanged = callback;
+    }
+
+    setOnTimeReportClicked(callback) {
+        this._onTimeReportClicked = callback;
+    }
+
+    setOnSaveAsTemplateClicked(callback) {
+        this._onSaveAsTemplateClicked = callback;
+    }
+
+    setOnTodoReordered(callback) {
+        this._onTodoReordered = callback;
+    }
+
+    setOnTodoDroppedOnProject(callback) {
+        this._onTodoDroppedOnProject = callback;
+    }
+
+    setOnTodoSortChanged(callback) {
+        this._onTodoSortChanged = callback;
+    }
+
+    setOnTagColorChanged(callback) {
+        this._onTagColorChanged = callback;
+    }
+
+    setOnDeleteTagClicked(callback) {
+        this._onDeleteTagClicked = callback;
+    }
+
     /**
      * Helper functions for creating generic icon buttons using the SVG sprite sheet in index.html
      */
@@ -333,16 +1058,235 @@ export class TodoListView {
         return checkmarkBtn;
     }
 
-    _createExpandBtn(todoTitle, isExpanded, hasDescription = true) {
+    _createExpandBtn(todoTitle, isExpanded) {
         const expandBtn = UIUtils.createElement("button", "todo-btn", todoTitle);
 
-        if (hasDescription) {
-            const expandSvg = isExpanded
-                ? UIUtils.createSVGFromSpriteSheet("icon", "#icon-minimize")
-                : UIUtils.createSVGFromSpriteSheet("icon", "#icon-expand");
-            expandBtn.appendChild(expandSvg);
-        }
+        const expandSvg = isExpanded
+            ? UIUtils.createSVGFromSpriteSheet("icon", "#icon-minimize")
+            : UIUtils.createSVGFromSpriteSheet("icon", "#icon-expand");
+        expandBtn.appendChild(expandSvg);
 
         return expandBtn;
     }
+
+    /**
+     * Build the tracked vs estimated time label. Running timers keep the data needed to tick in place.
+     * @param {Todo} todo The todo to describe.
+     * @returns {HTMLElement}
+     */
+    _createTimeEl(todo) {
+        const timeEl = UIUtils.createElement("div");
+        if (todo.timeLog.length === 0 && !todo.estimateMinutes) return timeEl;
+
+        timeEl.classList.add("todo-time");
+        timeEl.dataset.estimateMs = (todo.estimateMinutes ?? 0) * 60000;
+
+        if (todo.isTimerRunning()) {
+            const running = todo.timeLog.find((entry) => entry.end === null);
+            timeEl.classList.add("todo-time--running");
+            timeEl.dataset.runningSince = running.start.getTime();
+            timeEl.dataset.loggedMs = todo.getTrackedTime(running.start); // time logged before this run
+        }
+
+        this._renderTimeText(timeEl, todo.getTrackedTime());
+        return timeEl;
+    }
+
+    /**
+     * Build a todo's deadline label. Open todos are marked as due today or overdue, and the marks are kept up to
+     * date by `_refreshDueDates()`.
+     * @param {Todo} todo
+     * @returns {HTMLElement}
+     */
+    _createDueDateEl(todo) {
+        const dueEl = UIUtils.createElement("div");
+        if (!todo.dueDate) return dueEl;
+
+        dueEl.classList.add("todo-due-date");
+        dueEl.textContent = formatDeadline(todo.dueDate, todo.hasDueTime);
+        if (!todo.completed) {
+            dueEl.classList.add("todo-due-date--open");
+            dueEl.dataset.due = todo.dueDate.getTime();
+            dueEl.dataset.hasTime = String(todo.hasDueTime);
+            this._renderDueStatus(dueEl);
+        }
+        return dueEl;
+    }
+
+    _renderDueStatus(dueEl) {
+        const due = new Date(Number(dueEl.dataset.due));
+        const hasTime = dueEl.dataset.hasTime === "true";
+        const overdue = isOverdue(due, hasTime);
+
+        dueEl.title = getDueStatus(due, hasTime);
+        dueEl.classList.toggle("todo-due-date--overdue", overdue);
+        dueEl.classList.toggle("todo-due-date--today", !overdue && isDueToday(due));
+    }
+
+    _refreshDueDates() {
+        this.todoListEl.querySelectorAll(".todo-due-date--open").forEach((dueEl) => this._renderDueStatus(dueEl));
+    }
+
+    _renderTimeText(timeEl, trackedMs) {
+        const estimateMs = Number(timeEl.dataset.estimateMs);
+        timeEl.textContent = estimateMs
+            ? `⏱ ${formatDuration(trackedMs)} / ${formatDuration(estimateMs)}`
+            : `⏱ ${formatDuration(trackedMs)}`;
+        timeEl.classList.toggle("todo-time--over", estimateMs > 0 && trackedMs > estimateMs);
+    }
+
+    /**
+     * Update the tracked time shown for running timers without re-rendering the list.
+     */
+    _refreshRunningTimers() {
+        this.todoListEl.querySelectorAll(".todo-time--running").forEach((timeEl) => {
+            const trackedMs = Number(timeEl.dataset.loggedMs) + (Date.now() - Number(timeEl.dataset.runningSince));
+            this._renderTimeText(timeEl, trackedMs);
+        });
+    }
+
+    /**
+     * Build the priority badge for a todo, looking its name and colour up in the list of priority levels.
+     * @param {string} priorityId The todo's priority level id.
+     * @param {Array<{id: string, name: string, color: string}>} [priorities] The priority levels.
+     * @returns {HTMLElement}
+     */
+    _createPriorityBadge(priorityId, priorities = []) {
+        const level = priorities.find((p) => p.id === priorityId);
+        const badge = UIUtils.createElement("div", "todo-priority", level?.name ?? priorityId);
+        if (level) badge.style.backgroundColor = level.color;
+        return badge;
+    }
+
+    /**
+     * Build a coloured chip for a tag, looking its colour up in the tag registry.
+     * @param {string} name The tag name.
+     * @param {Array<{name: string, color: string}>} [tags] The tag registry.
+     * @returns {HTMLElement}
+     */
+    _createTagChip(name, tags = []) {
+        const chip = UIUtils.createElement("span", "todo-tag", `#${name}`);
+        const tag = tags.find((t) => t.name === name);
+        if (tag) chip.style.backgroundColor = tag.color;
+        return chip;
+    }
+
+    _createIconBtn(className, symbolId) {
+        const btn = UIUtils.createElement("button", className);
+        btn.appendChild(UIUtils.createSVGFromSpriteSheet("icon", symbolId));
+        return btn;
+    }
+
+    /**
+     * Build the checklist for a todo's expanded area: one row per item plus an "add item" form.
+     * @param {Array<{id: string, text: string, done: boolean}>} items The todo's checklist items.
+     * @returns {HTMLElement}
+     */
+    _createChecklist(items) {
+        const checklistEl = UIUtils.createElement("div", "todo-checklist");
+        const listEl = UIUtils.createElement("ul", "checklist-items");
+
+        items.forEach((item, index) => {
+            const itemEl = UIUtils.createElement("li", "checklist-item");
+            itemEl.dataset.itemId = item.id;
+            itemEl.dataset.index = index;
+            itemEl.classList.toggle("checklist-item--done", item.done);
+
+            const toggleBtn = this._createIconBtn(
+                "checklist-toggle-btn",
+                item.done ? "#icon-todo-checked" : "#icon-todo"
+            );
+            const textEl = UIUtils.createElement("span", "checklist-item-text", item.text);
+
+            const moveUpBtn = this._createIconBtn("checklist-move-up-btn", "#icon-chevron-up");
+            moveUpBtn.disabled = index === 0;
+
+            const moveDownBtn = this._createIconBtn("checklist-move-down-btn", "#icon-chevron-down");
+            moveDownBtn.disabled = index === items.length - 1;
+
+            const removeBtn = this._createIconBtn("checklist-remove-btn", "#icon-close");
+
+            itemEl.append(toggleBtn, textEl, moveUpBtn, moveDownBtn, removeBtn);
+            listEl.appendChild(itemEl);
+        });
+
+        const addForm = UIUtils.createElement("form", "checklist-add-form");
+        const addInput = UIUtils.createElement("input", "checklist-add-input");
+        addInput.type = "text";
+        addInput.maxLength = 50;
+        addInput.placeholder = "Add a step...";
+        const addBtn = UIUtils.createElement("button", "checklist-add-btn", "Add");
+        addBtn.type = "submit";
+        addForm.append(addInput, addBtn);
+
+        checklistEl.append(listEl, addForm);
+        return checklistEl;
+    }
+
+    /**
+     * Build the list of a todo's attachments for its expanded area: an icon (or, for images, a thumbnail), the file
+     * name and size, and download/remove buttons for each.
+     * @param {Array<{id: string, name: string, size: number, isImage: () => boolean}>} attachments
+     * @param {boolean} showThumbnails Whether to load image thumbnails (only worth it while the todo is expanded).
+     * @returns {HTMLElement}
+     */
+    _createAttachmentList(attachments, showThumbnails) {
+        const listEl = UIUtils.createElement("ul", "todo-attachments");
+
+        attachments.forEach((attachment) => {
+            const itemEl = UIUtils.createElement("li", "attachment-item");
+            itemEl.dataset.attachmentId = attachment.id;
+
+            const iconEl = UIUtils.createSVGFromSpriteSheet(["icon", "attachment-icon"], "#icon-file");
+            const nameEl = UIUtils.createElement("span", "attachment-name", attachment.name);
+            nameEl.title = attachment.name;
+            const sizeEl = UIUtils.createElement("span", "attachment-size", formatFileSize(attachment.size));
+
+            const downloadBtn = this._createIconBtn("attachment-download-btn", "#icon-download");
+            downloadBtn.title = `Download ${attachment.name}`;
+            const removeBtn = this._createIconBtn("attachment-remove-btn", "#icon-close");
+            removeBtn.title = `Remove ${attachment.name}`;
+
+            itemEl.append(iconEl, nameEl, sizeEl, downloadBtn, removeBtn);
+            listEl.appendChild(itemEl);
+
+            if (showThumbnails && attachment.isImage()) {
+                this._getThumbnailUrl(attachment.id).then((url) => {
+                    if (!url) return; // contents missing, keep the icon
+                    const thumbnailEl = UIUtils.createElement("img", "attachment-thumbnail");
+                    thumbnailEl.src = url;
+                    thumbnailEl.alt = "";
+                    iconEl.replaceWith(thumbnailEl);
+                });
+            }
+        });
+
+        return listEl;
+    }
+
+    /**
+     * @param {string} attachmentId
+     * @returns {Promise<string|null>} An object URL of the attachment's contents, or null if they can't be loaded.
+     */
+    _getThumbnailUrl(attachmentId) {
+        let url = this._thumbnailUrls.get(attachmentId) ?? this._staleThumbnailUrls.get(attachmentId);
+        if (!url) {
+            url = (this._loadAttachment?.(attachmentId) ?? Promise.resolve(null))
+                .then((blob) => (blob ? URL.createObjectURL(blob) : null))
+                .catch(() => null);
+        }
+        this._staleThumbnailUrls.delete(attachmentId);
+        this._thumbnailUrls.set(attachmentId, url);
+        return url;
+    }
+
+    /**
+     * Called before each render: release the thumbnails the previous render didn't reuse (they are no longer on
+     * screen), and let this render reuse the ones shown now.
+     */
+    _releaseThumbnails() {
+        this._staleThumbnailUrls.forEach((url) => url.then((objectUrl) => objectUrl && URL.revokeObjectURL(objectUrl)));
+        this._staleThumbnailUrls = this._thumbnailUrls;
+        this._thumbnailUrls = new Map();
+    }
 }